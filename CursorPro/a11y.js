@@ -0,0 +1,245 @@
+import axe from "axe-core";
+import fs from "fs";
+import { JSDOM } from "jsdom";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { dirname } from "path";
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Accessibility audit: axe-core runs against every HTML page of a project
+// in jsdom (page scripts never run), plus a few checks axe has no rule for.
+// Reports are kept per project in data/accessibility/<projectId>.json.
+const REPORTS_DIR = path.join(__dirname, "data", "accessibility");
+const MAX_AUDIT_PAGES = 20;
+const MAX_NODES_PER_RULE = 10;
+
+const AXE_TAGS = [
+  "wcag2a",
+  "wcag2aa",
+  "wcag21a",
+  "wcag21aa",
+  "wcag22aa",
+  "best-practice",
+];
+// jsdom has no layout engine, so rules that need rendered boxes can't work
+const SKIPPED_RULES = [
+  "color-contrast",
+  "target-size",
+  "scrollable-region-focusable",
+];
+
+// Points taken off the score of 100 for each failing rule
+const IMPACT_PENALTY = { critical: 15, serious: 10, moderate: 5, minor: 2 };
+
+// Alt texts that say nothing about the image
+const GENERIC_ALT_PATTERN =
+  /^(image|img|picture|pic|photo|graphic|icon|logo|banner)[\s_-]*\d*$/i;
+
+function getReportPath(projectId) {
+  return path.join(REPORTS_DIR, `${projectId}.json`);
+}
+
+function listHtmlFiles(rootPath, relDir = ".") {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(rootPath, relDir), {
+    withFileTypes: true,
+  })) {
+    const relPath = path.join(relDir, entry.name);
+    if (entry.isDirectory() && entry.name !== "node_modules") {
+      files.push(...listHtmlFiles(rootPath, relPath));
+    } else if (entry.isFile() && /\.html?$/i.test(entry.name)) {
+      files.push(relPath);
+    }
+  }
+  return files;
+}
+
+// A short, unique-enough CSS selector for elements found by our own checks
+function getSelector(element) {
+  const parts = [];
+  for (
+    let node = element;
+    node && node.nodeType === 1;
+    node = node.parentElement
+  ) {
+    if (node.id) {
+      parts.unshift(`#${node.id}`);
+      break;
+    }
+    const siblings = node.parentElement
+      ? [...node.parentElement.children].filter(
+          (child) => child.tagName === node.tagName
+        )
+      : [];
+    const tag = node.tagName.toLowerCase();
+    parts.unshift(
+      siblings.length > 1
+        ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})`
+        : tag
+    );
+  }
+  return parts.join(" > ");
+}
+
+function toNode(element) {
+  return {
+    selector: getSelector(element),
+    html: element.outerHTML.slice(0, 200),
+  };
+}
+
+// Checks axe has no rule for: placeholder alt texts and radio/checkbox
+// groups without a <fieldset> or role="group"
+function runExtraChecks(document) {
+  const violations = [];
+
+  const genericAlt = [...document.querySelectorAll("img[alt]")].filter((img) =>
+    GENERIC_ALT_PATTERN.test(img.getAttribute("alt").trim())
+  );
+  if (genericAlt.length > 0) {
+    violations.push({
+      id: "generic-alt-text",
+      impact: "serious",
+      tags: ["wcag2a", "wcag111"],
+      help: 'Images must have alt text that describes them, not a placeholder like "Image 1"',
+      helpUrl: "https://www.w3.org/WAI/tutorials/images/informative/",
+      nodes: genericAlt.map(toNode),
+    });
+  }
+
+  const groups = new Map();
+  for (const input of document.querySelectorAll(
+    'input[type="radio"][name], input[type="checkbox"][name]'
+  )) {
+    const name = input.getAttribute("name");
+    groups.set(name, [...(groups.get(name) || []), input]);
+  }
+  const ungrouped = [...groups.values()]
+    .filter((inputs) => inputs.length > 1)
+    .filter(
+      (inputs) =>
+        !inputs[0].closest('fieldset, [role="group"], [role="radiogroup"]')
+    )
+    .map((inputs) => inputs[0]);
+  if (ungrouped.length > 0) {
+    violations.push({
+      id: "ungrouped-form-controls",
+      impact: "moderate",
+      tags: ["wcag2a", "wcag131"],
+      help: "Related radio buttons and checkboxes must be grouped in a <fieldset> with a <legend>",
+      helpUrl: "https://www.w3.org/WAI/tutorials/forms/grouping/",
+      nodes: ungrouped.map(toNode),
+    });
+  }
+
+  return violations;
+}
+
+async function auditPage(rootPath, file) {
+  const fullPath = path.join(rootPath, file);
+  const dom = new JSDOM(fs.readFileSync(fullPath, "utf-8"), {
+    url: pathToFileURL(fullPath).href,
+    runScripts: "outside-only",
+  });
+  const { window } = dom;
+
+  try {
+    window.eval(axe.source);
+    const results = await window.axe.run(window.document, {
+      runOnly: { type: "tag", values: AXE_TAGS },
+      rules: Object.fromEntries(
+        SKIPPED_RULES.map((rule) => [rule, { enabled: false }])
+      ),
+      resultTypes: ["violations"],
+    });
+    return [
+      ...results.violations.map((violation) => ({
+        id: violation.id,
+        impact: violation.impact,
+        tags: violation.tags.filter((tag) => tag.startsWith("wcag")),
+        help: violation.help,
+        helpUrl: violation.helpUrl,
+        nodes: violation.nodes.map((node) => ({
+          selector: node.target.join(" "),
+          html: node.html.slice(0, 200),
+        })),
+      })),
+      ...runExtraChecks(window.document),
+    ];
+  } finally {
+    window.close();
+  }
+}
+
+// Audit the HTML pages under `rootPath` (the project folder, or the build
+// output for built targets). Violations of the same rule on several pages
+// are merged; every offending node keeps the page it was found on.
+export async function auditProject(rootPath) {
+  const startTime = Date.now();
+  const pages = listHtmlFiles(rootPath).slice(0, MAX_AUDIT_PAGES);
+  const rules = new Map();
+
+  for (const page of pages) {
+    for (const violation of await auditPage(rootPath, page)) {
+      const rule = rules.get(violation.id) || { ...violation, nodes: [] };
+      rule.nodes.push(...violation.nodes.map((node) => ({ page, ...node })));
+      rules.set(violation.id, rule);
+    }
+  }
+
+  const violations = [...rules.values()].map((rule) => ({
+    ...rule,
+    nodeCount: rule.nodes.length,
+    nodes: rule.nodes.slice(0, MAX_NODES_PER_RULE),
+  }));
+  const penalty = violations.reduce(
+    (sum, rule) => sum + (IMPACT_PENALTY[rule.impact] || 0),
+    0
+  );
+
+  return {
+    score: pages.length > 0 ? Math.max(0, 100 - penalty) : null,
+    pagesAudited: pages,
+    violationCount: violations.length,
+    nodeCount: violations.reduce((sum, rule) => sum + rule.nodeCount, 0),
+    violations,
+    skippedRules: SKIPPED_RULES,
+    durationMs: Date.now() - startTime,
+    auditedAt: new Date().toISOString(),
+  };
+}
+
+export function saveAuditReport(projectId, report) {
+  fs.mkdirSync(REPORTS_DIR, { recursive: true });
+  fs.writeFileSync(getReportPath(projectId), JSON.stringify(report, null, 2));
+}
+
+export function getAuditReport(projectId) {
+  const reportPath = getReportPath(projectId);
+  if (!fs.existsSync(reportPath)) return null;
+  return JSON.parse(fs.readFileSync(reportPath, "utf-8"));
+}
+
+export function deleteAuditReport(projectId) {
+  fs.rmSync(getReportPath(projectId), { force: true });
+}
+
+// Turn an audit report into a follow-up message for the model
+export function buildA11yRepairPrompt(report) {
+  const list = report.violations
+    .map((rule) => {
+      const nodes = rule.nodes
+        .map((node) => `    ${node.page}: ${node.selector}`)
+        .join("\n");
+      return `- [${rule.id}] (${rule.impact}${
+        rule.tags.length ? `, ${rule.tags.join(" ")}` : ""
+      }) ${rule.help}\n${nodes}`;
+    })
+    .join("\n");
+
+  return `An accessibility audit (axe-core) of the site scored ${report.score}/100 and found ${report.violationCount} failing rules:
+${list}
+
+Fix every problem in the source files: give images alt text that describes them (alt="" for decorative ones), label every form control and group related ones in a <fieldset> with a <legend>, add a "Skip to main content" link as the first element of <body>, wrap content in landmarks (<header>, <nav>, <main>, <footer>), keep headings in order and give every page a lang attribute and a <title>. Do not change the design or content otherwise. Use ApplyPatch for small fixes. Reply with a short summary when done.`;
+}
@@ -0,0 +1,422 @@
+import { runTool, tools } from "./tools.js";
+
+// Model call resilience, all overridable through the environment. A call
+// that fails with a rate limit, a server error, a network error or a
+// timeout is retried with exponential backoff (or after the provider's
+// retry-after), then the run moves to the fallback model if there is one.
+const MODEL_RETRIES = Math.max(
+  0,
+  parseInt(process.env.MODEL_RETRIES ?? "3", 10) || 0
+);
+const MODEL_RETRY_BASE_MS =
+  parseInt(process.env.MODEL_RETRY_BASE_MS, 10) || 1000;
+const MODEL_RETRY_MAX_MS =
+  parseInt(process.env.MODEL_RETRY_MAX_MS, 10) || 30000;
+const MODEL_CALL_TIMEOUT_MS =
+  parseInt(process.env.MODEL_CALL_TIMEOUT_MS, 10) || 60000;
+// Times in a run the model is asked again after sending tool-call
+// arguments the provider could not parse
+const MAX_TOOL_CALL_RETRIES = 2;
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+
+const TOOL_CALL_RETRY_PROMPT = `Your last tool call could not be parsed because its arguments were not valid JSON. Send the tool call again with the arguments as one JSON object: escape double quotes, backslashes and newlines inside strings.`;
+
+// Run one chat completion. With onToken the response is streamed and the
+// content/tool-call deltas are stitched back into a regular message.
+async function createCompletion(client, params, { signal, onToken }) {
+  if (!onToken) {
+    return client.chat.completions.create(params, { signal });
+  }
+
+  const stream = await client.chat.completions.create(
+    { ...params, stream: true },
+    { signal }
+  );
+  const message = { role: "assistant", content: "", tool_calls: [] };
+  let usage = null;
+
+  for await (const chunk of stream) {
+    const delta = chunk.choices[0]?.delta || {};
+
+    if (delta.content) {
+      message.content += delta.content;
+      onToken(delta.content);
+    }
+
+    for (const call of delta.tool_calls || []) {
+      if (!message.tool_calls[call.index]) {
+        message.tool_calls[call.index] = {
+          id: call.id,
+          type: "function",
+          function: { name: "", arguments: "" },
+        };
+      }
+      const current = message.tool_calls[call.index];
+      if (call.id) current.id = call.id;
+      if (call.function?.name) current.function.name += call.function.name;
+      if (call.function?.arguments) {
+        current.function.arguments += call.function.arguments;
+      }
+    }
+
+    // Groq reports usage on the last chunk under x_groq
+    usage = chunk.usage || chunk.x_groq?.usage || usage;
+  }
+
+  return { choices: [{ message }], usage };
+}
+
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        resolve();
+      },
+      { once: true }
+    );
+  });
+
+// Milliseconds the provider asked to wait, null when it did not say
+function getRetryAfterMs(headers) {
+  const retryAfterMs = parseFloat(headers?.["retry-after-ms"]);
+  if (!isNaN(retryAfterMs)) return retryAfterMs;
+  const retryAfter = headers?.["retry-after"];
+  if (!retryAfter) return null;
+  const seconds = parseFloat(retryAfter);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Errors without a status are network errors (or a broken stream)
+function isRetryable(error) {
+  return (
+    error.timedOut || !error.status || RETRYABLE_STATUSES.includes(error.status)
+  );
+}
+
+// Groq answers 400 "tool_use_failed" when the model's tool call arguments
+// are not valid JSON
+function isToolCallError(error) {
+  return error.status === 400 && /tool_use_failed/.test(error.message);
+}
+
+// Exponential backoff with jitter, or the provider's retry-after
+function getRetryDelay(error, attempt) {
+  const retryAfterMs = getRetryAfterMs(error.headers);
+  if (retryAfterMs !== null) return retryAfterMs;
+  const backoff = Math.min(
+    MODEL_RETRY_BASE_MS * 2 ** attempt,
+    MODEL_RETRY_MAX_MS
+  );
+  return Math.round(backoff / 2 + (Math.random() * backoff) / 2);
+}
+
+// One model call with a timeout of its own. The timeout error is marked,
+// so it can be told apart from the caller cancelling the build.
+async function createTimedCompletion(client, params, options, timeoutMs) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  try {
+    return await createCompletion(client, params, {
+      ...options,
+      signal: options.signal
+        ? AbortSignal.any([options.signal, timeout])
+        : timeout,
+    });
+  } catch (error) {
+    if (timeout.aborted && !options.signal?.aborted) {
+      const timeoutError = new Error(
+        `Model call timed out after ${timeoutMs}ms`
+      );
+      timeoutError.timedOut = true;
+      throw timeoutError;
+    }
+    throw error;
+  }
+}
+
+// The error a run fails with once a model call is given up on. `status`
+// is what the API answers with: 429 for rate limits (with `retryAfter` in
+// seconds), 504 for timeouts and 502 for anything else the provider did.
+function toModelError(error, model) {
+  let modelError;
+  if (error.status === 429) {
+    modelError = new Error(`Model ${model} is rate limited: ${error.message}`);
+    modelError.status = 429;
+    const retryAfterMs = getRetryAfterMs(error.headers);
+    if (retryAfterMs !== null) {
+      modelError.retryAfter = Math.ceil(retryAfterMs / 1000);
+    }
+  } else if (error.timedOut) {
+    modelError = new Error(`Model ${model} did not answer: ${error.message}`);
+    modelError.status = 504;
+  } else {
+    modelError = new Error(`Model ${model} failed: ${error.message}`);
+    modelError.status = 502;
+  }
+  modelError.cause = error;
+  return modelError;
+}
+
+// Agent loop: keep one growing conversation, feed every tool result back
+// and stop when the model answers without tool calls or a budget runs out.
+// onEvent(type, data) receives progress for streaming clients, `stream`
+// also forwards model tokens, and signal cancels the build. Every model
+// call, failed ones too, is appended to `calls` with its tokens, latency
+// and retries, so the caller keeps them even when the loop throws. Once
+// the model gives up, `fallbackModel` takes over for the rest of the run,
+// and at `deadline` (a timestamp) the loop stops with "timeout".
+export async function runAgentLoop({
+  client,
+  model,
+  fallbackModel = null,
+  deadline = Infinity,
+  context,
+  messages,
+  maxSteps,
+  maxTokens,
+  signal,
+  stream = false,
+  firstStep = 1,
+  calls = [],
+  onEvent = () => {},
+}) {
+  const executionResults = [];
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let finalMessage = "";
+  let stopReason = "max_steps";
+  // Step numbers continue across follow-up runs on the same conversation
+  let step = firstStep - 1;
+  let currentModel = model;
+  let toolCallRetries = 0;
+  let attempt = 0;
+  let callStart = 0;
+
+  // Record of a model call that did not produce an answer
+  const failedCall = (error) => ({
+    step,
+    model: currentModel,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    latencyMs: Date.now() - callStart,
+    retries: attempt,
+    error: error.message,
+  });
+
+  while (step - firstStep + 1 < maxSteps) {
+    if (signal?.aborted) {
+      stopReason = "cancelled";
+      break;
+    }
+    if (Date.now() >= deadline) {
+      stopReason = "timeout";
+      break;
+    }
+
+    step++;
+    onEvent("step", { step });
+
+    let response;
+    attempt = 0;
+    callStart = Date.now();
+    while (!response) {
+      const remainingMs = deadline - Date.now();
+      try {
+        response = await createTimedCompletion(
+          client,
+          {
+            model: currentModel,
+            messages,
+            tools,
+            tool_choice: "auto",
+            temperature: 0.1,
+          },
+          {
+            signal,
+            onToken: stream
+              ? (content) => onEvent("token", { step, content })
+              : null,
+          },
+          Math.min(MODEL_CALL_TIMEOUT_MS, remainingMs)
+        );
+      } catch (error) {
+        if (signal?.aborted) {
+          calls.push(failedCall(error));
+          stopReason = "cancelled";
+          break;
+        }
+        // Out of build time, no point in trying again
+        if (error.timedOut && remainingMs <= MODEL_CALL_TIMEOUT_MS) {
+          calls.push(failedCall(error));
+          stopReason = "timeout";
+          break;
+        }
+
+        // Broken tool-call JSON: ask the model to send the call again
+        if (isToolCallError(error) && toolCallRetries < MAX_TOOL_CALL_RETRIES) {
+          toolCallRetries++;
+          calls.push(failedCall(error));
+          console.log(
+            `🔁 [${context.projectId}] Step ${step}: invalid tool call arguments, asking again`
+          );
+          onEvent("retry", { step, reason: "invalid_tool_call" });
+          messages.push({ role: "user", content: TOOL_CALL_RETRY_PROMPT });
+          attempt = 0;
+          callStart = Date.now();
+          continue;
+        }
+
+        const delayMs = getRetryDelay(error, attempt);
+        if (
+          isRetryable(error) &&
+          attempt < MODEL_RETRIES &&
+          delayMs <= MODEL_RETRY_MAX_MS &&
+          Date.now() + delayMs < deadline
+        ) {
+          attempt++;
+          console.log(
+            `🔁 [${context.projectId}] Step ${step}: ${error.message}, retry ${attempt}/${MODEL_RETRIES} in ${delayMs}ms`
+          );
+          onEvent("retry", { step, attempt, delayMs, error: error.message });
+          await sleep(delayMs, signal);
+          continue;
+        }
+
+        calls.push(failedCall(error));
+        if (fallbackModel && currentModel !== fallbackModel) {
+          console.log(
+            `🪂 [${context.projectId}] ${currentModel} failed, falling back to ${fallbackModel}`
+          );
+          onEvent("fallback", {
+            step,
+            from: currentModel,
+            to: fallbackModel,
+            error: error.message,
+          });
+          currentModel = fallbackModel;
+          attempt = 0;
+          callStart = Date.now();
+          continue;
+        }
+        throw toModelError(error, currentModel);
+      }
+    }
+    if (!response) break;
+
+    calls.push({
+      step,
+      model: currentModel,
+      promptTokens: response.usage?.prompt_tokens || 0,
+      completionTokens: response.usage?.completion_tokens || 0,
+      totalTokens: response.usage?.total_tokens || 0,
+      latencyMs: Date.now() - callStart,
+      retries: attempt,
+    });
+    usage.prompt_tokens += response.usage?.prompt_tokens || 0;
+    usage.completion_tokens += response.usage?.completion_tokens || 0;
+    usage.total_tokens += response.usage?.total_tokens || 0;
+
+    const message = response.choices[0]?.message || {};
+    const toolCalls = message.tool_calls || [];
+    if (message.content) {
+      finalMessage = message.content;
+    }
+
+    if (toolCalls.length === 0) {
+      // Keep the answer in the conversation so it can be continued
+      messages.push({ role: "assistant", content: message.content || "" });
+      stopReason = "completed";
+      break;
+    }
+
+    messages.push({
+      role: "assistant",
+      content: message.content || null,
+      tool_calls: toolCalls,
+    });
+
+    console.log(
+      `🔧 [${context.projectId}] Step ${step}: executing ${toolCalls.length} tool calls...`
+    );
+
+    for (const toolCall of toolCalls) {
+      const { name, arguments: argsJSON } = toolCall.function;
+      let args = null;
+      let toolResult;
+
+      try {
+        const parsed = JSON.parse(argsJSON || "{}");
+        // "null", "[]" or "42" parse fine but are no set of arguments
+        if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+          throw new Error("arguments must be a JSON object");
+        }
+        args = parsed;
+      } catch (parseError) {
+        // The error goes back to the model, which sends the call again
+        console.error(`❌ Invalid ${name} arguments:`, parseError.message);
+        toolResult = {
+          success: false,
+          error: `Invalid JSON arguments (${parseError.message}). Call ${name} again with the arguments as one valid JSON object.`,
+        };
+      }
+
+      if (args) {
+        try {
+          onEvent("tool_start", { step, tool: name, args });
+          toolResult = runTool(context, name, args);
+        } catch (toolError) {
+          console.error(`❌ Tool execution error:`, toolError.message);
+          toolResult = { success: false, error: toolError.message };
+        }
+      }
+
+      onEvent("tool_end", { step, tool: name, args, result: toolResult });
+      if (name === "WriteFile" && toolResult.success) {
+        onEvent("file", { path: toolResult.path, size: toolResult.size });
+      }
+
+      executionResults.push({
+        step,
+        reasoning: message.content || null,
+        tool: name,
+        args,
+        result: toolResult,
+      });
+
+      messages.push({
+        role: "tool",
+        tool_call_id: toolCall.id,
+        name,
+        content: JSON.stringify(toolResult),
+      });
+    }
+
+    onEvent("step_done", {
+      step,
+      tools: toolCalls.map((toolCall) => toolCall.function.name),
+    });
+
+    if (usage.total_tokens >= maxTokens) {
+      stopReason = "token_budget";
+      break;
+    }
+  }
+
+  if (stopReason !== "completed") {
+    console.log(`⚠️ Agent stopped early: ${stopReason} after ${step} steps`);
+  }
+
+  return {
+    steps: step,
+    model: currentModel,
+    finalMessage,
+    stopReason,
+    usage,
+    calls,
+    executionResults,
+  };
+}
@@ -0,0 +1,574 @@
+import fs from "fs";
+import { parse } from "parse5";
+import path from "path";
+import sharp from "sharp";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Images and fonts of a project. Uploads go to assets/images/ and
+// assets/fonts/ (under public/ for built targets); raster images also get
+// resized WebP variants for srcset. Images the pages reference but nobody
+// uploaded are filled in with placeholders of a matching shape. What is
+// known about each asset (size, alt text hint, variants) is kept in
+//   data/assets/<projectId>.json
+const MANIFESTS_DIR = path.join(__dirname, "data", "assets");
+
+export const MAX_ASSET_FILE_SIZE = 10 * 1024 * 1024; // 10MB per file
+export const MAX_ASSET_FILES = 20;
+
+const IMAGE_EXTENSIONS = [
+  ".jpg",
+  ".jpeg",
+  ".png",
+  ".webp",
+  ".avif",
+  ".gif",
+  ".svg",
+];
+const FONT_EXTENSIONS = [".woff2", ".woff", ".ttf", ".otf"];
+// Formats that get resized WebP variants (GIFs may be animated)
+const OPTIMIZED_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp", ".avif"];
+const VARIANT_WIDTHS = [480, 960, 1600];
+// Larger originals are scaled down to this width when uploaded
+const MAX_IMAGE_WIDTH = 2400;
+const WEBP_QUALITY = 80;
+
+// Files scanned for image references
+const SOURCE_EXTENSIONS = [
+  ".html",
+  ".htm",
+  ".css",
+  ".js",
+  ".mjs",
+  ".jsx",
+  ".ts",
+  ".tsx",
+  ".astro",
+];
+const SKIPPED_DIRS = ["node_modules", "dist"];
+const MAX_SOURCE_FILE_SIZE = 1024 * 1024;
+
+// Placeholder shape by file name when the markup gives no width/height
+const PLACEHOLDER_SIZES = [
+  { pattern: /hero|banner|cover|header|background|bg|slide/i, w: 1600, h: 900 },
+  {
+    pattern: /avatar|profile|team|person|author|headshot|portrait|user/i,
+    w: 400,
+    h: 400,
+  },
+  { pattern: /logo|icon|badge/i, w: 256, h: 256 },
+];
+const DEFAULT_PLACEHOLDER_SIZE = { w: 1200, h: 900 };
+const MAX_PLACEHOLDER_SIZE = 2400;
+
+function getManifestPath(projectId) {
+  return path.join(MANIFESTS_DIR, `${projectId}.json`);
+}
+
+function readManifest(projectId) {
+  const manifestPath = getManifestPath(projectId);
+  if (!fs.existsSync(manifestPath)) return { projectId, assets: {} };
+  return JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+}
+
+function writeManifest(projectId, manifest) {
+  fs.mkdirSync(MANIFESTS_DIR, { recursive: true });
+  fs.writeFileSync(
+    getManifestPath(projectId),
+    JSON.stringify(manifest, null, 2)
+  );
+}
+
+export function deleteAssetManifest(projectId) {
+  fs.rmSync(getManifestPath(projectId), { force: true });
+}
+
+export function copyAssetManifest(sourceId, projectId) {
+  if (!fs.existsSync(getManifestPath(sourceId))) return;
+  writeManifest(projectId, { ...readManifest(sourceId), projectId });
+}
+
+function getAssetType(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (IMAGE_EXTENSIONS.includes(extension)) return "image";
+  if (FONT_EXTENSIONS.includes(extension)) return "font";
+  return null;
+}
+
+function listFiles(rootPath, relDir = ".") {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(rootPath, relDir), {
+    withFileTypes: true,
+  })) {
+    const relPath = path.join(relDir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name.startsWith(".") || SKIPPED_DIRS.includes(entry.name)) {
+        continue;
+      }
+      files.push(...listFiles(rootPath, relPath));
+    } else if (entry.isFile()) {
+      files.push(relPath);
+    }
+  }
+  return files;
+}
+
+// Why an uploaded file can't be saved as an asset, null when it can
+export function getAssetFileError(upload) {
+  if (!getAssetType(upload.originalname)) {
+    return `Not an image or font: ${upload.originalname} (allowed: ${[
+      ...IMAGE_EXTENSIONS,
+      ...FONT_EXTENSIONS,
+    ].join(", ")})`;
+  }
+  if (upload.size > MAX_ASSET_FILE_SIZE) {
+    return `File too large: ${upload.originalname} (max 10MB)`;
+  }
+  return null;
+}
+
+// "My Photo (1).JPG" -> "my-photo-1.jpg"; never a path
+function getAssetName(originalName) {
+  const baseName = path.basename(originalName.replace(/\\/g, "/"));
+  const extension = path.extname(baseName).toLowerCase();
+  const stem = baseName
+    .slice(0, baseName.length - extension.length)
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `${stem || `asset-${Date.now()}`}${extension}`;
+}
+
+function removeVariants(projectPath, entry) {
+  for (const variant of entry?.variants || []) {
+    fs.rmSync(path.join(projectPath, variant.file), { force: true });
+  }
+}
+
+// Read an image's size, scale it down when it's wider than
+// MAX_IMAGE_WIDTH and write WebP variants at VARIANT_WIDTHS (and its own
+// width) next to it. Files are read into buffers first because libvips
+// caches by file name and the original may just have been replaced.
+async function optimizeImage(projectPath, entry, publicDir) {
+  const fullPath = path.join(projectPath, entry.file);
+  let input = fs.readFileSync(fullPath);
+  const metadata = await sharp(input).metadata();
+  // EXIF-rotated photos report their stored size, not the displayed one
+  let width = metadata.autoOrient?.width ?? metadata.width;
+  let height = metadata.autoOrient?.height ?? metadata.height;
+  const extension = path.extname(entry.file).toLowerCase();
+  if (!OPTIMIZED_EXTENSIONS.includes(extension)) {
+    return { width, height };
+  }
+
+  let size = entry.size;
+  if (width > MAX_IMAGE_WIDTH) {
+    const { data, info } = await sharp(input)
+      .rotate()
+      .resize({ width: MAX_IMAGE_WIDTH })
+      .toBuffer({ resolveWithObject: true });
+    fs.writeFileSync(fullPath, data);
+    input = data;
+    ({ width, height, size } = info);
+  }
+
+  const stem = entry.url.slice(0, -extension.length);
+  const variants = [];
+  for (const variantWidth of [
+    ...VARIANT_WIDTHS.filter((w) => w < width),
+    width,
+  ]) {
+    const url = `${stem}-${variantWidth}w.webp`;
+    const file = path.join(publicDir, url);
+    const info = await sharp(input)
+      .rotate()
+      .resize({ width: variantWidth })
+      .webp({ quality: WEBP_QUALITY })
+      .toFile(path.join(projectPath, file));
+    variants.push({
+      url,
+      file,
+      width: info.width,
+      height: info.height,
+      size: info.size,
+    });
+  }
+
+  return {
+    width,
+    height,
+    size,
+    variants,
+    srcset: variants.map((v) => `${v.url} ${v.width}w`).join(", "),
+  };
+}
+
+// Save uploaded files (multer's { originalname, size, buffer }) as assets.
+// `alts` holds an alt text hint per upload, in the same order. A file with
+// the name of an existing asset or placeholder replaces it.
+export async function saveAssets(
+  projectId,
+  projectPath,
+  uploads,
+  { publicDir = "", alts = [] } = {}
+) {
+  const manifest = readManifest(projectId);
+  const saved = [];
+
+  for (const [index, upload] of uploads.entries()) {
+    const name = getAssetName(upload.originalname);
+    const type = getAssetType(name);
+    const url = `assets/${type === "font" ? "fonts" : "images"}/${name}`;
+    const file = path.join(publicDir, url);
+
+    removeVariants(projectPath, manifest.assets[file]);
+    fs.mkdirSync(path.dirname(path.join(projectPath, file)), {
+      recursive: true,
+    });
+    fs.writeFileSync(path.join(projectPath, file), upload.buffer);
+
+    let entry = {
+      url,
+      file,
+      type,
+      source: "upload",
+      size: upload.size,
+      width: null,
+      height: null,
+      alt: alts[index]?.trim() || null,
+      variants: [],
+      srcset: null,
+      updatedAt: new Date().toISOString(),
+    };
+    if (type === "image") {
+      try {
+        entry = {
+          ...entry,
+          ...(await optimizeImage(projectPath, entry, publicDir)),
+        };
+      } catch (error) {
+        // Kept as uploaded; the browser may still be able to show it
+        console.error(`❌ Could not optimize ${file}:`, error.message);
+      }
+    }
+
+    manifest.assets[file] = entry;
+    saved.push(entry);
+  }
+
+  writeManifest(projectId, manifest);
+  return saved;
+}
+
+// Every asset of a project: the known ones that still exist, plus image
+// and font files the agent or an import put into an assets/ folder
+export function listAssets(projectId, projectPath) {
+  const manifest = readManifest(projectId);
+  const known = Object.values(manifest.assets).filter((entry) =>
+    fs.existsSync(path.join(projectPath, entry.file))
+  );
+  const knownFiles = new Set(
+    known.flatMap((entry) => [entry.file, ...entry.variants.map((v) => v.file)])
+  );
+
+  const other = [];
+  for (const publicDir of ["", "public"]) {
+    const assetsDir = path.join(publicDir, "assets");
+    if (!fs.existsSync(path.join(projectPath, assetsDir))) continue;
+
+    for (const file of listFiles(projectPath, assetsDir)) {
+      const type = getAssetType(file);
+      if (!type || knownFiles.has(file)) continue;
+      other.push({
+        url: path.relative(publicDir || ".", file),
+        file,
+        type,
+        source: "project",
+        size: fs.statSync(path.join(projectPath, file)).size,
+        width: null,
+        height: null,
+        alt: null,
+        variants: [],
+        srcset: null,
+      });
+    }
+  }
+
+  return [...known, ...other].sort((a, b) => a.url.localeCompare(b.url));
+}
+
+// Remove an asset (by url or file path) with its variants. Returns the
+// removed asset, null when there is no such asset.
+export function deleteAsset(projectId, projectPath, assetPath) {
+  const manifest = readManifest(projectId);
+  const entry = listAssets(projectId, projectPath).find(
+    (asset) => asset.url === assetPath || asset.file === assetPath
+  );
+  if (!entry) return null;
+
+  fs.rmSync(path.join(projectPath, entry.file), { force: true });
+  removeVariants(projectPath, entry);
+  if (manifest.assets[entry.file]) {
+    delete manifest.assets[entry.file];
+    writeManifest(projectId, manifest);
+  }
+  return entry;
+}
+
+// Assets section of the system prompt for edits of a project with uploads
+export function buildAssetsPrompt(assets) {
+  const lines = assets.map((asset) => {
+    const details = [asset.type];
+    if (asset.width) details.push(`${asset.width}×${asset.height}`);
+    if (asset.source === "placeholder") details.push("placeholder");
+    if (asset.alt) details.push(`alt text hint: "${asset.alt}"`);
+    if (asset.srcset) details.push(`srcset: "${asset.srcset}"`);
+    return `- ${asset.url} (${details.join(", ")})`;
+  });
+
+  return `ASSETS (files in the project; reference them by these paths and never overwrite them):
+${lines.join("\n")}
+- Give images with a srcset a matching sizes attribute, plus width, height and alt
+- Load fonts with @font-face and a font-display: swap rule`;
+}
+
+// --------------------
+// Placeholders
+// --------------------
+
+function isRemote(ref) {
+  return /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(ref) || ref.startsWith("{{");
+}
+
+function getAttribute(node, name) {
+  return node.attrs?.find((attr) => attr.name === name)?.value;
+}
+
+function walk(node, visit) {
+  visit(node);
+  const children = node.content?.childNodes || node.childNodes || [];
+  for (const child of children) walk(child, visit);
+}
+
+function findCssUrls(css) {
+  return [...css.matchAll(/url\(\s*(["']?)([^"')]+)\1\s*\)/gi)].map(
+    (match) => ({ ref: match[2].trim() })
+  );
+}
+
+// Image references of one file, with the width/height of <img> tags
+function findReferences(projectPath, file) {
+  const content = fs.readFileSync(path.join(projectPath, file), "utf-8");
+  const extension = path.extname(file).toLowerCase();
+
+  if (extension === ".css") return findCssUrls(content);
+
+  if (extension === ".html" || extension === ".htm") {
+    const refs = [];
+    walk(parse(content), (node) => {
+      const size = {
+        width: parseInt(getAttribute(node, "width"), 10) || null,
+        height: parseInt(getAttribute(node, "height"), 10) || null,
+      };
+      for (const name of ["src", "poster"]) {
+        const ref = getAttribute(node, name);
+        if (ref) refs.push({ ref, ...size });
+      }
+      if (
+        node.nodeName === "link" &&
+        /icon/i.test(getAttribute(node, "rel") || "")
+      ) {
+        refs.push({ ref: getAttribute(node, "href") || "" });
+      }
+      // "a.jpg 480w, b.jpg 2x"
+      for (const candidate of (getAttribute(node, "srcset") || "").split(",")) {
+        const ref = candidate.trim().split(/\s+/)[0];
+        if (ref) refs.push({ ref, ...size });
+      }
+      const style = getAttribute(node, "style");
+      if (style) refs.push(...findCssUrls(style));
+      if (node.nodeName === "style") {
+        refs.push(
+          ...findCssUrls(node.childNodes.map((child) => child.value).join(""))
+        );
+      }
+    });
+    return refs;
+  }
+
+  // Scripts and components: image paths in string literals
+  return [...content.matchAll(/(["'`])([^"'`\s<>()]+\.[a-z]{3,4})\1/gi)].map(
+    (match) => ({ ref: match[2] })
+  );
+}
+
+// Where a reference points, most likely location first. Root-relative
+// paths and plain paths in code are URLs, served from `publicDir`.
+function getCandidates(file, ref, publicDir) {
+  let cleanRef;
+  try {
+    cleanRef = decodeURI(ref.split(/[?#]/)[0]);
+  } catch {
+    return [];
+  }
+  const fromDir = path.dirname(file);
+  const isMarkup = /\.(html?|css)$/i.test(file);
+
+  let candidates;
+  if (cleanRef.startsWith("/")) {
+    candidates = [path.join(publicDir || ".", cleanRef.slice(1))];
+  } else if (/^\.\.?\//.test(cleanRef) || (isMarkup && !publicDir)) {
+    candidates = [path.join(fromDir, cleanRef)];
+  } else if (isMarkup) {
+    candidates = [path.join(fromDir, cleanRef), path.join(publicDir, cleanRef)];
+  } else {
+    candidates = [path.join(publicDir, cleanRef)];
+  }
+  // Never anything outside the project
+  return candidates.filter(
+    (candidate) => !candidate.startsWith("..") && !path.isAbsolute(candidate)
+  );
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"]/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function getPlaceholderSize(file, { width, height }) {
+  const byName =
+    PLACEHOLDER_SIZES.find(({ pattern }) =>
+      pattern.test(path.basename(file))
+    ) || DEFAULT_PLACEHOLDER_SIZE;
+  let w = width || (height ? Math.round((height * byName.w) / byName.h) : 0);
+  let h = height || (width ? Math.round((width * byName.h) / byName.w) : 0);
+  if (!w || !h) ({ w, h } = byName);
+  const scale = Math.min(1, MAX_PLACEHOLDER_SIZE / Math.max(w, h));
+  return {
+    width: Math.max(1, Math.round(w * scale)),
+    height: Math.max(1, Math.round(h * scale)),
+  };
+}
+
+// Grey box with a picture icon, the file name and the size
+function buildPlaceholderSvg(name, width, height) {
+  const unit = Math.min(width, height) / 8;
+  const cx = width / 2;
+  const cy = height / 2 - unit * 0.6;
+  const fontSize = Math.max(10, Math.round(Math.min(width / 24, unit * 0.6)));
+  const label = `${name} · ${width}×${height}`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <rect width="${width}" height="${height}" fill="#e5e7eb"/>
+  <rect x="${cx - unit}" y="${cy - unit * 0.75}" width="${unit * 2}" height="${
+    unit * 1.5
+  }" rx="${unit * 0.15}" fill="none" stroke="#9ca3af" stroke-width="${
+    unit * 0.1
+  }"/>
+  <circle cx="${cx - unit * 0.45}" cy="${cy - unit * 0.25}" r="${
+    unit * 0.18
+  }" fill="#9ca3af"/>
+  <path d="M${cx - unit * 0.85} ${cy + unit * 0.6} L${cx - unit * 0.2} ${
+    cy - unit * 0.05
+  } L${cx + unit * 0.2} ${cy + unit * 0.3} L${cx + unit * 0.45} ${
+    cy + unit * 0.05
+  } L${cx + unit * 0.85} ${cy + unit * 0.6} Z" fill="#9ca3af"/>
+  <text x="${cx}" y="${
+    cy + unit * 1.4
+  }" font-family="sans-serif" font-size="${fontSize}" fill="#6b7280" text-anchor="middle">${escapeXml(
+    label
+  )}</text>
+</svg>
+`;
+}
+
+// Write a placeholder for every referenced local image that doesn't
+// exist. Non-SVG paths get the SVG rendered to their own format, so the
+// markup stays untouched and a later upload simply replaces the file.
+export async function generatePlaceholders(
+  projectId,
+  projectPath,
+  { publicDir = "" } = {}
+) {
+  const missing = new Map(); // file -> { width, height } from the markup
+  for (const file of listFiles(projectPath)) {
+    const extension = path.extname(file).toLowerCase();
+    if (
+      !SOURCE_EXTENSIONS.includes(extension) ||
+      fs.statSync(path.join(projectPath, file)).size > MAX_SOURCE_FILE_SIZE
+    ) {
+      continue;
+    }
+
+    for (const { ref, width, height } of findReferences(projectPath, file)) {
+      if (
+        !ref ||
+        isRemote(ref) ||
+        getAssetType(ref.split(/[?#]/)[0]) !== "image"
+      ) {
+        continue;
+      }
+      const candidates = getCandidates(file, ref, publicDir);
+      if (
+        candidates.length === 0 ||
+        candidates.some((candidate) =>
+          fs.existsSync(path.join(projectPath, candidate))
+        )
+      ) {
+        continue;
+      }
+      const known = missing.get(candidates[0]);
+      missing.set(candidates[0], {
+        width: known?.width || width,
+        height: known?.height || height,
+      });
+    }
+  }
+  if (missing.size === 0) return [];
+
+  const manifest = readManifest(projectId);
+  const created = [];
+  for (const [file, markupSize] of missing) {
+    const { width, height } = getPlaceholderSize(file, markupSize);
+    const svg = buildPlaceholderSvg(path.basename(file), width, height);
+    const fullPath = path.join(projectPath, file);
+    const extension = path.extname(file).toLowerCase();
+
+    try {
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      if (extension === ".svg") {
+        fs.writeFileSync(fullPath, svg);
+      } else {
+        const format = extension === ".jpg" ? "jpeg" : extension.slice(1);
+        await sharp(Buffer.from(svg)).toFormat(format).toFile(fullPath);
+      }
+    } catch (error) {
+      console.error(`❌ Placeholder for ${file} failed:`, error.message);
+      continue;
+    }
+
+    const entry = {
+      url:
+        publicDir && file.startsWith(publicDir + path.sep)
+          ? path.relative(publicDir, file)
+          : file,
+      file,
+      type: "image",
+      source: "placeholder",
+      size: fs.statSync(fullPath).size,
+      width,
+      height,
+      alt: null,
+      variants: [],
+      srcset: null,
+      updatedAt: new Date().toISOString(),
+    };
+    manifest.assets[file] = entry;
+    created.push(entry);
+  }
+
+  writeManifest(projectId, manifest);
+  console.log(`🖼️ ${created.length} image placeholders for ${projectId}`);
+  return created;
+}
@@ -0,0 +1,240 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// User accounts with local passwords, browser sessions and API keys.
+// Sessions and keys are stored by the SHA-256 of their token, so the
+// files never hold anything that can be sent back to the API:
+//   data/auth/users/<username>.json
+//   data/auth/sessions/<sha256>.json
+//   data/auth/keys/<sha256>.json
+const AUTH_DIR = path.join(__dirname, "data", "auth");
+const USERS_DIR = path.join(AUTH_DIR, "users");
+const SESSIONS_DIR = path.join(AUTH_DIR, "sessions");
+const KEYS_DIR = path.join(AUTH_DIR, "keys");
+
+export const SESSION_TTL_MS =
+  (parseInt(process.env.SESSION_TTL_HOURS, 10) || 7 * 24) * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_KEY_NAME_LENGTH = 60;
+const SCRYPT_KEY_LENGTH = 64;
+
+for (const dir of [USERS_DIR, SESSIONS_DIR, KEYS_DIR]) {
+  fs.mkdirSync(dir, { recursive: true });
+}
+
+// Write through a temp file so a crash never leaves half a JSON file
+function writeJson(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), "utf-8");
+  fs.renameSync(tempPath, filePath);
+}
+
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Usernames are case-insensitive and double as file names
+function normalizeUsername(username) {
+  return typeof username === "string" ? username.trim().toLowerCase() : "";
+}
+
+function getUserPath(username) {
+  return path.join(USERS_DIR, `${username}.json`);
+}
+
+// --------------------
+// Users
+// --------------------
+
+export function getUsernameError(username) {
+  if (!/^[a-z0-9][\w.@-]{2,63}$/.test(normalizeUsername(username))) {
+    return "username must be 3-64 letters, digits or . _ @ -";
+  }
+  return null;
+}
+
+export function getPasswordError(password) {
+  if (
+    typeof password !== "string" ||
+    password.length < MIN_PASSWORD_LENGTH ||
+    password.length > MAX_PASSWORD_LENGTH
+  ) {
+    return `password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+export function hasUsers() {
+  return fs.readdirSync(USERS_DIR).some((file) => file.endsWith(".json"));
+}
+
+// A user without the password hash, as the API returns it
+function toPublicUser({ passwordHash, ...user }) {
+  return user;
+}
+
+export function getUser(username) {
+  const name = normalizeUsername(username);
+  if (getUsernameError(name)) return null;
+  const user = readJson(getUserPath(name));
+  return user && toPublicUser(user);
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto
+    .scryptSync(password, salt, SCRYPT_KEY_LENGTH)
+    .toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+// `buildsPerHour` overrides the default build quota of this user
+export function createUser({
+  username,
+  password,
+  role = "user",
+  buildsPerHour = null,
+}) {
+  const name = normalizeUsername(username);
+  if (readJson(getUserPath(name))) {
+    throw new Error(`User already exists: ${name}`);
+  }
+
+  const user = {
+    username: name,
+    role,
+    buildsPerHour,
+    passwordHash: hashPassword(password),
+    createdAt: new Date().toISOString(),
+  };
+  writeJson(getUserPath(name), user);
+  return toPublicUser(user);
+}
+
+// The user for a username and password, null when they don't match
+export function verifyPassword(username, password) {
+  const user = getUsernameError(username)
+    ? null
+    : readJson(getUserPath(normalizeUsername(username)));
+  // Hash anyway, so unknown users take as long as wrong passwords
+  const [, salt, expected] = (
+    user?.passwordHash || `scrypt$${"0".repeat(32)}$${"0".repeat(128)}`
+  ).split("$");
+  const actual = hashPassword(String(password), salt).split("$")[2];
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(actual, "hex"),
+    Buffer.from(expected, "hex")
+  );
+  return user && matches ? toPublicUser(user) : null;
+}
+
+// --------------------
+// Sessions
+// --------------------
+
+export function createSession(username) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+  writeJson(path.join(SESSIONS_DIR, `${hashToken(token)}.json`), {
+    username,
+    createdAt: new Date().toISOString(),
+    expiresAt,
+  });
+  return { token, expiresAt };
+}
+
+// The signed-in user of a session token, null when it is unknown or expired
+export function getSessionUser(token) {
+  if (typeof token !== "string" || !token) return null;
+  const sessionPath = path.join(SESSIONS_DIR, `${hashToken(token)}.json`);
+  const session = readJson(sessionPath);
+  if (!session) return null;
+  if (Date.parse(session.expiresAt) <= Date.now()) {
+    fs.rmSync(sessionPath, { force: true });
+    return null;
+  }
+  return getUser(session.username);
+}
+
+export function deleteSession(token) {
+  if (typeof token !== "string" || !token) return;
+  fs.rmSync(path.join(SESSIONS_DIR, `${hashToken(token)}.json`), {
+    force: true,
+  });
+}
+
+// --------------------
+// API keys
+// --------------------
+
+export function getApiKeyNameError(name) {
+  if (
+    name !== undefined &&
+    (typeof name !== "string" || name.length > MAX_KEY_NAME_LENGTH)
+  ) {
+    return `name must be text of at most ${MAX_KEY_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+function readKeys() {
+  return fs
+    .readdirSync(KEYS_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => ({
+      hash: path.basename(file, ".json"),
+      ...readJson(path.join(KEYS_DIR, file)),
+    }));
+}
+
+// Keys are only shown once, lists carry their first characters
+export function createApiKey(username, name) {
+  const key = `cpk_${crypto.randomBytes(24).toString("hex")}`;
+  const record = {
+    id: crypto.randomBytes(6).toString("hex"),
+    username,
+    name: name?.trim() || "API key",
+    prefix: key.slice(0, 10),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+  };
+  writeJson(path.join(KEYS_DIR, `${hashToken(key)}.json`), record);
+  return { key, ...record };
+}
+
+export function listApiKeys(username) {
+  return readKeys()
+    .filter((record) => record.username === username)
+    .map(({ hash, ...record }) => record)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Returns false when the user has no key with that id
+export function deleteApiKey(username, id) {
+  const record = readKeys().find(
+    (key) => key.username === username && key.id === id
+  );
+  if (!record) return false;
+  fs.rmSync(path.join(KEYS_DIR, `${record.hash}.json`), { force: true });
+  return true;
+}
+
+// The owner of an API key, null for unknown keys
+export function getApiKeyUser(key) {
+  if (typeof key !== "string" || !key.startsWith("cpk_")) return null;
+  const keyPath = path.join(KEYS_DIR, `${hashToken(key)}.json`);
+  const record = readJson(keyPath);
+  if (!record) return null;
+  writeJson(keyPath, { ...record, lastUsedAt: new Date().toISOString() });
+  return getUser(record.username);
+}
@@ -0,0 +1,368 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Brand kits: palette, typography, spacing, radius, logo and tone of voice
+// shared by every site built for a brand. One folder per kit holding a
+// brand.json (and optionally the logo file). Bundled kits live in
+// brand-kits/, kits created through the API in data/brand-kits/.
+const BUNDLED_KITS_DIR = path.join(__dirname, "brand-kits");
+const CUSTOM_KITS_DIR = path.join(__dirname, "data", "brand-kits");
+
+const MANIFEST_FILE = "brand.json";
+export const TOKENS_FILE = "css/tokens.css";
+const LOGO_DIR = "assets/brand";
+
+const KIT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const TOKEN_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const LENGTH_PATTERN = /^(0|\d+(\.\d+)?(px|rem|em|%))$/;
+// Values end up inside tokens.css, keep them from breaking out of it
+const UNSAFE_CSS_PATTERN = /[;{}<>\\]/;
+const MAX_TONE_LENGTH = 500;
+
+const DEFAULT_SPACING = {
+  xs: "4px",
+  sm: "8px",
+  md: "16px",
+  lg: "32px",
+  xl: "64px",
+};
+
+if (!fs.existsSync(CUSTOM_KITS_DIR)) {
+  fs.mkdirSync(CUSTOM_KITS_DIR, { recursive: true });
+}
+
+// --------------------
+// Colors
+// --------------------
+
+function toHex(red, green, blue) {
+  return `#${[red, green, blue]
+    .map((channel) =>
+      Math.round(Math.min(Math.max(channel, 0), 255))
+        .toString(16)
+        .padStart(2, "0")
+    )
+    .join("")}`;
+}
+
+function hslToHex(hue, saturation, lightness) {
+  const s = saturation / 100;
+  const l = lightness / 100;
+  const k = (n) => (n + hue / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) =>
+    l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+  return toHex(f(0) * 255, f(8) * 255, f(4) * 255);
+}
+
+// #rgb, #rrggbb(aa), rgb()/rgba() and hsl()/hsla() as lowercase #rrggbb;
+// alpha is ignored so translucent palette colors still match.
+// null for anything else.
+export function normalizeColor(value) {
+  const color = String(value).trim().toLowerCase();
+
+  const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits =
+      hex[1].length <= 4
+        ? [...hex[1].slice(0, 3)].map((digit) => digit + digit).join("")
+        : hex[1].slice(0, 6);
+    return `#${digits}`;
+  }
+
+  const fn = color.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+  if (!fn) return null;
+  const parts = fn[2]
+    .split(/[\s,/]+/)
+    .filter(Boolean)
+    .slice(0, 3);
+  const numbers = parts.map((part) => parseFloat(part));
+  if (numbers.length < 3 || numbers.some(Number.isNaN)) return null;
+
+  if (fn[1].startsWith("rgb")) {
+    return toHex(
+      ...numbers.map((number, i) =>
+        parts[i].endsWith("%") ? number * 2.55 : number
+      )
+    );
+  }
+  return hslToHex(...numbers);
+}
+
+// Every hex, rgb() and hsl() color literal in a piece of CSS
+export function findColors(css) {
+  const pattern = /#[0-9a-f]{3,8}\b|\b(?:rgba?|hsla?)\([^)]*\)/gi;
+  const colors = [];
+  for (const match of css.matchAll(pattern)) {
+    const normalized = normalizeColor(match[0]);
+    if (normalized) {
+      colors.push({ value: match[0], normalized, index: match.index });
+    }
+  }
+  return colors;
+}
+
+// The normalized colors a kit allows
+export function getPaletteColors(kit) {
+  return new Set(Object.values(kit.palette).map(normalizeColor));
+}
+
+// --------------------
+// Kits on disk
+// --------------------
+
+function readKit(kitsDir, id, source) {
+  const manifestPath = path.join(kitsDir, id, MANIFEST_FILE);
+  if (!KIT_ID_PATTERN.test(id) || !fs.existsSync(manifestPath)) return null;
+
+  try {
+    const kit = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+    return { ...kit, id, source, path: path.join(kitsDir, id) };
+  } catch (error) {
+    console.warn(`⚠️ Skipping brand kit ${manifestPath}: ${error.message}`);
+    return null;
+  }
+}
+
+function loadKits() {
+  const kits = new Map();
+  for (const [dir, source] of [
+    [BUNDLED_KITS_DIR, "bundled"],
+    [CUSTOM_KITS_DIR, "custom"],
+  ]) {
+    if (!fs.existsSync(dir)) continue;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || kits.has(entry.name)) continue;
+      const kit = readKit(dir, entry.name, source);
+      if (kit) kits.set(kit.id, kit);
+    }
+  }
+  return kits;
+}
+
+function publicKit({ path: _kitPath, ...kit }) {
+  return kit;
+}
+
+export function listBrandKits() {
+  return [...loadKits().values()].map(publicKit);
+}
+
+// Internal kit record (with its folder), null when unknown
+export function getBrandKit(kitId) {
+  return loadKits().get(kitId) || null;
+}
+
+// Returns an error message for an invalid `brandKitId` request field, null
+// when it is fine (or absent)
+export function getBrandKitIdError(kitId) {
+  if (kitId === undefined) return null;
+  if (typeof kitId !== "string" || !getBrandKit(kitId)) {
+    return `Unknown brand kit: ${kitId}`;
+  }
+  return null;
+}
+
+function isRemoteUrl(value) {
+  return /^https:\/\//i.test(value);
+}
+
+// Returns an error message for an invalid kit definition, null when valid
+export function getBrandKitError(kit) {
+  if (!kit || typeof kit !== "object") return "A brand kit object is required";
+  if (typeof kit.name !== "string" || !kit.name.trim()) {
+    return "name is required";
+  }
+
+  const palette = Object.entries(kit.palette || {});
+  if (palette.length === 0) return "palette needs at least one color";
+  for (const [name, value] of palette) {
+    if (!TOKEN_NAME_PATTERN.test(name)) {
+      return `Invalid palette name: ${name}`;
+    }
+    if (!normalizeColor(value) || UNSAFE_CSS_PATTERN.test(value)) {
+      return `palette.${name} is not a hex, rgb() or hsl() color`;
+    }
+  }
+
+  const { heading, body, baseSize, fontUrl } = kit.typography || {};
+  for (const [field, value] of Object.entries({ heading, body })) {
+    if (
+      value !== undefined &&
+      (typeof value !== "string" || UNSAFE_CSS_PATTERN.test(value))
+    ) {
+      return `typography.${field} must be a CSS font-family list`;
+    }
+  }
+  if (baseSize !== undefined && !LENGTH_PATTERN.test(baseSize)) {
+    return "typography.baseSize must be a CSS length (e.g. 16px)";
+  }
+  if (
+    fontUrl !== undefined &&
+    (!isRemoteUrl(fontUrl) || /[\s"'()]/.test(fontUrl))
+  ) {
+    return "typography.fontUrl must be an https URL";
+  }
+
+  for (const [name, value] of Object.entries(kit.spacing || {})) {
+    if (!TOKEN_NAME_PATTERN.test(name) || !LENGTH_PATTERN.test(value)) {
+      return `spacing.${name} must be a CSS length (e.g. 8px)`;
+    }
+  }
+  if (kit.radius !== undefined && !LENGTH_PATTERN.test(kit.radius)) {
+    return "radius must be a CSS length (e.g. 8px)";
+  }
+  if (kit.logo !== undefined && !isRemoteUrl(kit.logo)) {
+    return "logo must be an https URL";
+  }
+  if (
+    kit.tone !== undefined &&
+    (typeof kit.tone !== "string" || kit.tone.length > MAX_TONE_LENGTH)
+  ) {
+    return `tone must be at most ${MAX_TONE_LENGTH} characters`;
+  }
+  return null;
+}
+
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Custom kits can be changed by the user who made them and by admins.
+// Kits saved before owners were recorded are left to admins.
+function checkKitOwner(kit, user) {
+  if (user.role === "admin" || (kit.owner && kit.owner === user.username)) {
+    return;
+  }
+  const error = new Error(`Brand kit ${kit.id} belongs to another user`);
+  error.status = 403;
+  throw error;
+}
+
+// Create or replace a kit made through the API on behalf of `user`
+export function saveBrandKit(kit, user) {
+  const id = kit.id || slugify(kit.name);
+  if (!KIT_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid brand kit id: ${id}`);
+  }
+  const existing = getBrandKit(id);
+  if (existing?.source === "bundled") {
+    throw new Error(`Brand kit ${id} is bundled and cannot be changed`);
+  }
+  if (existing) checkKitOwner(existing, user);
+
+  const record = {
+    name: kit.name.trim(),
+    owner: existing?.owner || user.username,
+    palette: kit.palette,
+    typography: kit.typography || {},
+    spacing: kit.spacing || {},
+    radius: kit.radius,
+    logo: kit.logo,
+    tone: kit.tone,
+    updatedAt: new Date().toISOString(),
+  };
+  const kitPath = path.join(CUSTOM_KITS_DIR, id);
+  fs.mkdirSync(kitPath, { recursive: true });
+  fs.writeFileSync(
+    path.join(kitPath, MANIFEST_FILE),
+    JSON.stringify(record, null, 2),
+    "utf-8"
+  );
+  return publicKit(getBrandKit(id));
+}
+
+export function deleteBrandKit(kitId, user) {
+  const kit = getBrandKit(kitId);
+  if (!kit) throw new Error(`Unknown brand kit: ${kitId}`);
+  if (kit.source === "bundled") {
+    throw new Error(`Brand kit ${kitId} is bundled and cannot be deleted`);
+  }
+  checkKitOwner(kit, user);
+  fs.rmSync(kit.path, { recursive: true, force: true });
+}
+
+// --------------------
+// Applying a kit to a project
+// --------------------
+
+export function buildTokensCss(kit) {
+  const typography = kit.typography || {};
+  const spacing = { ...DEFAULT_SPACING, ...kit.spacing };
+  const lines = [
+    ...Object.entries(kit.palette).map(
+      ([name, value]) => `  --color-${name}: ${value};`
+    ),
+    typography.heading && `  --font-heading: ${typography.heading};`,
+    typography.body && `  --font-body: ${typography.body};`,
+    typography.baseSize && `  --font-size-base: ${typography.baseSize};`,
+    ...Object.entries(spacing).map(
+      ([name, value]) => `  --space-${name}: ${value};`
+    ),
+    kit.radius && `  --radius: ${kit.radius};`,
+  ].filter(Boolean);
+
+  // A "*/" in the name would end the comment and let the rest run as CSS
+  return `/* Brand kit "${kit.name.replace(
+    /\*\//g,
+    "* /"
+  )}": generated design tokens, do not edit by hand */
+${typography.fontUrl ? `@import url("${typography.fontUrl}");\n` : ""}
+:root {
+${lines.join("\n")}
+}
+`;
+}
+
+// Write css/tokens.css and copy a bundled logo, returns the logo path the
+// site should use (or null)
+export function applyBrandKit(kit, projectPath) {
+  const tokensPath = path.join(projectPath, TOKENS_FILE);
+  fs.mkdirSync(path.dirname(tokensPath), { recursive: true });
+  fs.writeFileSync(tokensPath, buildTokensCss(kit), "utf-8");
+
+  if (!kit.logo) return null;
+  if (isRemoteUrl(kit.logo)) return kit.logo;
+
+  // Bundled kits ship their logo next to brand.json
+  const source = path.resolve(kit.path, kit.logo);
+  if (!source.startsWith(kit.path + path.sep) || !fs.existsSync(source)) {
+    console.warn(`⚠️ Logo of brand kit ${kit.id} not found: ${kit.logo}`);
+    return null;
+  }
+  const logoPath = `${LOGO_DIR}/${path.basename(source)}`;
+  fs.mkdirSync(path.join(projectPath, LOGO_DIR), { recursive: true });
+  fs.copyFileSync(source, path.join(projectPath, logoPath));
+  return logoPath;
+}
+
+export function buildBrandKitPrompt(kit, logoPath) {
+  const palette = Object.entries(kit.palette)
+    .map(([name, value]) => `  --color-${name}: ${value}`)
+    .join("\n");
+  const typography = kit.typography || {};
+
+  return `BRAND KIT "${kit.name}":
+${TOKENS_FILE} already exists and defines the brand's design tokens. Do not modify it.
+- Link it in every page BEFORE the main stylesheet: <link rel="stylesheet" href="css/tokens.css">
+- Use only the palette through its variables, e.g. color: var(--color-${
+    Object.keys(kit.palette)[0]
+  }). Never hard-code other hex, rgb() or hsl() colors and do not redefine these variables elsewhere.
+PALETTE:
+${palette}
+- Fonts: headings var(--font-heading)${
+    typography.heading ? ` (${typography.heading})` : ""
+  }, body text var(--font-body)${typography.body ? ` (${typography.body})` : ""}
+- Spacing: var(--space-xs) to var(--space-xl); corners: var(--radius)${
+    logoPath
+      ? `\n- Logo: use <img src="${logoPath}" alt="${kit.name} logo"> in the header`
+      : ""
+  }${kit.tone ? `\n- Tone of voice for all copy: ${kit.tone}` : ""}`;
+}
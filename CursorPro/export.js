@@ -0,0 +1,143 @@
+import archiver from "archiver";
+import CleanCSS from "clean-css";
+import fs from "fs";
+import { minify as minifyHtml } from "html-minifier-terser";
+import path from "path";
+import { minify as minifyJs } from "terser";
+
+const MIME_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+};
+
+// Every regular file in the project, as relative paths
+function listFiles(projectPath, relDir = ".") {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(projectPath, relDir), {
+    withFileTypes: true,
+  })) {
+    const relPath = path.join(relDir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFiles(projectPath, relPath));
+    } else if (entry.isFile()) {
+      files.push(relPath);
+    }
+  }
+  return files;
+}
+
+// Resolve a local reference from an HTML file, null for remote or missing
+function resolveLocalAsset(projectPath, htmlPath, ref) {
+  if (!ref || /^([a-z]+:|\/\/|#)/i.test(ref)) return null;
+  const cleanRef = ref.split(/[?#]/)[0];
+  const fullPath = path.join(projectPath, path.dirname(htmlPath), cleanRef);
+  const relative = path.relative(projectPath, fullPath);
+  if (relative.startsWith("..") || !fs.existsSync(fullPath)) return null;
+  return fullPath;
+}
+
+async function minifyContent(filePath, content) {
+  const extension = path.extname(filePath).toLowerCase();
+  try {
+    if (extension === ".html") {
+      return await minifyHtml(content, {
+        collapseWhitespace: true,
+        removeComments: true,
+        minifyCSS: true,
+        minifyJS: true,
+      });
+    }
+    if (extension === ".css") {
+      return new CleanCSS().minify(content).styles;
+    }
+    if (extension === ".js") {
+      return (await minifyJs(content)).code ?? content;
+    }
+  } catch (error) {
+    // Broken generated code is exported as-is rather than failing the export
+    console.error(`⚠️ Minify skipped for ${filePath}:`, error.message);
+  }
+  return content;
+}
+
+// Inline local stylesheets, scripts and images of one HTML page so it
+// works as a single self-contained file
+export function inlineHtml(projectPath, htmlPath) {
+  let html = fs.readFileSync(path.join(projectPath, htmlPath), "utf-8");
+
+  html = html.replace(/<link\b[^>]*>/gi, (tag) => {
+    if (!/rel=["']?stylesheet/i.test(tag)) return tag;
+    const href = tag.match(/href=["']([^"']+)["']/i)?.[1];
+    const assetPath = resolveLocalAsset(projectPath, htmlPath, href);
+    if (!assetPath) return tag;
+    return `<style>\n${fs.readFileSync(assetPath, "utf-8")}\n</style>`;
+  });
+
+  html = html.replace(
+    /<script\b([^>]*)\bsrc=["']([^"']+)["']([^>]*)>\s*<\/script>/gi,
+    (tag, before, src, after) => {
+      const assetPath = resolveLocalAsset(projectPath, htmlPath, src);
+      if (!assetPath) return tag;
+      const script = fs
+        .readFileSync(assetPath, "utf-8")
+        .replace(/<\/script/gi, "<\\/script");
+      return `<script${before}${after}>\n${script}\n</script>`;
+    }
+  );
+
+  html = html.replace(
+    /\b(src|href)=["']([^"']+)["']/gi,
+    (attribute, name, ref) => {
+      const assetPath = resolveLocalAsset(projectPath, htmlPath, ref);
+      const mimeType = MIME_TYPES[path.extname(ref).toLowerCase()];
+      if (!assetPath || !mimeType) return attribute;
+      const data = fs.readFileSync(assetPath).toString("base64");
+      return `${name}="data:${mimeType};base64,${data}"`;
+    }
+  );
+
+  return html;
+}
+
+// Build the single-file version of a project's index.html
+export async function exportSingleFile(projectPath, { minify = false } = {}) {
+  if (!fs.existsSync(path.join(projectPath, "index.html"))) {
+    throw new Error("Project has no index.html to inline");
+  }
+  const html = inlineHtml(projectPath, "index.html");
+  return minify ? minifyContent("index.html", html) : html;
+}
+
+// Stream the project as a ZIP archive into a writable (e.g. the response)
+export async function streamProjectZip(
+  projectPath,
+  output,
+  { minify = false, rootName }
+) {
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  archive.on("warning", (error) =>
+    console.error("⚠️ ZIP warning:", error.message)
+  );
+  archive.pipe(output);
+
+  for (const relPath of listFiles(projectPath)) {
+    const fullPath = path.join(projectPath, relPath);
+    const name = path.posix.join(rootName, relPath.split(path.sep).join("/"));
+
+    if (minify && [".html", ".css", ".js"].includes(path.extname(relPath))) {
+      const content = fs.readFileSync(fullPath, "utf-8");
+      archive.append(await minifyContent(relPath, content), { name });
+    } else {
+      archive.file(fullPath, { name });
+    }
+  }
+
+  await archive.finalize();
+}
@@ -0,0 +1,295 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Content-addressed snapshot store, one folder per project:
+//   data/history/<projectId>/objects/<sha256>   file blobs
+//   data/history/<projectId>/versions.json      ordered list of versions
+const HISTORY_DIR = path.join(__dirname, "data", "history");
+
+// Files shown as text in diffs; everything else is compared by hash only
+const TEXT_EXTENSIONS = [
+  ".html",
+  ".css",
+  ".js",
+  ".json",
+  ".md",
+  ".txt",
+  ".svg",
+  ".xml",
+];
+const MAX_DIFF_LINES = 3000;
+
+function getHistoryPath(projectId) {
+  return path.join(HISTORY_DIR, projectId);
+}
+
+function readVersions(projectId) {
+  const versionsPath = path.join(getHistoryPath(projectId), "versions.json");
+  if (!fs.existsSync(versionsPath)) return [];
+  return JSON.parse(fs.readFileSync(versionsPath, "utf-8"));
+}
+
+function writeVersions(projectId, versions) {
+  const historyPath = getHistoryPath(projectId);
+  fs.mkdirSync(historyPath, { recursive: true });
+  fs.writeFileSync(
+    path.join(historyPath, "versions.json"),
+    JSON.stringify(versions, null, 2),
+    "utf-8"
+  );
+}
+
+// Every regular file in the project, keyed by relative path
+function collectFiles(projectPath, relDir = ".") {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(projectPath, relDir), {
+    withFileTypes: true,
+  })) {
+    const relPath = path.join(relDir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...collectFiles(projectPath, relPath));
+    } else if (entry.isFile()) {
+      files.push(relPath);
+    }
+  }
+  return files;
+}
+
+function isTextFile(filePath) {
+  return TEXT_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+function readObject(projectId, hash) {
+  return fs.readFileSync(path.join(getHistoryPath(projectId), "objects", hash));
+}
+
+function sameFiles(a, b) {
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length && keys.every((k) => a[k] === b[k])
+  );
+}
+
+// Strip the file map from a version for list responses
+function summarize(version) {
+  const { files, ...rest } = version;
+  return { ...rest, fileCount: Object.keys(files).length };
+}
+
+// Store the project's current files as a new version. Returns the latest
+// version unchanged when nothing differs from it.
+export function createSnapshot(
+  projectId,
+  projectPath,
+  { label, source, prompt } = {}
+) {
+  const objectsPath = path.join(getHistoryPath(projectId), "objects");
+  fs.mkdirSync(objectsPath, { recursive: true });
+
+  const files = {};
+  for (const relPath of collectFiles(projectPath)) {
+    const content = fs.readFileSync(path.join(projectPath, relPath));
+    const hash = crypto.createHash("sha256").update(content).digest("hex");
+    const objectPath = path.join(objectsPath, hash);
+    if (!fs.existsSync(objectPath)) {
+      fs.writeFileSync(objectPath, content);
+    }
+    files[relPath] = hash;
+  }
+
+  const versions = readVersions(projectId);
+  const latest = versions[versions.length - 1];
+  if (latest && sameFiles(latest.files, files)) {
+    return summarize(latest);
+  }
+
+  const version = {
+    id: (latest?.id || 0) + 1,
+    label: label || "Snapshot",
+    source: source || "manual",
+    prompt: prompt || null,
+    createdAt: new Date().toISOString(),
+    files,
+  };
+  versions.push(version);
+  writeVersions(projectId, versions);
+
+  console.log(`📸 Snapshot v${version.id} of ${projectId}: ${version.label}`);
+
+  return summarize(version);
+}
+
+export function listVersions(projectId) {
+  return readVersions(projectId).map(summarize);
+}
+
+function getVersion(projectId, versionId) {
+  const version = readVersions(projectId).find(
+    (v) => v.id === Number(versionId)
+  );
+  if (!version) {
+    throw new Error(`Version not found: ${versionId}`);
+  }
+  return version;
+}
+
+// One file of a version, null when the version doesn't have it
+export function readVersionFile(projectId, versionId, relPath) {
+  const { files } = getVersion(projectId, versionId);
+  return Object.hasOwn(files, relPath)
+    ? readObject(projectId, files[relPath])
+    : null;
+}
+
+// Line diff (LCS) turned into side-by-side rows:
+// { type: "same" | "added" | "removed" | "changed", left, right, leftLine, rightLine }
+export function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  // Too big for the quadratic table: show the whole file as replaced
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    return [
+      ...a.map((line, i) => ({ type: "removed", left: line, leftLine: i + 1 })),
+      ...b.map((line, i) => ({ type: "added", right: line, rightLine: i + 1 })),
+    ];
+  }
+
+  const table = Array.from(
+    { length: a.length + 1 },
+    () => new Uint32Array(b.length + 1)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] =
+        a[i] === b[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  // Pair up a run of removed and added lines as "changed" rows
+  const flush = () => {
+    const count = Math.max(removed.length, added.length);
+    for (let k = 0; k < count; k++) {
+      const left = removed[k];
+      const right = added[k];
+      rows.push({
+        type: left && right ? "changed" : left ? "removed" : "added",
+        left: left?.text,
+        right: right?.text,
+        leftLine: left?.line,
+        rightLine: right?.line,
+      });
+    }
+    removed = [];
+    added = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      flush();
+      rows.push({
+        type: "same",
+        left: a[i],
+        right: b[j],
+        leftLine: i + 1,
+        rightLine: j + 1,
+      });
+      i++;
+      j++;
+    } else if (
+      j < b.length &&
+      (i >= a.length || table[i][j + 1] >= table[i + 1][j])
+    ) {
+      added.push({ text: b[j], line: j + 1 });
+      j++;
+    } else {
+      removed.push({ text: a[i], line: i + 1 });
+      i++;
+    }
+  }
+  flush();
+
+  return rows;
+}
+
+// Compare two versions file by file
+export function diffVersions(projectId, fromId, toId) {
+  const from = getVersion(projectId, fromId);
+  const to = getVersion(projectId, toId);
+  const paths = [
+    ...new Set([...Object.keys(from.files), ...Object.keys(to.files)]),
+  ].sort();
+
+  const files = [];
+  for (const filePath of paths) {
+    const beforeHash = from.files[filePath];
+    const afterHash = to.files[filePath];
+    if (beforeHash === afterHash) continue;
+
+    const status = !beforeHash ? "added" : !afterHash ? "deleted" : "modified";
+    const entry = { path: filePath, status };
+
+    if (isTextFile(filePath)) {
+      const before = beforeHash
+        ? readObject(projectId, beforeHash).toString("utf-8")
+        : "";
+      const after = afterHash
+        ? readObject(projectId, afterHash).toString("utf-8")
+        : "";
+      entry.rows = diffLines(before, after);
+    }
+    files.push(entry);
+  }
+
+  return {
+    from: summarize(from),
+    to: summarize(to),
+    files,
+  };
+}
+
+// Put the project's files back to a version, then record that as a new
+// version so the restore itself can be undone.
+export function restoreVersion(projectId, projectPath, versionId) {
+  const version = getVersion(projectId, versionId);
+
+  // Keep whatever is on disk right now before overwriting it
+  createSnapshot(projectId, projectPath, {
+    label: `Before restoring v${version.id}`,
+    source: "restore",
+  });
+
+  for (const relPath of collectFiles(projectPath)) {
+    if (!(relPath in version.files)) {
+      fs.unlinkSync(path.join(projectPath, relPath));
+    }
+  }
+  for (const [relPath, hash] of Object.entries(version.files)) {
+    const fullPath = path.join(projectPath, relPath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, readObject(projectId, hash));
+  }
+
+  return createSnapshot(projectId, projectPath, {
+    label: `Restored v${version.id}`,
+    source: "restore",
+  });
+}
+
+// Drop every stored version of a deleted project
+export function deleteHistory(projectId) {
+  fs.rmSync(getHistoryPath(projectId), { recursive: true, force: true });
+}
@@ -0,0 +1,143 @@
+import AdmZip from "adm-zip";
+import fs from "fs";
+import path from "path";
+import { sanitizePath } from "./sandbox.js";
+
+// Upload limits
+export const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024; // 5MB per file
+export const MAX_IMPORT_TOTAL_SIZE = 25 * 1024 * 1024; // 25MB per project
+export const MAX_IMPORT_FILES = 500;
+
+const ALLOWED_EXTENSIONS = [
+  ".html",
+  ".htm",
+  ".css",
+  ".js",
+  ".json",
+  ".txt",
+  ".md",
+  ".xml",
+  ".webmanifest",
+  ".svg",
+  ".png",
+  ".jpg",
+  ".jpeg",
+  ".gif",
+  ".webp",
+  ".ico",
+  ".woff",
+  ".woff2",
+  ".ttf",
+  ".otf",
+];
+
+// OS clutter that is silently dropped instead of rejected
+function isJunkPath(filePath) {
+  return (
+    filePath.startsWith("__MACOSX/") ||
+    path.basename(filePath) === ".DS_Store" ||
+    path.basename(filePath) === "Thumbs.db"
+  );
+}
+
+// Check one incoming file and return its safe relative path
+function validateEntry(filePath, size) {
+  const safePath = sanitizePath(filePath.replace(/\\/g, "/"));
+  const extension = path.extname(safePath).toLowerCase();
+
+  if (!ALLOWED_EXTENSIONS.includes(extension)) {
+    throw new Error(`File type not allowed: ${filePath}`);
+  }
+  if (size > MAX_IMPORT_FILE_SIZE) {
+    throw new Error(`File too large: ${filePath} (max 5MB)`);
+  }
+  return safePath;
+}
+
+// If every file sits in one top-level folder (typical for zipped sites),
+// drop that folder so index.html ends up in the project root
+function stripCommonRoot(entries) {
+  const roots = new Set(entries.map((entry) => entry.path.split("/")[0]));
+  if (roots.size !== 1 || entries.some((e) => !e.path.includes("/"))) {
+    return entries;
+  }
+  const [root] = roots;
+  return entries.map((entry) => ({
+    ...entry,
+    path: entry.path.slice(root.length + 1),
+  }));
+}
+
+function checkTotals(entries) {
+  if (entries.length === 0) {
+    throw new Error("No files to import");
+  }
+  if (entries.length > MAX_IMPORT_FILES) {
+    throw new Error(`Too many files (max ${MAX_IMPORT_FILES})`);
+  }
+  const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  if (total > MAX_IMPORT_TOTAL_SIZE) {
+    throw new Error("Upload too large (max 25MB uncompressed)");
+  }
+}
+
+// Read a ZIP buffer into validated { path, size, read() } entries. Sizes
+// come from the central directory, so nothing is inflated before the
+// limits pass (zip bombs are rejected up front).
+export function readZipEntries(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new Error(`Invalid ZIP archive: ${error.message}`);
+  }
+
+  const entries = [];
+  for (const entry of zip.getEntries()) {
+    if (entry.isDirectory || isJunkPath(entry.entryName)) continue;
+
+    // Unix mode lives in the high 16 bits of the external attributes
+    const mode = (entry.header.attr >>> 16) & 0o170000;
+    if (mode === 0o120000) {
+      throw new Error(`Symlinks are not allowed: ${entry.entryName}`);
+    }
+
+    entries.push({
+      path: validateEntry(entry.entryName, entry.header.size),
+      size: entry.header.size,
+      read: () => entry.getData(),
+    });
+  }
+
+  const stripped = stripCommonRoot(entries);
+  checkTotals(stripped);
+  return stripped;
+}
+
+// Validate multer files; the client sends each file's relative path as
+// its filename (e.g. "css/style.css")
+export function readUploadedFiles(files) {
+  const entries = files
+    .filter((file) => !isJunkPath(file.originalname))
+    .map((file) => ({
+      path: validateEntry(file.originalname, file.size),
+      size: file.size,
+      read: () => file.buffer,
+    }));
+
+  const stripped = stripCommonRoot(entries);
+  checkTotals(stripped);
+  return stripped;
+}
+
+// Write validated entries into a fresh project folder
+export function writeImportedFiles(projectPath, entries) {
+  const written = [];
+  for (const entry of entries) {
+    const fullPath = path.join(projectPath, entry.path);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, entry.read());
+    written.push({ path: entry.path, size: entry.size });
+  }
+  return written;
+}
@@ -1,6 +1,5 @@
 import bodyParser from "body-parser";
-import Groq from "groq-sdk";
-import { execSync } from "child_process";
+import crypto from "crypto";
 import express from "express";
 import os from "os";
 import fs from "fs";
@@ -8,22 +7,190 @@ import path from "path";
 import cors from "cors";
 import helmet from "helmet";
 import rateLimit from "express-rate-limit";
+import multer from "multer";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
+import { runAgentLoop } from "./agent.js";
+import {
+  SESSION_TTL_MS,
+  createApiKey,
+  createSession,
+  createUser,
+  deleteApiKey,
+  deleteSession,
+  getApiKeyNameError,
+  getApiKeyUser,
+  getPasswordError,
+  getSessionUser,
+  getUser,
+  getUsernameError,
+  hasUsers,
+  listApiKeys,
+  verifyPassword,
+} from "./auth.js";
+import {
+  DEFAULT_PROVIDER,
+  getProviderError,
+  listProviders,
+  resolveProvider,
+} from "./providers.js";
+import { createToolContext } from "./tools.js";
+import { exportSingleFile, streamProjectZip } from "./export.js";
+import { buildRepairPrompt, validateProject } from "./validator.js";
+import {
+  buildMultiPagePrompt,
+  getPagesError,
+  listPages,
+  planSiteMap,
+} from "./sitemap.js";
+import {
+  buildTemplatePrompt,
+  copyTemplate,
+  getTemplate,
+  getTemplateError,
+  listTemplates,
+} from "./templates.js";
+import {
+  auditProject,
+  buildA11yRepairPrompt,
+  deleteAuditReport,
+  getAuditReport,
+  saveAuditReport,
+} from "./a11y.js";
+import {
+  MAX_ASSET_FILES,
+  MAX_ASSET_FILE_SIZE,
+  buildAssetsPrompt,
+  copyAssetManifest,
+  deleteAsset,
+  deleteAssetManifest,
+  generatePlaceholders,
+  getAssetFileError,
+  listAssets,
+  saveAssets,
+} from "./assets.js";
+import { createLiveReload } from "./livereload.js";
+import {
+  getUsageRangeError,
+  getUsageReport,
+  recordUsage,
+  summarizeCalls,
+} from "./usage.js";
+import {
+  captureScreenshots,
+  deleteScreenshots,
+  diffScreenshots,
+  getDiffFile,
+  getManifest,
+  getScreenshotFile,
+  getScreenshotsUnavailableReason,
+  listScreenshots,
+} from "./screenshots.js";
+import {
+  deleteSeoReport,
+  getSeoReport,
+  getSiteUrlError,
+  runSeo,
+  saveSeoReport,
+} from "./seo.js";
+import {
+  BUILDS_DIR,
+  DEFAULT_TARGET,
+  buildTarget,
+  deleteBuild,
+  getBuildPath,
+  getTarget,
+  getTargetError,
+  listTargets,
+  prepareTarget,
+} from "./targets.js";
+import {
+  applyBrandKit,
+  buildBrandKitPrompt,
+  deleteBrandKit,
+  getBrandKit,
+  getBrandKitError,
+  getBrandKitIdError,
+  getPaletteColors,
+  listBrandKits,
+  saveBrandKit,
+} from "./brandkits.js";
+import {
+  MAX_TITLE_LENGTH,
+  createProject,
+  deleteProjectMeta,
+  finishRun,
+  getListQueryError,
+  getProject,
+  listProjects,
+  startRun,
+  syncProjects,
+  titleFromHtml,
+  titleFromPrompt,
+  updateProject,
+} from "./store.js";
+import {
+  MAX_IMPORT_FILES,
+  MAX_IMPORT_TOTAL_SIZE,
+  readUploadedFiles,
+  readZipEntries,
+  writeImportedFiles,
+} from "./importer.js";
+import {
+  createSnapshot,
+  deleteHistory,
+  diffVersions,
+  listVersions,
+  readVersionFile,
+  restoreVersion,
+} from "./history.js";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // Ports
 const PORT = process.env.PORT || 3000;
-const PREVIEW_PORT = 5000;
+const PREVIEW_PORT = process.env.PREVIEW_PORT || 5000;
+
+// Agent loop limits (overridable per request, capped at these values)
+const MAX_AGENT_STEPS = parseInt(process.env.MAX_AGENT_STEPS, 10) || 15;
+const MAX_AGENT_TOKENS = parseInt(process.env.MAX_AGENT_TOKENS, 10) || 60000;
+// Wall-clock limit of the agent steps of one build or edit
+const AGENT_TIMEOUT_MS = parseInt(process.env.AGENT_TIMEOUT_MS, 10) || 600000;
+
+// Builds and edits per user and hour (a user's buildsPerHour overrides it)
+const USER_BUILDS_PER_HOUR =
+  parseInt(process.env.USER_BUILDS_PER_HOUR, 10) || 30;
+
+// Automatic repair rounds after the post-build validation
+const MAX_REPAIR_ROUNDS = parseInt(process.env.MAX_REPAIR_ROUNDS, 10) || 1;
+const MAX_REPAIR_STEPS = parseInt(process.env.MAX_REPAIR_STEPS, 10) || 5;
+
 const app = express();
 // Folder to serve websites from
 const WEBSITES_DIR = path.join(__dirname, "websites");
+const LIVE_RELOAD = process.env.LIVE_RELOAD !== "false";
+// Browser sessions of the web app; API clients send an API key instead
+const SESSION_COOKIE = "cp_session";
+// Lets the screenshot browser of this process through the preview sign-in
+const PREVIEW_TOKEN = crypto.randomBytes(24).toString("hex");
+// Anyone may create an account while there is none (the first one is an
+// admin); after that only admins, unless ALLOW_SIGNUP=true
+const ALLOW_SIGNUP = process.env.ALLOW_SIGNUP === "true";
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
 
 if (!fs.existsSync(WEBSITES_DIR)) {
   fs.mkdirSync(WEBSITES_DIR, { recursive: true });
 }
 
+// Older project folders get a metadata record on first start
+const syncedProjects = syncProjects(WEBSITES_DIR);
+if (syncedProjects > 0) {
+  console.log(`🗃 Created metadata for ${syncedProjects} existing projects`);
+}
+
 // Security middleware - Less restrictive for development
 app.use(
   helmet({
@@ -54,29 +221,50 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// CORS configuration - Fixed for development
-app.use(
-  cors({
-    origin: function (origin, callback) {
-      // Allow requests with no origin (like mobile apps or curl requests)
-      if (!origin) return callback(null, true);
-
-      // In development, allow localhost on any port
-      if (process.env.NODE_ENV !== "production") {
-        if (origin.includes("localhost") || origin.includes("127.0.0.1")) {
-          return callback(null, true);
-        }
-      }
+// Pages on the preview server run generated or imported code, so its
+// origin never gets to call the API with the viewer's session, whatever
+// host name it is reached by
+function isPreviewOrigin(origin) {
+  try {
+    return new URL(origin).port === String(PREVIEW_PORT);
+  } catch {
+    return false;
+  }
+}
 
-      // In production, check allowed origins
-      const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(",") || [];
-      if (allowedOrigins.includes(origin)) {
-        return callback(null, true);
-      }
+// Browser origins allowed to call the API: ALLOWED_ORIGINS and, outside
+// production, localhost on any port but the preview server's
+function isAllowedOrigin(origin) {
+  if (isPreviewOrigin(origin)) return false;
+  if (ALLOWED_ORIGINS.includes(origin)) return true;
+  if (process.env.NODE_ENV === "production") return false;
+  try {
+    return ["localhost", "127.0.0.1", "[::1]"].includes(
+      new URL(origin).hostname
+    );
+  } catch {
+    return false;
+  }
+}
 
-      // Default: allow all origins if no specific config (development fallback)
-      return callback(null, true);
-    },
+// Requests from other origins are refused outright: without CORS headers
+// the browser hides the response, but the request itself would still run
+app.use((req, res, next) => {
+  const origin = req.get("origin");
+  // Requests with no origin (curl, API clients, same-origin GETs) pass
+  if (!origin || isAllowedOrigin(origin)) return next();
+
+  console.warn(`🚫 Refused request from origin ${origin}`);
+  res.status(403).json({
+    success: false,
+    error: `Origin not allowed: ${origin}`,
+  });
+});
+
+app.use(
+  cors({
+    origin: (origin, callback) =>
+      callback(null, !origin || isAllowedOrigin(origin)),
     credentials: true,
     methods: ["POST", "GET", "OPTIONS", "PUT", "DELETE"],
     allowedHeaders: [
@@ -84,6 +272,7 @@ app.use(
       "Authorization",
       "X-Requested-With",
       "Accept",
+      "X-API-Key",
     ],
     optionsSuccessStatus: 200, // For legacy browser support
   })
@@ -94,32 +283,316 @@ app.use(
 
 app.use(express.json());
 
-app.get("/api/ping", (req, res) => {
-  res.send("✅ API is live");
+// --------------------
+// Accounts
+// --------------------
+
+// Reachable without signing in
+const PUBLIC_API_PATHS = [
+  "/ping",
+  "/auth/me",
+  "/auth/login",
+  "/auth/logout",
+  "/auth/register",
+];
+
+function getCookie(req, name) {
+  for (const part of (req.get("cookie") || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+// The user behind a request: an API key ("Authorization: Bearer <key>" or
+// X-API-Key), else the session cookie of the web app
+function authenticateRequest(req) {
+  const apiKey =
+    req.get("authorization")?.match(/^Bearer\s+(\S+)$/i)?.[1] ||
+    req.get("x-api-key");
+  if (apiKey) return getApiKeyUser(apiKey);
+  return getSessionUser(getCookie(req, SESSION_COOKIE));
+}
+
+app.use("/api", (req, res, next) => {
+  req.user = authenticateRequest(req);
+  if (req.user || PUBLIC_API_PATHS.includes(req.path)) return next();
+
+  res.status(401).json({
+    success: false,
+    error: "Sign in or send an API key (Authorization: Bearer <key>)",
+  });
+});
+
+function isSignupOpen() {
+  return ALLOW_SIGNUP || !hasUsers();
+}
+
+function startSession(res, username) {
+  const { token } = createSession(username);
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    maxAge: SESSION_TTL_MS,
+    path: "/",
+  });
+}
+
+// Password guessing is limited per IP, in development too
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: {
+    success: false,
+    error: "Too many sign-in attempts, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Builds and edits run the model, so each user gets a quota of their own
+const buildLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: (req) => req.user.buildsPerHour || USER_BUILDS_PER_HOUR,
+  keyGenerator: (req) => req.user.username,
+  message: {
+    success: false,
+    error: "Build quota reached, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
 });
-let groq;
-try {
-  if (!process.env.GROQ_API_KEY) {
-    throw new Error("GROQ_API_KEY environment variable is required");
+
+// Returns an error message for an invalid account request body. Only
+// admins pick a role or quota for the accounts they create.
+function getAccountError(
+  { username, password, role, buildsPerHour },
+  { isAdmin }
+) {
+  const usernameError = getUsernameError(username);
+  if (usernameError) return usernameError;
+  const passwordError = getPasswordError(password);
+  if (passwordError) return passwordError;
+  if ((role !== undefined || buildsPerHour !== undefined) && !isAdmin) {
+    return "Only admins can set role and buildsPerHour";
   }
-  groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
-} catch (error) {
-  console.error("❌ Failed to initialize Groq client:", error.message);
-  process.exit(1);
+  if (role !== undefined && !["user", "admin"].includes(role)) {
+    return "role must be user or admin";
+  }
+  if (
+    buildsPerHour !== undefined &&
+    buildsPerHour !== null &&
+    (!Number.isInteger(buildsPerHour) || buildsPerHour < 1)
+  ) {
+    return "buildsPerHour must be a positive integer";
+  }
+  return null;
 }
 
-const platform = os.platform();
+// The signed-in user, null when there is none
+app.get("/api/auth/me", (req, res) => {
+  res.json({
+    success: true,
+    user: req.user,
+    signupOpen: isSignupOpen(),
+  });
+});
 
-// Utility functions
-function sanitizePath(filePath) {
-  // Prevent directory traversal attacks
-  const normalizedPath = path.normalize(filePath);
-  if (normalizedPath.includes("..") || path.isAbsolute(normalizedPath)) {
-    throw new Error("Invalid file path: directory traversal not allowed");
+// Create an account: the first one (an admin) or, with ALLOW_SIGNUP, any.
+// Admins can create accounts at any time.
+app.post("/api/auth/register", loginLimiter, (req, res) => {
+  const isAdmin = req.user?.role === "admin";
+  if (!isAdmin && !isSignupOpen()) {
+    return res.status(403).json({
+      success: false,
+      error: "Sign-up is closed, ask an admin for an account",
+    });
+  }
+
+  const accountError = getAccountError(req.body || {}, { isAdmin });
+  if (accountError) {
+    return res.status(400).json({ success: false, error: accountError });
+  }
+  const { username, password, role, buildsPerHour } = req.body;
+  if (getUser(username)) {
+    return res.status(409).json({
+      success: false,
+      error: `User already exists: ${username}`,
+    });
+  }
+
+  try {
+    const user = createUser({
+      username,
+      password,
+      role: hasUsers() ? role : "admin",
+      buildsPerHour,
+    });
+    // Creating someone else's account keeps the admin signed in
+    if (!isAdmin) {
+      startSession(res, user.username);
+    }
+
+    console.log(`👤 Created ${user.role} account ${user.username}`);
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post("/api/auth/login", loginLimiter, (req, res) => {
+  const { username, password } = req.body || {};
+  const user =
+    typeof password === "string" && verifyPassword(username, password);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: "Wrong username or password",
+    });
+  }
+
+  startSession(res, user.username);
+  console.log(`🔑 ${user.username} signed in`);
+  res.json({ success: true, user });
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  deleteSession(getCookie(req, SESSION_COOKIE));
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+  res.json({ success: true });
+});
+
+// API keys of the signed-in user; a new key is only shown once
+app.get("/api/auth/keys", (req, res) => {
+  res.json({ success: true, keys: listApiKeys(req.user.username) });
+});
+
+app.post("/api/auth/keys", (req, res) => {
+  const nameError = getApiKeyNameError(req.body?.name);
+  if (nameError) {
+    return res.status(400).json({ success: false, error: nameError });
+  }
+
+  try {
+    const apiKey = createApiKey(req.user.username, req.body?.name);
+    console.log(`🔑 Created API key ${apiKey.id} for ${req.user.username}`);
+    res.status(201).json({ success: true, apiKey });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete("/api/auth/keys/:keyId", (req, res) => {
+  if (!deleteApiKey(req.user.username, req.params.keyId)) {
+    return res.status(404).json({
+      success: false,
+      error: `API key not found: ${req.params.keyId}`,
+    });
   }
-  return normalizedPath;
+  res.json({ success: true, id: req.params.keyId });
+});
+
+app.get("/api/ping", (req, res) => {
+  res.send("✅ API is live");
+});
+
+// Model providers are chosen per request, see providers.js
+if (!process.env.GROQ_API_KEY) {
+  console.warn(
+    "⚠️ GROQ_API_KEY is not set, the groq provider is disabled (openai and replay still work)"
+  );
 }
 
+app.get("/api/providers", (req, res) => {
+  res.json({
+    success: true,
+    defaultProvider: DEFAULT_PROVIDER,
+    providers: listProviders(),
+  });
+});
+
+// Starter templates a build can begin from (bundled and TEMPLATE_DIRS)
+app.get("/api/templates", (req, res) => {
+  try {
+    const templates = listTemplates();
+    res.json({ success: true, templates, count: templates.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Output targets a build can produce, with whether their tools are installed
+app.get("/api/targets", (req, res) => {
+  try {
+    const targets = listTargets();
+    res.json({
+      success: true,
+      defaultTarget: DEFAULT_TARGET,
+      targets,
+      count: targets.length,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Brand kits: palette, fonts, spacing, radius, logo and tone of voice
+app.get("/api/brand-kits", (req, res) => {
+  try {
+    const brandKits = listBrandKits();
+    res.json({ success: true, brandKits, count: brandKits.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/api/brand-kits/:id", (req, res) => {
+  const kit = getBrandKit(req.params.id);
+  if (!kit) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown brand kit: ${req.params.id}`,
+    });
+  }
+  const { path: _kitPath, ...brandKit } = kit;
+  res.json({ success: true, brandKit });
+});
+
+// Create or replace a brand kit; the id defaults to the slugified name.
+// Only the kit's owner and admins can replace or delete it.
+app.post("/api/brand-kits", (req, res) => {
+  const kitError = getBrandKitError(req.body);
+  if (kitError) {
+    return res.status(400).json({ success: false, error: kitError });
+  }
+
+  try {
+    const brandKit = saveBrandKit(req.body, req.user);
+    console.log(`🎨 Saved brand kit ${brandKit.id}`);
+    res.status(201).json({ success: true, brandKit });
+  } catch (error) {
+    res
+      .status(error.status || 400)
+      .json({ success: false, error: error.message });
+  }
+});
+
+app.delete("/api/brand-kits/:id", (req, res) => {
+  try {
+    deleteBrandKit(req.params.id, req.user);
+    console.log(`🗑 Deleted brand kit ${req.params.id}`);
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    res
+      .status(error.status || 400)
+      .json({ success: false, error: error.message });
+  }
+});
+
+const platform = os.platform();
+
+// Utility functions
 function generateProjectId() {
   return `website_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
 }
@@ -128,573 +601,1779 @@ function getProjectPath(projectId) {
   return path.join(WEBSITES_DIR, projectId);
 }
 
-function isValidCommand(command) {
-  // Whitelist of allowed commands
-  const allowedCommands = [
-    "mkdir",
-    "touch",
-    "echo",
-    "ls",
-    "cat",
-    "pwd",
-    "cp",
-    "mv",
-    "rm",
-    "find",
-    "grep",
-    "head",
-    "tail",
-    "wc",
-    "sort",
-    "uniq",
-  ];
-
-  const commandName = command.trim().split(" ")[0];
-
-  // Block dangerous commands
-  const blockedCommands = [
-    "sudo",
-    "su",
-    "chmod",
-    "chown",
-    "passwd",
-    "useradd",
-    "userdel",
-    "systemctl",
-    "service",
-    "kill",
-    "killall",
-    "reboot",
-    "shutdown",
-    "curl",
-    "wget",
-    "ssh",
-    "scp",
-    "rsync",
-    "dd",
-    "format",
-    "fdisk",
-    "mount",
-    "umount",
-    "crontab",
-    "at",
-    "nohup",
-    "screen",
-    "tmux",
-  ];
-
-  if (blockedCommands.includes(commandName)) {
-    throw new Error(
-      `Command '${commandName}' is not allowed for security reasons`
-    );
+function isValidProjectId(projectId) {
+  // Project ids are plain folder names, never paths
+  return (
+    typeof projectId === "string" &&
+    /^[A-Za-z0-9_-]+$/.test(projectId) &&
+    fs.existsSync(getProjectPath(projectId))
+  );
+}
+
+// Remove a project with its files, metadata, version history and reports
+function discardProject(projectId) {
+  fs.rmSync(getProjectPath(projectId), { recursive: true, force: true });
+  deleteProjectMeta(projectId);
+  deleteHistory(projectId);
+  deleteBuild(projectId);
+  deleteAuditReport(projectId);
+  deleteSeoReport(projectId);
+  deleteScreenshots(projectId);
+  deleteAssetManifest(projectId);
+}
+
+// Who a request is accounted to in the usage ledger and who owns the
+// projects it creates
+function getRequestUser(req) {
+  return req.user.username;
+}
+
+// Admins reach every project, other users only their own
+function canAccessProject(user, projectId) {
+  return (
+    user.role === "admin" || getProject(projectId)?.owner === user.username
+  );
+}
+
+// Other users' projects answer like missing ones
+function checkProjectOwner(req, res, next) {
+  const projectId = req.params.id;
+  if (isValidProjectId(projectId) && !canAccessProject(req.user, projectId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Project not found: ${projectId}`,
+    });
+  }
+  next();
+}
+app.use("/api/projects/:id", checkProjectOwner);
+app.use("/api/websites/:id", checkProjectOwner);
+
+// Built targets (React, Astro) are previewed from their build output
+function getServedPath(projectId) {
+  const buildPath = getBuildPath(projectId);
+  return fs.existsSync(path.join(buildPath, "index.html"))
+    ? buildPath
+    : getProjectPath(projectId);
+}
+
+// Saved versions are served from the history store, for side-by-side
+// comparison with the current files. Built targets show their sources.
+function getVersionPreviewUrl(projectId, versionId) {
+  return `http://localhost:${PREVIEW_PORT}/__versions/${projectId}/${versionId}/`;
+}
+
+// API links to a version's screenshots, and the desktop home page one
+// used as the project's thumbnail
+function getScreenshotUrls(manifest) {
+  return {
+    ...manifest,
+    shots: manifest.shots.map((shot) => ({
+      ...shot,
+      url: `http://localhost:${PORT}/api/projects/${manifest.projectId}/screenshots/${manifest.versionId}/${shot.viewport}/${shot.page}`,
+    })),
+  };
+}
+
+function getThumbnailUrl(projectId) {
+  const [latest] = listScreenshots(projectId);
+  const shot = latest?.shots.find(
+    (s) => s.viewport === "desktop" && s.page === "index.html"
+  );
+  return shot
+    ? `http://localhost:${PORT}/api/projects/${projectId}/screenshots/${latest.versionId}/desktop/index.html`
+    : null;
+}
+
+// Screenshot a version through the preview server. The latest version is
+// the project as served now (build output included); older versions are
+// rendered from the history store, which for built targets means sources.
+function captureVersionScreenshots(projectId, versionId) {
+  const versions = listVersions(projectId);
+  const latest = versions[versions.length - 1];
+  if (!versions.some((version) => version.id === Number(versionId))) {
+    return Promise.reject(new Error(`Version not found: ${versionId}`));
+  }
+  const baseUrl =
+    Number(versionId) === latest.id
+      ? `http://localhost:${PREVIEW_PORT}/${projectId}/`
+      : getVersionPreviewUrl(projectId, versionId);
+  const pages = getPages(projectId)
+    .filter((page) => page.exists)
+    .map((page) => page.path);
+  return captureScreenshots(
+    projectId,
+    versionId,
+    baseUrl,
+    pages.length > 0 ? pages : ["index.html"],
+    { headers: { "X-Preview-Token": PREVIEW_TOKEN } }
+  );
+}
+
+function getPreviewUrl(projectId) {
+  return fs.existsSync(path.join(getServedPath(projectId), "index.html"))
+    ? `http://localhost:${PREVIEW_PORT}/${projectId}/`
+    : null;
+}
+
+function getAssetPreviewUrl(projectId, asset) {
+  return `http://localhost:${PREVIEW_PORT}/${projectId}/${asset.url}`;
+}
+
+// Built targets serve public/ from their last build, so uploaded assets
+// are copied into it (and removed from it) right away instead of waiting
+// for the next build
+function syncAssetsToBuild(projectId, assets, { remove = false } = {}) {
+  const buildPath = getBuildPath(projectId);
+  if (!fs.existsSync(buildPath)) return;
+
+  for (const asset of assets) {
+    // Not under public/
+    if (asset.url === asset.file) continue;
+    for (const { url, file } of [asset, ...asset.variants]) {
+      const builtPath = path.join(buildPath, url);
+      if (remove) {
+        fs.rmSync(builtPath, { force: true });
+      } else {
+        fs.mkdirSync(path.dirname(builtPath), { recursive: true });
+        fs.copyFileSync(path.join(getProjectPath(projectId), file), builtPath);
+      }
+    }
+  }
+}
+
+// Pages of a project with their preview links, for the page switcher
+function getPages(projectId, plannedSiteMap) {
+  return listPages(getServedPath(projectId), plannedSiteMap).map((page) => ({
+    ...page,
+    previewUrl: page.exists
+      ? `http://localhost:${PREVIEW_PORT}/${projectId}/${page.path}`
+      : null,
+  }));
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Text files the model is allowed to see when editing a project
+const EDITABLE_EXTENSIONS = [
+  ".html",
+  ".css",
+  ".js",
+  ".jsx",
+  ".mjs",
+  ".ts",
+  ".tsx",
+  ".astro",
+  ".json",
+  ".md",
+  ".txt",
+  ".svg",
+];
+const MAX_CONTEXT_FILE_SIZE = 100 * 1024; // 100KB per file
+
+function readProjectFiles(projectPath, relDir = ".") {
+  const files = {};
+  const entries = fs.readdirSync(path.join(projectPath, relDir), {
+    withFileTypes: true,
+  });
+
+  for (const entry of entries) {
+    const relPath = path.join(relDir, entry.name);
+    if (entry.isDirectory()) {
+      Object.assign(files, readProjectFiles(projectPath, relPath));
+      continue;
+    }
+    // Symlinks are skipped so they can't pull outside files into context
+    const extension = path.extname(entry.name).toLowerCase();
+    if (!entry.isFile() || !EDITABLE_EXTENSIONS.includes(extension)) {
+      continue;
+    }
+    const fullPath = path.join(projectPath, relPath);
+    if (fs.statSync(fullPath).size > MAX_CONTEXT_FILE_SIZE) continue;
+    files[relPath] = fs.readFileSync(fullPath, "utf-8");
+  }
+
+  return files;
+}
+
+// Files of a project the model works on: generated output such as the
+// compiled Tailwind CSS is left out
+function readSourceFiles(projectPath, outputTarget) {
+  const files = readProjectFiles(projectPath);
+  for (const file of getTarget(outputTarget).generatedFiles || []) {
+    delete files[file];
+  }
+  return files;
+}
+
+// Compare two readProjectFiles() snapshots
+function diffProjectFiles(before, after) {
+  const changes = [];
+  for (const [filePath, content] of Object.entries(after)) {
+    if (!(filePath in before)) {
+      changes.push({ path: filePath, status: "added", content });
+    } else if (before[filePath] !== content) {
+      changes.push({ path: filePath, status: "modified", content });
+    }
+  }
+  for (const filePath of Object.keys(before)) {
+    if (!(filePath in after)) {
+      changes.push({ path: filePath, status: "deleted", content: null });
+    }
+  }
+  return changes;
+}
+
+// Shared part of every system prompt: role and tools. The file layout and
+// coding rules come from the output target (see targets.js).
+const basePrompt = `You are an expert AI website builder that creates complete, professional websites.
+
+IMPORTANT: All files should be created in the current project directory. Do NOT use absolute paths or create folders outside the project.
+
+CAPABILITIES:
+- CreateDirectory: Create folders like css/ or assets/images/ in the project directory
+- WriteFile: Create complete HTML, CSS, JS files with full content - files saved in project directory
+- ReadFile: Read existing files to understand structure
+- ListDirectory: Explore project structure
+- ApplyPatch: Change part of an existing file with exact search/replace pairs
+- SearchFiles: Find text across the project files
+- MoveFile / CopyFile / DeleteFile: Reorganize files inside the project
+- ListAssets: See the uploaded images and fonts with their sizes, alt text hints and srcset. Images you reference that don't exist get a placeholder shaped by the <img> width and height attributes
+All paths are relative to the project root. There is no shell unless an ExecuteCommand tool is listed.`;
+
+function getSystemPrompt(outputTarget) {
+  return `${basePrompt}\n\n${getTarget(outputTarget).prompt}`;
+}
+
+// System prompt for follow-up edits on an existing project
+function buildEditPrompt(projectFiles, outputTarget) {
+  const fileDump = Object.entries(projectFiles)
+    .map(([filePath, content]) => `--- ${filePath} ---\n${content}`)
+    .join("\n\n");
+
+  return `${getSystemPrompt(outputTarget)}
+
+EDIT MODE:
+You are editing an EXISTING website. Its current files are listed below.
+- Apply only the change the user asks for and keep everything else intact
+- Prefer ApplyPatch for small changes, use WriteFile with the COMPLETE new content for rewrites
+- Use ReadFile or ListDirectory if you need to double-check something
+- Do not recreate files that do not need changes
+- If the site has a sitemap.json, keep header, nav and footer identical on every page and update sitemap.json when pages are added or removed
+
+CURRENT PROJECT FILES:
+${fileDump || "(project is empty)"}`;
+}
+
+// Use a per-request limit if it is a positive number, never above the cap
+function clampLimit(value, cap) {
+  const parsed = parseInt(value, 10);
+  if (!parsed || parsed < 1) return cap;
+  return Math.min(parsed, cap);
+}
+
+// Returns an error message for an invalid build/edit request body,
+// null when it is fine
+function validateJobRequest({
+  userPrompt,
+  provider,
+  model,
+  fallbackModel,
+  replay,
+  pages,
+  templateId,
+  brandKitId,
+  outputTarget,
+  siteUrl,
+}) {
+  if (!userPrompt || typeof userPrompt !== "string") {
+    return "Valid userPrompt is required";
+  }
+  if (userPrompt.length > 2000) {
+    return "Prompt too long (max 2000 characters)";
+  }
+  const pagesError = getPagesError(pages);
+  if (pagesError) return pagesError;
+  const templateError = getTemplateError(templateId);
+  if (templateError) return templateError;
+  const brandKitError = getBrandKitIdError(brandKitId);
+  if (brandKitError) return brandKitError;
+  const targetError = getTargetError(outputTarget);
+  if (targetError) return targetError;
+  const siteUrlError = getSiteUrlError(siteUrl);
+  if (siteUrlError) return siteUrlError;
+  // Templates and site maps are plain HTML pages
+  if ((pages || templateId) && !getTarget(outputTarget).staticPages) {
+    return `pages and templateId are not available for the ${outputTarget} target`;
+  }
+  return getProviderError({ provider, model, fallbackModel, replay });
+}
+
+// Create a fresh project folder and the conversation for a new build.
+// A `pages` list (e.g. ["Home", "About"]) switches to multi-page mode,
+// a `templateId` starts the project from a copy of that template and a
+// `brandKitId` writes the brand's css/tokens.css and style rules,
+// `outputTarget` picks the kind of project (see targets.js) and `siteUrl`
+// is the public base URL used by the SEO stage.
+function prepareBuildJob({
+  userPrompt,
+  pages,
+  templateId,
+  brandKitId,
+  outputTarget = DEFAULT_TARGET,
+  siteUrl,
+}) {
+  const projectId = generateProjectId();
+  const projectPath = getProjectPath(projectId);
+  const siteMap = pages ? planSiteMap(pages) : null;
+
+  // Create project directory
+  fs.mkdirSync(projectPath, { recursive: true });
+
+  let prompt = getSystemPrompt(outputTarget);
+  prepareTarget(outputTarget, projectPath);
+  if (templateId) {
+    copyTemplate(templateId, projectPath);
+  }
+  const brandKit = brandKitId ? getBrandKit(brandKitId) : null;
+  if (brandKit) {
+    const logoPath = applyBrandKit(brandKit, projectPath);
+    prompt += `\n\n${buildBrandKitPrompt(brandKit, logoPath)}`;
+  }
+  if (templateId) {
+    prompt += `\n\n${buildTemplatePrompt(
+      getTemplate(templateId),
+      readProjectFiles(projectPath)
+    )}`;
+  }
+  if (siteMap) {
+    prompt += `\n\n${buildMultiPagePrompt(siteMap)}`;
+  }
+
+  console.log(
+    `🚀 Building website: "${userPrompt.substring(
+      0,
+      100
+    )}..." in project: ${projectId}`
+  );
+
+  return {
+    kind: "build",
+    projectId,
+    projectPath,
+    userPrompt,
+    siteMap,
+    templateId,
+    outputTarget,
+    siteUrl,
+    brandKitId: brandKit?.id,
+    palette: brandKit && getPaletteColors(brandKit),
+    messages: [
+      { role: "system", content: prompt },
+      { role: "user", content: userPrompt },
+    ],
+  };
+}
+
+// Load an existing project's files into the conversation for an edit.
+// The project's brand kit (or a new `brandKitId`) and site URL keep applying.
+function prepareEditJob(projectId, { userPrompt, brandKitId, siteUrl }) {
+  const projectPath = getProjectPath(projectId);
+  const project = getProject(projectId);
+  const outputTarget = project?.outputTarget || DEFAULT_TARGET;
+  const brandKit = getBrandKit(brandKitId || project?.brandKitId);
+  let logoPath = null;
+  if (brandKitId) {
+    logoPath = applyBrandKit(brandKit, projectPath);
+  }
+  const filesBefore = readSourceFiles(projectPath, outputTarget);
+  const uploads = listAssets(projectId, projectPath).filter(
+    (asset) => asset.source === "upload"
+  );
+
+  let systemPrompt = buildEditPrompt(filesBefore, outputTarget);
+  if (brandKit) {
+    systemPrompt += `\n\n${buildBrandKitPrompt(brandKit, logoPath)}`;
+  }
+  if (uploads.length > 0) {
+    systemPrompt += `\n\n${buildAssetsPrompt(uploads)}`;
+  }
+
+  console.log(
+    `✏️ Editing project ${projectId}: "${userPrompt.substring(0, 100)}..."`
+  );
+
+  return {
+    kind: "edit",
+    projectId,
+    projectPath,
+    userPrompt,
+    filesBefore,
+    outputTarget,
+    siteUrl: siteUrl || project?.siteUrl,
+    brandKitId: brandKit?.id,
+    palette: brandKit && getPaletteColors(brandKit),
+    messages: [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: userPrompt },
+    ],
+  };
+}
+
+// Token totals as kept in the project store
+function toStoredUsage(summary) {
+  return {
+    prompt_tokens: summary.promptTokens,
+    completion_tokens: summary.completionTokens,
+    total_tokens: summary.totalTokens,
+    cost_usd: summary.costUsd,
+  };
+}
+
+// Run a job and keep its prompt, tool log and stats in the project store.
+// Its model calls go to the usage ledger, also when the run fails. A new
+// build that fails before any version was saved is removed again, other
+// failed projects keep their files and are marked "failed".
+async function runJob(job, options) {
+  const { projectId, projectPath, kind, userPrompt } = job;
+  const { user } = options;
+  const startedAt = new Date().toISOString();
+  const calls = [];
+
+  createProject(projectId, {
+    prompt: userPrompt,
+    source: kind,
+    templateId: job.templateId,
+    outputTarget: job.outputTarget,
+    owner: user,
+  });
+  startRun(projectId, { kind, prompt: userPrompt });
+
+  try {
+    const payload = await executeJob(job, { ...options, calls });
+    const { stats } = payload;
+    const status = RUN_STATUS[stats.stopReason] || "completed";
+
+    finishRun(projectId, {
+      kind,
+      prompt: userPrompt,
+      user,
+      status,
+      startedAt,
+      message: payload.message,
+      provider: stats.provider,
+      model: stats.model,
+      steps: stats.steps,
+      stopReason: stats.stopReason,
+      executionTime: stats.executionTime,
+      usage: toStoredUsage(stats.usage),
+      calls,
+      // Cancelled runs skip the checks
+      validation: stats.validation && {
+        valid: stats.validation.valid,
+        issueCount: stats.validation.issueCount,
+        initialIssueCount: stats.validation.initialIssueCount,
+        repairRounds: stats.validation.repairRounds,
+      },
+      accessibility: stats.accessibility,
+      seo: stats.seo,
+      executionResults: payload.executionResults,
+    });
+    recordUsage({ projectId, user, kind, status, summary: stats.usage });
+
+    // A generated <title> names the project better than the prompt
+    const htmlTitle = kind === "build" && titleFromHtml(projectPath);
+    if (htmlTitle) {
+      updateProject(projectId, { title: htmlTitle });
+    }
+    if (job.brandKitId) {
+      updateProject(projectId, { brandKitId: job.brandKitId });
+    }
+    if (job.siteUrl) {
+      updateProject(projectId, { siteUrl: job.siteUrl });
+    }
+
+    return payload;
+  } catch (error) {
+    const summary = summarizeCalls(job.provider, job.model, calls);
+    finishRun(projectId, {
+      kind,
+      prompt: userPrompt,
+      user,
+      status: "failed",
+      startedAt,
+      error: error.message,
+      usage: toStoredUsage(summary),
+      calls,
+    });
+    recordUsage({ projectId, user, kind, status: "failed", summary });
+
+    if (kind === "build" && listVersions(projectId).length === 0) {
+      discardProject(projectId);
+      error.discarded = true;
+      console.log(`🗑 Discarded failed build ${projectId}`);
+    }
+    throw error;
+  }
+}
+
+// Project status after a run, by the agent loop's stop reason
+const RUN_STATUS = {
+  completed: "completed",
+  cancelled: "cancelled",
+  max_steps: "incomplete",
+  token_budget: "incomplete",
+  timeout: "incomplete",
+};
+
+// Run the agent for a prepared job and build the API response payload
+async function executeJob(
+  job,
+  { body, startTime, signal, stream, calls = [], onEvent = () => {} }
+) {
+  const { projectId, projectPath, filesBefore } = job;
+  const context = createToolContext({
+    projectId,
+    projectPath,
+    scriptDirs: getTarget(job.outputTarget).scriptDirs,
+  });
+  const llm = resolveProvider(body);
+  job.provider = llm.name;
+  job.model = llm.model;
+
+  // Edits start from a saved version so a bad change can be rolled back,
+  // template builds keep the untouched template as their first version
+  if (job.kind === "edit") {
+    createSnapshot(projectId, projectPath, {
+      label: "Before edit",
+      source: "edit",
+    });
+  } else if (job.templateId) {
+    createSnapshot(projectId, projectPath, {
+      label: `Template: ${getTemplate(job.templateId).name}`,
+      source: "template",
+    });
+  }
+
+  // Snapshot the project after every agent step that ran tools
+  const versions = [];
+  const handleEvent = (event, data) => {
+    if (event === "step_done") {
+      const version = createSnapshot(projectId, projectPath, {
+        label: `Step ${data.step}: ${data.tools.join(", ")}`,
+        source: job.kind,
+        prompt: job.userPrompt,
+      });
+      if (!versions.some((v) => v.id === version.id)) {
+        versions.push(version);
+        onEvent("version", version);
+      }
+    }
+    onEvent(event, data);
+  };
+
+  const maxTokens = clampLimit(body.maxTokens, MAX_AGENT_TOKENS);
+  const agentOptions = {
+    client: llm.client,
+    model: llm.model,
+    fallbackModel: llm.fallbackModel,
+    deadline: startTime + AGENT_TIMEOUT_MS,
+    context,
+    messages: job.messages,
+    signal,
+    stream,
+    calls,
+    onEvent: handleEvent,
+  };
+
+  const run = await runAgentLoop({
+    ...agentOptions,
+    maxSteps: clampLimit(body.maxSteps, MAX_AGENT_STEPS),
+    maxTokens,
+  });
+  const executionResults = run.executionResults;
+  const usage = run.usage;
+  let { steps, finalMessage, stopReason } = run;
+  // Once the run fell back to the second model it stays there
+  agentOptions.model = run.model;
+
+  // Stats every response has, read when the response is built
+  const getRunStats = () => {
+    const executionTime = Date.now() - startTime;
+    return {
+      toolCallsExecuted: executionResults.length,
+      provider: llm.name,
+      model: llm.model,
+      fallbackModel:
+        agentOptions.model !== llm.model ? agentOptions.model : null,
+      steps,
+      stopReason,
+      tokensUsed: usage.total_tokens,
+      promptTokens: usage.prompt_tokens,
+      completionTokens: usage.completion_tokens,
+      usage: summarizeCalls(llm.name, llm.model, calls),
+      executionTime: `${executionTime}ms`,
+      timestamp: new Date().toISOString(),
+      hasIndexFile: Boolean(getPreviewUrl(projectId)),
+      outputTarget: job.outputTarget,
+    };
+  };
+
+  // A cancelled run leaves the project as the agent left it: no
+  // placeholders, build, checks, SEO tags or screenshots touch it anymore
+  const getCancelledPayload = () => {
+    console.log(`🛑 Agent run for ${projectId} cancelled after ${steps} steps`);
+    return {
+      success: true,
+      message: finalMessage,
+      projectId,
+      previewUrl: getPreviewUrl(projectId),
+      pages: getPages(projectId, job.siteMap),
+      executionResults,
+      stats: getRunStats(),
+      versions,
+    };
+  };
+  if (stopReason === "cancelled") {
+    return getCancelledPayload();
+  }
+
+  // Fill in missing images with placeholders and build the output target,
+  // then check the result: build errors, broken references, parse errors,
+  // leftover markdown, and for multi-page sites missing pages or nav links.
+  // Problems go back to the model in the same conversation for a repair.
+  let build = null;
+  const placeholders = [];
+  const checkProject = async () => {
+    const created = await generatePlaceholders(projectId, projectPath, {
+      publicDir: getTarget(job.outputTarget).publicDir,
+    });
+    if (created.length > 0) {
+      placeholders.push(...created);
+      onEvent("placeholders", { files: created.map((asset) => asset.file) });
+    }
+    build = await buildTarget(job.outputTarget, projectPath, projectId);
+    if (build.built) {
+      console.log(
+        `🏗️ ${job.outputTarget} build for ${projectId} ${
+          build.success ? "succeeded" : "failed"
+        } in ${build.durationMs}ms`
+      );
+      onEvent("build", build);
+    }
+    return validateProject(projectPath, {
+      siteMap: job.siteMap,
+      palette: job.palette,
+      requiredFiles: getTarget(job.outputTarget).requiredFiles,
+      buildError: build.error,
+    });
+  };
+  // Send a follow-up message in the same conversation and add its steps,
+  // tool results and token usage to the run
+  const continueRun = async (content, phase) => {
+    job.messages.push({ role: "user", content });
+    const repair = await runAgentLoop({
+      ...agentOptions,
+      firstStep: steps + 1,
+      maxSteps: MAX_REPAIR_STEPS,
+      maxTokens: maxTokens - usage.total_tokens,
+    });
+
+    steps = repair.steps;
+    stopReason = repair.stopReason;
+    agentOptions.model = repair.model;
+    finalMessage = repair.finalMessage || finalMessage;
+    executionResults.push(
+      ...repair.executionResults.map((result) => ({ ...result, phase }))
+    );
+    usage.prompt_tokens += repair.usage.prompt_tokens;
+    usage.completion_tokens += repair.usage.completion_tokens;
+    usage.total_tokens += repair.usage.total_tokens;
+  };
+
+  let validation = await checkProject();
+  const initialIssueCount = validation.issueCount;
+  let repairRounds = 0;
+  onEvent("validation", validation);
+
+  while (
+    !validation.valid &&
+    body.autoRepair !== false &&
+    stopReason === "completed" &&
+    repairRounds < MAX_REPAIR_ROUNDS &&
+    usage.total_tokens < maxTokens
+  ) {
+    repairRounds++;
+    console.log(
+      `🩹 Repair round ${repairRounds} for ${projectId}: ${validation.issueCount} issues`
+    );
+    onEvent("repair_start", {
+      round: repairRounds,
+      issueCount: validation.issueCount,
+    });
+
+    await continueRun(buildRepairPrompt(validation), "repair");
+    if (stopReason === "cancelled") {
+      return getCancelledPayload();
+    }
+    validation = await checkProject();
+    onEvent("validation", validation);
+  }
+
+  // Accessibility audit of the served pages. With `fixAccessibility` the
+  // model gets one more pass to fix what the audit found.
+  let accessibility = await auditProject(getServedPath(projectId));
+  const initialA11yScore = accessibility.score;
+  onEvent("accessibility", accessibility);
+
+  if (
+    body.fixAccessibility === true &&
+    accessibility.violationCount > 0 &&
+    stopReason === "completed" &&
+    usage.total_tokens < maxTokens
+  ) {
+    console.log(
+      `♿ Accessibility pass for ${projectId}: ${accessibility.violationCount} failing rules`
+    );
+    onEvent("a11y_fix_start", {
+      score: accessibility.score,
+      violationCount: accessibility.violationCount,
+    });
+
+    await continueRun(buildA11yRepairPrompt(accessibility), "accessibility");
+    if (stopReason === "cancelled") {
+      return getCancelledPayload();
+    }
+    validation = await checkProject();
+    onEvent("validation", validation);
+    accessibility = await auditProject(getServedPath(projectId));
+    onEvent("accessibility", accessibility);
+  }
+  accessibility = { ...accessibility, initialScore: initialA11yScore };
+  saveAuditReport(projectId, accessibility);
+
+  // Files written by the stages below are kept as versions of their own
+  const snapshotStage = (label) => {
+    const version = createSnapshot(projectId, projectPath, {
+      label,
+      source: job.kind,
+    });
+    if (!versions.some((v) => v.id === version.id)) {
+      versions.push(version);
+      onEvent("version", version);
+    }
+  };
+
+  if (placeholders.length > 0) {
+    snapshotStage("Image placeholders");
+  }
+
+  // SEO stage on the served pages. With a siteUrl it adds the missing tags,
+  // sitemap.xml and robots.txt.
+  const seo = runSeo(getServedPath(projectId), { siteUrl: job.siteUrl });
+  saveSeoReport(projectId, seo);
+  onEvent("seo", seo);
+  if (seo.changedFiles.length > 0 || seo.generatedFiles.length > 0) {
+    snapshotStage("SEO metadata");
+  }
+
+  // Screenshots of the final version are kept with it. They are taken in
+  // the background so Chromium never holds up the response.
+  const screenshotsReason = getScreenshotsUnavailableReason();
+  const finalVersion = listVersions(projectId).pop();
+  if (!screenshotsReason && finalVersion) {
+    captureVersionScreenshots(projectId, finalVersion.id).catch((error) =>
+      console.error(`❌ Screenshots of ${projectId} failed:`, error.message)
+    );
+  }
+
+  const executionTime = Date.now() - startTime;
+
+  // Check if index.html was created (or built)
+  const previewUrl = getPreviewUrl(projectId);
+
+  console.log(`✅ Agent run for ${projectId} completed in ${executionTime}ms`);
+  if (previewUrl) {
+    console.log(`🌐 Preview available at: ${previewUrl}`);
+  }
+
+  const payload = {
+    success: true,
+    message: finalMessage,
+    projectId,
+    previewUrl: previewUrl,
+    pages: getPages(projectId, job.siteMap),
+    accessibility,
+    seo,
+    placeholders,
+    executionResults,
+    stats: {
+      ...getRunStats(),
+      build,
+      validation: {
+        ...validation,
+        initialIssueCount,
+        repairRounds,
+      },
+      accessibility: {
+        score: accessibility.score,
+        initialScore: initialA11yScore,
+        violationCount: accessibility.violationCount,
+      },
+      seo: { score: seo.score, siteUrl: seo.siteUrl },
+      placeholders: placeholders.length,
+      screenshots: screenshotsReason
+        ? { queued: false, reason: screenshotsReason }
+        : { queued: Boolean(finalVersion), versionId: finalVersion?.id },
+    },
+    versions,
+  };
+
+  // Edits also report which files the agent touched
+  if (filesBefore) {
+    const changedFiles = diffProjectFiles(
+      filesBefore,
+      readSourceFiles(projectPath, job.outputTarget)
+    );
+    payload.changedFiles = changedFiles;
+    payload.previews = Object.fromEntries(
+      changedFiles
+        .filter((file) => file.content !== null)
+        .map((file) => [file.path, file.content])
+    );
+    payload.stats.filesChanged = changedFiles.length;
+  }
+
+  return payload;
+}
+
+// Response to a failed build or edit. Errors of the model provider carry
+// the status to answer with (429 with retryAfter seconds, 502 or 504),
+// anything else is a 500. `discarded` means the new project was removed.
+function getJobErrorResponse(error, startTime) {
+  return {
+    status: error.status || 500,
+    body: {
+      success: false,
+      error: error.message,
+      ...(error.retryAfter ? { retryAfter: error.retryAfter } : {}),
+      ...(error.discarded ? { discarded: true } : {}),
+      stats: {
+        executionTime: `${Date.now() - startTime}ms`,
+        timestamp: new Date().toISOString(),
+      },
+    },
+  };
+}
+
+// Answer a failed build or edit, with Retry-After for rate limits
+function sendJobError(res, error, startTime) {
+  const { status, body } = getJobErrorResponse(error, startTime);
+  if (body.retryAfter) {
+    res.set("Retry-After", String(body.retryAfter));
+  }
+  res.status(status).json(body);
+}
+
+// Send one Server-Sent Event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Stream a job's progress as Server-Sent Events. Closing the connection
+// (e.g. the cancel button in the UI) aborts the build on the server.
+async function streamJob(req, res, job) {
+  const startTime = Date.now();
+  const controller = new AbortController();
+
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      console.log(`🛑 Client disconnected, cancelling ${job.projectId}`);
+      controller.abort();
+    }
+  });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  sendEvent(res, "start", { projectId: job.projectId });
+
+  try {
+    const payload = await runJob(job, {
+      body: req.body,
+      user: getRequestUser(req),
+      startTime,
+      signal: controller.signal,
+      stream: true,
+      onEvent: (event, data) => sendEvent(res, event, data),
+    });
+    sendEvent(res, "done", payload);
+  } catch (error) {
+    console.error("❌ Stream error:", error.message);
+    const { status, body } = getJobErrorResponse(error, startTime);
+    sendEvent(res, "error", { ...body, status });
+  } finally {
+    res.end();
+  }
+}
+
+// Enhanced API endpoint with preview functionality
+app.post("/api/build", buildLimiter, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { userPrompt } = req.body;
+
+    // Log the request for debugging
+    console.log(`📨 Received request from: ${req.get("origin") || "unknown"}`);
+    console.log(`📝 User prompt: "${userPrompt?.substring(0, 100)}..."`);
+
+    // Validation
+    const requestError = validateJobRequest(req.body);
+    if (requestError) {
+      return res.status(400).json({ success: false, error: requestError });
+    }
+
+    const payload = await runJob(prepareBuildJob(req.body), {
+      body: req.body,
+      user: getRequestUser(req),
+      startTime,
+    });
+
+    res.json(payload);
+  } catch (error) {
+    console.error("❌ Build error:", error.message);
+
+    sendJobError(res, error, startTime);
+  }
+});
+
+// Same as /api/build, but streams progress as Server-Sent Events
+app.post("/api/build/stream", buildLimiter, async (req, res) => {
+  const requestError = validateJobRequest(req.body);
+  if (requestError) {
+    return res.status(400).json({ success: false, error: requestError });
+  }
+
+  await streamJob(req, res, prepareBuildJob(req.body));
+});
+
+// Apply a follow-up change to an existing project
+app.post("/api/projects/:id/edit", buildLimiter, async (req, res) => {
+  const startTime = Date.now();
+  const projectId = req.params.id;
+
+  try {
+    if (!isValidProjectId(projectId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Project not found: ${projectId}`,
+      });
+    }
+
+    const requestError = validateJobRequest(req.body);
+    if (requestError) {
+      return res.status(400).json({ success: false, error: requestError });
+    }
+
+    const payload = await runJob(prepareEditJob(projectId, req.body), {
+      body: req.body,
+      user: getRequestUser(req),
+      startTime,
+    });
+
+    console.log(
+      `✅ Edit completed in ${payload.stats.executionTime} (${payload.stats.filesChanged} files changed)`
+    );
+
+    res.json(payload);
+  } catch (error) {
+    console.error("❌ Edit error:", error.message);
+
+    sendJobError(res, error, startTime);
+  }
+});
+
+// Same as /api/projects/:id/edit, but streams progress as Server-Sent Events
+app.post("/api/projects/:id/edit/stream", buildLimiter, async (req, res) => {
+  const projectId = req.params.id;
+
+  if (!isValidProjectId(projectId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Project not found: ${projectId}`,
+    });
+  }
+
+  const requestError = validateJobRequest(req.body);
+  if (requestError) {
+    return res.status(400).json({ success: false, error: requestError });
+  }
+
+  await streamJob(req, res, prepareEditJob(projectId, req.body));
+});
+
+// Uploads are kept in memory and validated before anything touches disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  preservePath: true, // keep "css/style.css", validated by sanitizePath
+  limits: { fileSize: MAX_IMPORT_TOTAL_SIZE, files: MAX_IMPORT_FILES + 1 },
+}).fields([
+  { name: "archive", maxCount: 1 },
+  { name: "files", maxCount: MAX_IMPORT_FILES },
+]);
+
+// Import an existing site (a ZIP in "archive" or a set of files in
+// "files") as a new project the agent can edit
+app.post("/api/projects/import", (req, res) => {
+  importUpload(req, res, (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({
+        success: false,
+        error: `Upload failed: ${uploadError.message}`,
+      });
+    }
+
+    let entries;
+    try {
+      const archive = req.files?.archive?.[0];
+      entries = archive
+        ? readZipEntries(archive.buffer)
+        : readUploadedFiles(req.files?.files || []);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const projectId = generateProjectId();
+    const projectPath = getProjectPath(projectId);
+
+    try {
+      fs.mkdirSync(projectPath, { recursive: true });
+      const files = writeImportedFiles(projectPath, entries);
+      createProject(projectId, {
+        title: titleFromHtml(projectPath) || "Imported website",
+        source: "import",
+        status: "completed",
+        owner: getRequestUser(req),
+      });
+      createSnapshot(projectId, projectPath, {
+        label: "Imported",
+        source: "import",
+      });
+
+      const hasIndexFile = fs.existsSync(path.join(projectPath, "index.html"));
+
+      console.log(`📥 Imported ${files.length} files into ${projectId}`);
+
+      res.json({
+        success: true,
+        projectId,
+        previewUrl: hasIndexFile
+          ? `http://localhost:${PREVIEW_PORT}/${projectId}/`
+          : null,
+        files,
+        pages: getPages(projectId),
+        stats: {
+          filesImported: files.length,
+          totalSize: files.reduce((sum, file) => sum + file.size, 0),
+          hasIndexFile,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Import failed: ${projectId}`, error.message);
+      fs.rmSync(projectPath, { recursive: true, force: true });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+});
+
+// Images and fonts of a project: uploads with their variants, generated
+// placeholders and other files in its assets/ folder
+app.get("/api/projects/:id/assets", (req, res) => {
+  const projectId = req.params.id;
+
+  if (!isValidProjectId(projectId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Project not found: ${projectId}`,
+    });
+  }
+
+  const assets = listAssets(projectId, getProjectPath(projectId));
+  res.json({
+    success: true,
+    projectId,
+    assets: assets.map((asset) => ({
+      ...asset,
+      previewUrl: getAssetPreviewUrl(projectId, asset),
+    })),
+  });
+});
+
+const assetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ASSET_FILE_SIZE, files: MAX_ASSET_FILES },
+}).array("files", MAX_ASSET_FILES);
+
+// Upload images and fonts ("files") into the project's assets/ folder,
+// with an optional "alt" text hint per file. Images are resized into
+// WebP variants for srcset.
+app.post("/api/projects/:id/assets", (req, res) => {
+  const projectId = req.params.id;
+
+  if (!isValidProjectId(projectId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Project not found: ${projectId}`,
+    });
+  }
+
+  assetUpload(req, res, async (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({
+        success: false,
+        error: `Upload failed: ${uploadError.message}`,
+      });
+    }
+
+    const uploads = req.files || [];
+    if (uploads.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded (send them as "files")',
+      });
+    }
+    const fileError = uploads.map(getAssetFileError).find(Boolean);
+    if (fileError) {
+      return res.status(400).json({ success: false, error: fileError });
+    }
+
+    try {
+      const projectPath = getProjectPath(projectId);
+      const outputTarget = getProject(projectId)?.outputTarget;
+      const assets = await saveAssets(projectId, projectPath, uploads, {
+        publicDir: getTarget(outputTarget || DEFAULT_TARGET).publicDir,
+        alts: [].concat(req.body?.alt ?? []),
+      });
+      syncAssetsToBuild(projectId, assets);
+      createSnapshot(projectId, projectPath, {
+        label: `Uploaded ${assets.map((asset) => asset.url).join(", ")}`,
+        source: "assets",
+      });
+
+      console.log(`🖼️ Uploaded ${assets.length} assets to ${projectId}`);
+      res.status(201).json({
+        success: true,
+        projectId,
+        assets: assets.map((asset) => ({
+          ...asset,
+          previewUrl: getAssetPreviewUrl(projectId, asset),
+        })),
+      });
+    } catch (error) {
+      console.error(`❌ Asset upload failed: ${projectId}`, error.message);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+});
+
+// Delete an asset and its variants, e.g. /assets/assets/images/hero.jpg
+app.delete("/api/projects/:id/assets/*assetPath", (req, res) => {
+  const projectId = req.params.id;
+  const assetPath = req.params.assetPath.join("/");
+
+  if (!isValidProjectId(projectId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Project not found: ${projectId}`,
+    });
+  }
+
+  try {
+    const projectPath = getProjectPath(projectId);
+    const asset = deleteAsset(projectId, projectPath, assetPath);
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: `Asset not found: ${assetPath}`,
+      });
+    }
+    syncAssetsToBuild(projectId, [asset], { remove: true });
+    createSnapshot(projectId, projectPath, {
+      label: `Deleted ${asset.url}`,
+      source: "assets",
+    });
+
+    console.log(`🗑 Deleted asset ${asset.url} of ${projectId}`);
+    res.json({ success: true, projectId, asset });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Last accessibility audit of a project (written after every build or edit)
+app.get("/api/projects/:id/accessibility", (req, res) => {
+  const projectId = req.params.id;
+  const report = isValidProjectId(projectId) && getAuditReport(projectId);
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      error: `No accessibility report for project: ${projectId}`,
+    });
+  }
+  res.json({ success: true, projectId, report });
+});
+
+// Audit the project again without running the agent (e.g. after a restore)
+app.post("/api/projects/:id/accessibility", async (req, res) => {
+  const projectId = req.params.id;
+
+  if (!isValidProjectId(projectId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Project not found: ${projectId}`,
+    });
+  }
+
+  try {
+    const report = await auditProject(getServedPath(projectId));
+    saveAuditReport(projectId, report);
+    console.log(`♿ Audited ${projectId}: score ${report.score}`);
+    res.json({ success: true, projectId, report });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Per-page SEO report of a project (written after every build or edit)
+app.get("/api/projects/:id/seo", (req, res) => {
+  const projectId = req.params.id;
+  const report = isValidProjectId(projectId) && getSeoReport(projectId);
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      error: `No SEO report for project: ${projectId}`,
+    });
+  }
+  res.json({ success: true, projectId, report });
+});
+
+// Run the SEO stage again, e.g. once the site's public URL is known:
+// { "siteUrl": "https://example.com" } (defaults to the stored one)
+app.post("/api/projects/:id/seo", (req, res) => {
+  const projectId = req.params.id;
+  const project = isValidProjectId(projectId) ? getProject(projectId) : null;
+  const siteUrl = req.body?.siteUrl;
+
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      error: `Project not found: ${projectId}`,
+    });
+  }
+
+  const siteUrlError = getSiteUrlError(siteUrl);
+  if (siteUrlError) {
+    return res.status(400).json({ success: false, error: siteUrlError });
+  }
+
+  try {
+    const report = runSeo(getServedPath(projectId), {
+      siteUrl: siteUrl || project.siteUrl,
+    });
+    saveSeoReport(projectId, report);
+    if (siteUrl) {
+      updateProject(projectId, { siteUrl });
+    }
+    if (report.changedFiles.length > 0 || report.generatedFiles.length > 0) {
+      createSnapshot(projectId, getProjectPath(projectId), {
+        label: "SEO metadata",
+        source: "seo",
+      });
+    }
+
+    console.log(`🔎 SEO stage for ${projectId}: score ${report.score}`);
+    res.json({ success: true, projectId, report });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Screenshots of a project, one set per captured version (newest first)
+app.get("/api/projects/:id/screenshots", (req, res) => {
+  const projectId = req.params.id;
+
+  if (!isValidProjectId(projectId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Project not found: ${projectId}`,
+    });
+  }
+
+  const reason = getScreenshotsUnavailableReason();
+  res.json({
+    success: true,
+    projectId,
+    available: !reason,
+    reason,
+    versions: listScreenshots(projectId).map(getScreenshotUrls),
+  });
+});
+
+// Capture a version's screenshots now: { "version": 3 } (default: latest)
+app.post("/api/projects/:id/screenshots", async (req, res) => {
+  const projectId = req.params.id;
+
+  if (!isValidProjectId(projectId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Project not found: ${projectId}`,
+    });
   }
 
-  return (
-    allowedCommands.includes(commandName) || commandName.startsWith("echo")
-  );
-}
-
-// Enhanced tool functions with project context
-let currentProjectId = null;
+  const reason = getScreenshotsUnavailableReason();
+  if (reason) {
+    return res.status(503).json({ success: false, error: reason });
+  }
 
-function ExecuteCommand({ command }) {
   try {
-    // Validate command
-    if (!isValidCommand(command)) {
-      throw new Error(`Command not allowed: ${command.split(" ")[0]}`);
+    const versionId =
+      req.body?.version ?? listVersions(projectId).pop()?.id ?? null;
+    if (versionId === null) {
+      return res.status(400).json({
+        success: false,
+        error: "The project has no versions to screenshot yet",
+      });
     }
+    const manifest = await captureVersionScreenshots(projectId, versionId);
+    res.json({ success: true, projectId, ...getScreenshotUrls(manifest) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Set working directory to current project if exists
-    const options = {
-      encoding: "utf-8",
-      timeout: 30000, // 30 second timeout
-      maxBuffer: 1024 * 1024, // 1MB max buffer
-      cwd: currentProjectId ? getProjectPath(currentProjectId) : process.cwd(),
-    };
-
-    console.log(`🔧 Executing: ${command}`);
-    const output = execSync(command, options);
+// Pixel diff between the screenshots of two versions: ?from=1&to=3.
+// Versions without screenshots are captured first.
+app.get("/api/projects/:id/screenshots/diff", async (req, res) => {
+  const projectId = req.params.id;
+  const { from, to } = req.query;
 
-    return {
-      success: true,
-      output: output.toString().trim(),
-      command: command,
-    };
-  } catch (error) {
-    console.error(`❌ Command failed: ${command}`, error.message);
-    return {
+  if (!isValidProjectId(projectId)) {
+    return res.status(404).json({
       success: false,
-      error: error.message,
-      command: command,
-    };
+      error: `Project not found: ${projectId}`,
+    });
+  }
+  if (!/^\d+$/.test(from) || !/^\d+$/.test(to)) {
+    return res.status(400).json({
+      success: false,
+      error: "from and to must be version numbers",
+    });
   }
-}
 
-function WriteFile({ path: filePath, content }) {
   try {
-    // Use project directory if available
-    let fullPath;
-    if (currentProjectId) {
-      const projectPath = getProjectPath(currentProjectId);
-      fullPath = path.join(projectPath, sanitizePath(filePath));
-    } else {
-      fullPath = sanitizePath(filePath);
+    for (const versionId of [from, to]) {
+      if (!getManifest(projectId, versionId)) {
+        const reason = getScreenshotsUnavailableReason();
+        if (reason) {
+          return res.status(503).json({ success: false, error: reason });
+        }
+        await captureVersionScreenshots(projectId, versionId);
+      }
     }
 
-    // Validate content size (max 1MB)
-    if (content.length > 1024 * 1024) {
-      throw new Error("File content too large (max 1MB)");
-    }
+    const diff = diffScreenshots(projectId, from, to);
+    const shotUrl = (versionId, result) =>
+      `http://localhost:${PORT}/api/projects/${projectId}/screenshots/${versionId}/${result.viewport}/${result.page}`;
+    res.json({
+      success: true,
+      projectId,
+      ...diff,
+      results: diff.results.map((result) => ({
+        ...result,
+        beforeUrl: result.status === "added" ? null : shotUrl(from, result),
+        afterUrl: result.status === "removed" ? null : shotUrl(to, result),
+        diffUrl: ["changed", "same"].includes(result.status)
+          ? `http://localhost:${PORT}/api/projects/${projectId}/screenshots/diff/${from}/${to}/${result.viewport}/${result.page}`
+          : null,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Screenshot and diff images are shown by the React app on another port
+function sendPng(res, filePath) {
+  if (!filePath) {
+    return res.status(404).json({ success: false, error: "Image not found" });
+  }
+  res.set("Cross-Origin-Resource-Policy", "cross-origin").sendFile(filePath);
+}
 
-    // Ensure directory exists
-    const dir = path.dirname(fullPath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
+app.get(
+  "/api/projects/:id/screenshots/diff/:from/:to/:viewport/*page",
+  (req, res) => {
+    const { id, from, to, viewport } = req.params;
+    if (!isValidProjectId(id) || !/^\d+$/.test(from) || !/^\d+$/.test(to)) {
+      return sendPng(res, null);
     }
+    sendPng(
+      res,
+      getDiffFile(id, from, to, viewport, req.params.page.join("/"))
+    );
+  }
+);
 
-    // Write file with error handling
-    fs.writeFileSync(fullPath, content, "utf-8");
+app.get(
+  "/api/projects/:id/screenshots/:version/:viewport/*page",
+  (req, res) => {
+    const { id, version, viewport } = req.params;
+    if (!isValidProjectId(id)) return sendPng(res, null);
+    sendPng(
+      res,
+      getScreenshotFile(id, version, viewport, req.params.page.join("/"))
+    );
+  }
+);
 
-    console.log(`✅ File written: ${fullPath} (${content.length} bytes)`);
+// Version history of a project (one snapshot per agent step)
+app.get("/api/projects/:id/versions", (req, res) => {
+  const projectId = req.params.id;
 
-    return {
-      success: true,
-      message: `Successfully written to ${filePath}`,
-      path: filePath,
-      fullPath: fullPath,
-      size: content.length,
-    };
-  } catch (error) {
-    console.error(`❌ Write failed: ${filePath}`, error.message);
-    return {
+  if (!isValidProjectId(projectId)) {
+    return res.status(404).json({
       success: false,
-      error: error.message,
-      path: filePath,
-    };
+      error: `Project not found: ${projectId}`,
+    });
   }
-}
 
-function ReadFile({ path: filePath }) {
   try {
-    let fullPath;
-    if (currentProjectId) {
-      const projectPath = getProjectPath(currentProjectId);
-      fullPath = path.join(projectPath, sanitizePath(filePath));
-    } else {
-      fullPath = sanitizePath(filePath);
-    }
+    const versions = listVersions(projectId).map((version) => ({
+      ...version,
+      previewUrl: getVersionPreviewUrl(projectId, version.id),
+    }));
+    res.json({ success: true, projectId, versions, count: versions.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (!fs.existsSync(fullPath)) {
-      throw new Error(`File does not exist: ${filePath}`);
-    }
+// File-by-file diff between two versions: ?from=1&to=3
+app.get("/api/projects/:id/versions/diff", (req, res) => {
+  const projectId = req.params.id;
+  const { from, to } = req.query;
 
-    const content = fs.readFileSync(fullPath, "utf-8");
+  if (!isValidProjectId(projectId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Project not found: ${projectId}`,
+    });
+  }
 
-    return {
-      success: true,
-      content: content,
-      path: filePath,
-      size: content.length,
-    };
+  if (!from || !to) {
+    return res.status(400).json({
+      success: false,
+      error: "Both 'from' and 'to' version ids are required",
+    });
+  }
+
+  try {
+    res.json({ success: true, ...diffVersions(projectId, from, to) });
   } catch (error) {
-    console.error(`❌ Read failed: ${filePath}`, error.message);
-    return {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+// Roll the project back to a version
+app.post("/api/projects/:id/versions/:version/restore", async (req, res) => {
+  const projectId = req.params.id;
+
+  if (!isValidProjectId(projectId)) {
+    return res.status(404).json({
       success: false,
-      error: error.message,
-      path: filePath,
-    };
+      error: `Project not found: ${projectId}`,
+    });
   }
-}
 
-function ListDirectory({ path: dirPath = "." }) {
+  let version;
   try {
-    let fullPath;
-    if (currentProjectId) {
-      const projectPath = getProjectPath(currentProjectId);
-      fullPath = path.join(projectPath, sanitizePath(dirPath));
-    } else {
-      fullPath = sanitizePath(dirPath);
-    }
+    version = restoreVersion(
+      projectId,
+      getProjectPath(projectId),
+      req.params.version
+    );
+    updateProject(projectId, { status: "completed" });
+    console.log(`⏪ Restored ${projectId} to v${req.params.version}`);
+  } catch (error) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
 
-    if (!fs.existsSync(fullPath)) {
-      throw new Error(`Directory does not exist: ${dirPath}`);
-    }
+  // Built targets need a fresh build of the restored files, and the SEO
+  // tags added to the build output again
+  const project = getProject(projectId);
+  const build = await buildTarget(
+    project?.outputTarget || DEFAULT_TARGET,
+    getProjectPath(projectId),
+    projectId
+  );
+  if (build.built && build.success && project?.siteUrl) {
+    saveSeoReport(
+      projectId,
+      runSeo(getServedPath(projectId), { siteUrl: project.siteUrl })
+    );
+  }
+  res.json({ success: true, projectId, version, build });
+});
 
-    const stats = fs.statSync(fullPath);
-    if (!stats.isDirectory()) {
-      throw new Error(`Path is not a directory: ${dirPath}`);
-    }
+// API to list all generated websites
+app.get("/api/websites", (req, res) => {
+  const queryError = getListQueryError(req.query);
+  if (queryError) {
+    return res.status(400).json({ success: false, error: queryError });
+  }
 
-    const files = fs.readdirSync(fullPath, { withFileTypes: true });
-    const result = files.map((file) => ({
-      name: file.name,
-      type: file.isDirectory() ? "directory" : "file",
-      path: path.join(dirPath, file.name),
-    }));
+  try {
+    // ?q=&status=&sort=created|updated|title|tokens&order=asc|desc&page=&limit=
+    // Admins may pass ?owner=<username> or ?owner=all, others see their own
+    const owner =
+      req.user.role === "admin" && typeof req.query.owner === "string"
+        ? req.query.owner
+        : req.user.username;
+    const { projects, total, page, limit, totalPages } = listProjects({
+      ...req.query,
+      owner: owner === "all" ? undefined : owner,
+    });
 
-    return {
+    res.json({
       success: true,
-      files: result,
-      path: dirPath,
-      count: result.length,
-    };
+      websites: projects.map((project) => ({
+        ...project,
+        previewUrl: getPreviewUrl(project.projectId),
+        thumbnailUrl: getThumbnailUrl(project.projectId),
+        created: project.createdAt,
+        modified: project.updatedAt,
+      })),
+      count: projects.length,
+      total,
+      page,
+      limit,
+      totalPages,
+    });
   } catch (error) {
-    console.error(`❌ List failed: ${dirPath}`, error.message);
-    return {
+    res.status(500).json({
       success: false,
       error: error.message,
-      path: dirPath,
-    };
+    });
   }
-}
-
-// Enhanced tool definitions
-const tools = [
-  {
-    type: "function",
-    function: {
-      name: "ExecuteCommand",
-      description:
-        "Execute safe terminal/shell commands for website building. Supports mkdir, touch, echo, ls, etc.",
-      parameters: {
-        type: "object",
-        properties: {
-          command: {
-            type: "string",
-            description:
-              "The terminal command to execute. Example: 'mkdir website', 'touch index.html'",
-          },
-        },
-        required: ["command"],
-      },
-    },
-  },
-  {
-    type: "function",
-    function: {
-      name: "WriteFile",
-      description:
-        "Write content to a file. Perfect for creating HTML, CSS, JS files.",
-      parameters: {
-        type: "object",
-        properties: {
-          path: {
-            type: "string",
-            description:
-              "Relative path to the file (e.g., 'website/index.html')",
-          },
-          content: {
-            type: "string",
-            description: "Complete file content to write",
-          },
-        },
-        required: ["path", "content"],
-      },
-    },
-  },
-  {
-    type: "function",
-    function: {
-      name: "ReadFile",
-      description: "Read content from an existing file.",
-      parameters: {
-        type: "object",
-        properties: {
-          path: {
-            type: "string",
-            description: "Relative path to the file to read",
-          },
-        },
-        required: ["path"],
-      },
-    },
-  },
-  {
-    type: "function",
-    function: {
-      name: "ListDirectory",
-      description: "List files and directories in a given path.",
-      parameters: {
-        type: "object",
-        properties: {
-          path: {
-            type: "string",
-            description:
-              "Directory path to list (defaults to current directory)",
-          },
-        },
-        required: [],
-      },
-    },
-  },
-];
-
-// Enhanced system prompt
-const systemPrompt = `You are an expert AI website builder that creates complete, professional static websites.
-
-IMPORTANT: All files should be created in the current project directory. Do NOT use absolute paths or create folders outside the project.
-
-CAPABILITIES:
-- ExecuteCommand: Run safe terminal commands (mkdir, touch, ls, etc.) - commands run in project directory
-- WriteFile: Create complete HTML, CSS, JS files with full content - files saved in project directory
-- ReadFile: Read existing files to understand structure
-- ListDirectory: Explore project structure
-
-BEST PRACTICES:
-1. Always create a clean project structure:
-   - Create subdirectories like 'css/', 'js/', 'assets/', 'images/'
-   - Keep HTML files in the root (index.html)
-   - Organize CSS and JS in their respective folders
-
-2. Write complete, production-ready code:
-   - Valid HTML5 with proper DOCTYPE
-   - Modern CSS with responsive design
-   - Clean, functional JavaScript
-   - Proper linking between files
-
-3. File Structure Example:
-   index.html (in root)
-   css/style.css
-   js/script.js
-   assets/images/ (if needed)
-
-4. HTML Requirements:
-   - Always include proper DOCTYPE, meta tags, title
-   - Link CSS: <link rel="stylesheet" href="css/style.css">
-   - Link JS: <script src="js/script.js"></script>
-   - Make responsive with viewport meta tag
-   - Include semantic HTML elements
-
-5. CSS Requirements:
-   - Modern CSS with flexbox/grid
-   - Responsive design (mobile-first)
-   - Smooth transitions and hover effects
-   - Professional color schemes
-
-WORKFLOW:
-1. Create necessary directories (mkdir css, mkdir js, etc.)
-2. Create index.html with complete structure
-3. Create comprehensive CSS file
-4. Add JavaScript for interactivity (if needed)
-5. List final structure
-
-Always provide complete, working code that runs perfectly in a browser.`;
+});
 
-// Enhanced API endpoint with preview functionality
-app.post("/api/build", async (req, res) => {
-  const startTime = Date.now();
+// Full metadata of one project: prompt history, build runs and usage
+app.get("/api/projects/:id", (req, res) => {
+  const project = isValidProjectId(req.params.id)
+    ? getProject(req.params.id)
+    : null;
 
-  try {
-    const { userPrompt } = req.body;
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      error: `Project not found: ${req.params.id}`,
+    });
+  }
 
-    // Log the request for debugging
-    console.log(`📨 Received request from: ${req.get("origin") || "unknown"}`);
-    console.log(`📝 User prompt: "${userPrompt?.substring(0, 100)}..."`);
+  res.json({
+    success: true,
+    project: {
+      ...project,
+      previewUrl: getPreviewUrl(project.projectId),
+      pages: getPages(project.projectId),
+    },
+  });
+});
 
-    // Validation
-    if (!userPrompt || typeof userPrompt !== "string") {
-      return res.status(400).json({
-        success: false,
-        error: "Valid userPrompt is required",
-      });
-    }
+function getTitleError(title) {
+  if (typeof title !== "string" || !title.trim()) {
+    return "A non-empty title is required";
+  }
+  if (title.trim().length > MAX_TITLE_LENGTH) {
+    return `Title must be at most ${MAX_TITLE_LENGTH} characters`;
+  }
+  return null;
+}
 
-    if (userPrompt.length > 2000) {
-      return res.status(400).json({
-        success: false,
-        error: "Prompt too long (max 2000 characters)",
-      });
-    }
+// Rename a project
+app.put("/api/projects/:id", (req, res) => {
+  const projectId = req.params.id;
+  const title = req.body?.title;
 
-    // Generate new project ID
-    currentProjectId = generateProjectId();
-    const projectPath = getProjectPath(currentProjectId);
+  if (!isValidProjectId(projectId) || !getProject(projectId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Project not found: ${projectId}`,
+    });
+  }
 
-    // Create project directory
-    fs.mkdirSync(projectPath, { recursive: true });
+  const titleError = getTitleError(title);
+  if (titleError) {
+    return res.status(400).json({ success: false, error: titleError });
+  }
 
-    console.log(
-      `🚀 Building website: "${userPrompt.substring(
-        0,
-        100
-      )}..." in project: ${currentProjectId}`
-    );
+  try {
+    const project = updateProject(projectId, { title: title.trim() });
+    console.log(`🏷 Renamed ${projectId} to "${project.title}"`);
+    res.json({ success: true, project });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Initial AI response
-    const response = await groq.chat.completions.create({
-      model: "llama-3.3-70b-versatile",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
-      tools,
-      tool_choice: "auto",
-      temperature: 0.1,
-    });
-
-    const toolCalls = response.choices[0]?.message?.tool_calls;
-    const executionResults = [];
-
-    if (toolCalls?.length > 0) {
-      console.log(`🔧 Executing ${toolCalls.length} tool calls...`);
-
-      for (const toolCall of toolCalls) {
-        const { name, arguments: argsJSON } = toolCall.function;
-
-        try {
-          const args = JSON.parse(argsJSON);
-          let toolResult;
-
-          switch (name) {
-            case "ExecuteCommand":
-              toolResult = ExecuteCommand(args);
-              break;
-            case "WriteFile":
-              toolResult = WriteFile(args);
-              break;
-            case "ReadFile":
-              toolResult = ReadFile(args);
-              break;
-            case "ListDirectory":
-              toolResult = ListDirectory(args);
-              break;
-            default:
-              toolResult = { success: false, error: `Unknown tool: ${name}` };
-          }
-
-          executionResults.push({
-            tool: name,
-            args: args,
-            result: toolResult,
-          });
-
-          // Send result back to AI for follow-up
-          const followUpResponse = await groq.chat.completions.create({
-            model: "llama-3.3-70b-versatile",
-            messages: [
-              { role: "system", content: systemPrompt },
-              { role: "user", content: userPrompt },
-              { role: "assistant", content: null, tool_calls: toolCalls },
-              {
-                role: "tool",
-                tool_call_id: toolCall.id,
-                name,
-                content: JSON.stringify(toolResult),
-              },
-            ],
-            temperature: 0.1,
-          });
-        } catch (parseError) {
-          console.error(`❌ Tool execution error:`, parseError.message);
-          executionResults.push({
-            tool: name,
-            args: null,
-            result: { success: false, error: parseError.message },
-          });
-        }
-      }
-    }
+// Copy a project's files into a new project with a fresh history
+app.post("/api/projects/:id/duplicate", (req, res) => {
+  const sourceId = req.params.id;
+  const source = isValidProjectId(sourceId) ? getProject(sourceId) : null;
 
-    const executionTime = Date.now() - startTime;
+  if (!source) {
+    return res.status(404).json({
+      success: false,
+      error: `Project not found: ${sourceId}`,
+    });
+  }
 
-    // Check if index.html was created
-    const indexPath = path.join(projectPath, "index.html");
-    const hasIndexFile = fs.existsSync(indexPath);
+  const title = req.body?.title ?? titleFromPrompt(`Copy of ${source.title}`);
+  const titleError = getTitleError(title);
+  if (titleError) {
+    return res.status(400).json({ success: false, error: titleError });
+  }
 
-    // Generate preview URL
-    const previewUrl = hasIndexFile
-      ? `http://localhost:${PREVIEW_PORT}/${currentProjectId}/`
-      : null;
+  const projectId = generateProjectId();
+  const projectPath = getProjectPath(projectId);
 
-    console.log(`✅ Website build completed in ${executionTime}ms`);
-    if (previewUrl) {
-      console.log(`🌐 Preview available at: ${previewUrl}`);
+  try {
+    // Symlinks never belong in a project and would point at the original
+    fs.cpSync(getProjectPath(sourceId), projectPath, {
+      recursive: true,
+      filter: (src) => !fs.lstatSync(src).isSymbolicLink(),
+    });
+    if (fs.existsSync(getBuildPath(sourceId))) {
+      fs.cpSync(getBuildPath(sourceId), getBuildPath(projectId), {
+        recursive: true,
+      });
     }
+    copyAssetManifest(sourceId, projectId);
+    const project = createProject(projectId, {
+      title: title.trim(),
+      source: "duplicate",
+      status: "completed",
+      outputTarget: source.outputTarget,
+      owner: getRequestUser(req),
+    });
+    createSnapshot(projectId, projectPath, {
+      label: `Duplicated from ${sourceId}`,
+      source: "duplicate",
+    });
 
-    // Set CORS headers explicitly (additional safety)
-    res.header("Access-Control-Allow-Origin", req.get("origin") || "*");
-    res.header("Access-Control-Allow-Credentials", "true");
-
-    res.json({
+    console.log(`📑 Duplicated ${sourceId} as ${projectId}`);
+    res.status(201).json({
       success: true,
-      message: response.choices[0].message.content,
-      projectId: currentProjectId,
-      previewUrl: previewUrl,
-      executionResults,
-      stats: {
-        toolCallsExecuted: toolCalls?.length || 0,
-        executionTime: `${executionTime}ms`,
-        timestamp: new Date().toISOString(),
-        hasIndexFile: hasIndexFile,
-      },
+      projectId,
+      previewUrl: getPreviewUrl(projectId),
+      project,
     });
-
-    // Reset current project
-    currentProjectId = null;
   } catch (error) {
-    const executionTime = Date.now() - startTime;
-
-    console.error("❌ Build error:", error.message);
+    console.error(`❌ Duplicate failed: ${sourceId}`, error.message);
+    discardProject(projectId);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Set CORS headers for error responses too
-    res.header("Access-Control-Allow-Origin", req.get("origin") || "*");
-    res.header("Access-Control-Allow-Credentials", "true");
+// Delete a project with its files, metadata and version history
+app.delete("/api/projects/:id", (req, res) => {
+  const projectId = req.params.id;
 
-    res.status(500).json({
+  if (!isValidProjectId(projectId)) {
+    return res.status(404).json({
       success: false,
-      error: error.message,
-      stats: {
-        executionTime: `${executionTime}ms`,
-        timestamp: new Date().toISOString(),
-      },
+      error: `Project not found: ${projectId}`,
     });
+  }
+
+  try {
+    discardProject(projectId);
 
-    // Reset current project on error
-    currentProjectId = null;
+    console.log(`🗑 Deleted ${projectId}`);
+    res.json({ success: true, projectId });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// API to list all generated websites
-app.get("/api/websites", (req, res) => {
+// Download a project as a ZIP (?minify=true) or as one self-contained
+// HTML file with styles, scripts and images inlined (?inline=true)
+app.get("/api/websites/:id/export", async (req, res) => {
+  const projectId = req.params.id;
+  const minify = ["true", "1"].includes(req.query.minify);
+  const inline = ["true", "1"].includes(req.query.inline);
+
+  if (!isValidProjectId(projectId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Project not found: ${projectId}`,
+    });
+  }
+
+  const projectPath = getProjectPath(projectId);
+
   try {
-    const websites = [];
-
-    if (fs.existsSync(WEBSITES_DIR)) {
-      const projectDirs = fs
-        .readdirSync(WEBSITES_DIR, { withFileTypes: true })
-        .filter((dirent) => dirent.isDirectory())
-        .map((dirent) => dirent.name);
-
-      for (const projectId of projectDirs) {
-        const projectPath = path.join(WEBSITES_DIR, projectId);
-        const indexPath = path.join(projectPath, "index.html");
-
-        if (fs.existsSync(indexPath)) {
-          const stats = fs.statSync(projectPath);
-          websites.push({
-            projectId,
-            previewUrl: `http://localhost:${PREVIEW_PORT}/${projectId}/`,
-            created: stats.birthtime,
-            modified: stats.mtime,
-          });
-        }
-      }
+    if (inline) {
+      const html = await exportSingleFile(projectPath, { minify });
+      res.attachment(`${projectId}.html`);
+      res.type("html");
+      return res.send(html);
     }
 
-    res.json({
-      success: true,
-      websites: websites.sort(
-        (a, b) => new Date(b.created) - new Date(a.created)
-      ),
-      count: websites.length,
-    });
+    console.log(`📦 Exporting ${projectId}${minify ? " (minified)" : ""}`);
+    res.attachment(`${projectId}.zip`);
+    res.type("application/zip");
+    await streamProjectZip(projectPath, res, { minify, rootName: projectId });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+    console.error(`❌ Export failed: ${projectId}`, error.message);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Tokens, latency and estimated cost per day and user:
+// ?from=2025-01-01&to=2025-01-31&user=alice (default: the last 7 days).
+// Only admins see other users, everyone else gets their own usage.
+app.get("/api/usage", (req, res) => {
+  const { from, to } = req.query;
+  const user = req.user.role === "admin" ? req.query.user : req.user.username;
+
+  const rangeError = getUsageRangeError({ from, to });
+  if (rangeError) {
+    return res.status(400).json({ success: false, error: rangeError });
   }
+  if (user !== undefined && typeof user !== "string") {
+    return res.status(400).json({ success: false, error: "Invalid user" });
+  }
+
+  res.json({ success: true, ...getUsageReport({ from, to, user }) });
 });
+
 // Health check endpoint
 app.get("/health", (req, res) => {
   res.json({
@@ -711,7 +2390,36 @@ app.use((req, res) => {
   res.status(404).json({
     success: false,
     error: "Endpoint not found",
-    availableEndpoints: ["/api/build", "/health"],
+    availableEndpoints: [
+      "/api/build",
+      "/api/build/stream",
+      "/api/projects/import",
+      "/api/projects/:id",
+      "/api/projects/:id/duplicate",
+      "/api/projects/:id/edit",
+      "/api/projects/:id/edit/stream",
+      "/api/projects/:id/assets",
+      "/api/projects/:id/accessibility",
+      "/api/projects/:id/seo",
+      "/api/projects/:id/screenshots",
+      "/api/projects/:id/screenshots/diff",
+      "/api/projects/:id/versions",
+      "/api/projects/:id/versions/diff",
+      "/api/projects/:id/versions/:version/restore",
+      "/api/websites",
+      "/api/websites/:id/export",
+      "/api/usage",
+      "/api/auth/me",
+      "/api/auth/login",
+      "/api/auth/logout",
+      "/api/auth/register",
+      "/api/auth/keys",
+      "/api/providers",
+      "/api/templates",
+      "/api/targets",
+      "/api/brand-kits",
+      "/health",
+    ],
   });
 });
 
@@ -744,7 +2452,25 @@ app.listen(PORT, () => {
 
 Available endpoints:
 📝 POST /api/build - Build websites with AI
-📋 GET /api/websites - List all generated websites
+📡 POST /api/build/stream - Build with live progress (SSE)
+✏️  POST /api/projects/:id/edit - Edit an existing website with AI
+📥 POST /api/projects/import - Import a ZIP or files as a new project
+🖼️  GET /api/projects/:id/assets - Images and fonts (POST uploads, DELETE removes)
+♿ GET /api/projects/:id/accessibility - Accessibility report (POST re-audits)
+🔎 GET /api/projects/:id/seo - SEO report (POST with a siteUrl applies it)
+📷 GET /api/projects/:id/screenshots - Screenshots per version (POST captures, /diff compares)
+🕘 GET /api/projects/:id/versions - Version history, diff and restore
+📋 GET /api/websites - Search, sort and page through projects
+🗃  GET /api/projects/:id - Project metadata, prompts and build runs
+🏷  PUT /api/projects/:id - Rename a project (DELETE removes it)
+📑 POST /api/projects/:id/duplicate - Copy a project
+📦 GET /api/websites/:id/export - Download a website as ZIP or single HTML
+💰 GET /api/usage - Tokens, latency and cost per day and user
+👤 POST /api/auth/login - Sign in (register, logout, me, keys for API keys)
+🤖 GET /api/providers - List model providers (default: ${DEFAULT_PROVIDER})
+🧩 GET /api/templates - List starter templates for builds
+🏗  GET /api/targets - List output targets (static, Tailwind, React, Astro)
+🎨 GET /api/brand-kits - Brand kits (POST to save, DELETE to remove)
 ❤️  GET /health - Health check
 
 Ready to build amazing websites! 🎨
@@ -756,45 +2482,105 @@ Ready to build amazing websites! 🎨
 // --------------------
 const previewApp = express();
 
-// Serve static files from generated websites
+// The project a preview request is for: /<id>/..., /__versions/<id>/...
+// or the live reload stream of ?project=<id>. Paths are decoded first, as
+// express.static does, so an escaped id can't slip past the check.
+function getPreviewProjectId(req) {
+  if (req.path === "/__livereload/events") return req.query.project;
+  const segments = decodeURIComponent(req.path).split("/").slice(1);
+  return segments[0] === "__versions" ? segments[1] : segments[0];
+}
+
+// Previews only show the projects of the signed-in user: the web app's
+// session cookie comes along, since cookies don't depend on the port.
+// Screenshots send PREVIEW_TOKEN instead.
+previewApp.use((req, res, next) => {
+  if (req.get("X-Preview-Token") === PREVIEW_TOKEN) return next();
+  req.user = authenticateRequest(req);
+
+  let projectId;
+  try {
+    projectId = getPreviewProjectId(req);
+  } catch {
+    return res.status(400).send("Invalid path");
+  }
+  if (
+    !isValidProjectId(projectId) ||
+    (req.user && canAccessProject(req.user, projectId))
+  ) {
+    return next();
+  }
+  res.status(404).send("Project not found");
+});
+
+// Open previews reload when their project's files change (LIVE_RELOAD=false
+// turns it off); only stylesheet changes are swapped in without a reload
+if (LIVE_RELOAD) {
+  previewApp.use(createLiveReload([BUILDS_DIR, WEBSITES_DIR]));
+}
+
+// Files of a saved version: /__versions/<projectId>/<version>/<path>
+previewApp.get("/__versions/:projectId/:version{/*filePath}", (req, res) => {
+  const { projectId, version } = req.params;
+  const filePath = (req.params.filePath || []).join("/");
+  // Folders (and the version root) open their index.html
+  const relPath =
+    !filePath || filePath.endsWith("/") || req.path.endsWith("/")
+      ? path.posix.join(filePath, "index.html")
+      : filePath;
+
+  if (!isValidProjectId(projectId)) {
+    return res.status(404).send("Project not found");
+  }
+  // Relative links only resolve against the version root with a slash
+  if (!filePath && !req.path.endsWith("/")) {
+    return res.redirect(`${req.path}/`);
+  }
+
+  try {
+    const content = readVersionFile(projectId, version, relPath);
+    if (!content) {
+      return res.status(404).send("File not found in this version");
+    }
+    res.type(path.extname(relPath) || "text/plain").send(content);
+  } catch (error) {
+    res.status(404).send(error.message);
+  }
+});
+
+// Serve build output first (React, Astro targets), then the project files
+previewApp.use("/", express.static(BUILDS_DIR));
 previewApp.use("/", express.static(WEBSITES_DIR));
 
-// Custom directory listing for preview server
+// Custom directory listing for preview server: the signed-in user's
+// projects, every project for admins
 previewApp.get("/", (req, res) => {
+  if (!req.user) {
+    return res
+      .status(401)
+      .send("<h1>Sign in to the website builder to see your websites</h1>");
+  }
+
   try {
-    const websites = [];
-
-    if (fs.existsSync(WEBSITES_DIR)) {
-      const projectDirs = fs
-        .readdirSync(WEBSITES_DIR, { withFileTypes: true })
-        .filter((dirent) => dirent.isDirectory())
-        .map((dirent) => dirent.name);
-
-      for (const projectId of projectDirs) {
-        const projectPath = path.join(WEBSITES_DIR, projectId);
-        const indexPath = path.join(projectPath, "index.html");
-
-        if (fs.existsSync(indexPath)) {
-          const stats = fs.statSync(projectPath);
-          websites.push({
-            projectId,
-            previewUrl: `/${projectId}/`,
-            created: stats.birthtime.toLocaleString(),
-            modified: stats.mtime.toLocaleString(),
-          });
-        }
-      }
-    }
+    const { projects } = listProjects({
+      sort: "updated",
+      limit: 100,
+      owner: req.user.role === "admin" ? undefined : req.user.username,
+    });
 
     res.send(`
       <h1>Generated Websites</h1>
       <ul>
-        ${websites
+        ${projects
           .map(
-            (website) => `
+            (project) => `
           <li>
-            <a href="${website.previewUrl}">${website.projectId}</a>
-            (Created: ${website.created}, Modified: ${website.modified})
+            <a href="/${project.projectId}/">${escapeHtml(project.title)}</a>
+            (${project.projectId}, ${project.status}, Created: ${new Date(
+              project.createdAt
+            ).toLocaleString()}, Modified: ${new Date(
+              project.updatedAt
+            ).toLocaleString()})
           </li>
         `
           )
@@ -813,29 +2599,13 @@ previewApp.listen(PREVIEW_PORT, () => {
   );
 
   try {
-    const websites = [];
-
-    if (fs.existsSync(WEBSITES_DIR)) {
-      const projectDirs = fs
-        .readdirSync(WEBSITES_DIR, { withFileTypes: true })
-        .filter((dirent) => dirent.isDirectory())
-        .map((dirent) => dirent.name);
-
-      for (const projectId of projectDirs) {
-        const projectPath = path.join(WEBSITES_DIR, projectId);
-        const indexPath = path.join(projectPath, "index.html");
-
-        if (fs.existsSync(indexPath)) {
-          const stats = fs.statSync(projectPath);
-          websites.push({
-            projectId,
-            previewUrl: `http://localhost:${PREVIEW_PORT}/${projectId}/`,
-            created: stats.birthtime.toLocaleString(),
-            modified: stats.mtime.toLocaleString(),
-          });
-        }
-      }
-    }
+    const { projects } = listProjects({ sort: "updated", limit: 100 });
+    const websites = projects
+      .map((project) => ({
+        projectId: project.projectId,
+        previewUrl: getPreviewUrl(project.projectId),
+      }))
+      .filter((site) => site.previewUrl);
 
     console.log("📁 Preview URLs:");
     websites.forEach((site) => {
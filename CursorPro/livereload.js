@@ -0,0 +1,189 @@
+import fs from "fs";
+import path from "path";
+
+// Live reload for the preview server: project folders are watched, HTML
+// pages get a small client injected, and changes are pushed to it over
+// Server-Sent Events. When only stylesheets changed the client swaps them
+// in place instead of reloading the page.
+const CLIENT_PATH = "/__livereload/client.js";
+const EVENTS_PATH = "/__livereload/events";
+// Agent steps and builds write several files in a burst: send one event
+const DEBOUNCE_MS = 200;
+const HEARTBEAT_MS = 30000;
+
+const CLIENT_SCRIPT = `(() => {
+  const project = document.currentScript.dataset.project;
+  const source = new EventSource(
+    "${EVENTS_PATH}?project=" + encodeURIComponent(project)
+  );
+  source.addEventListener("reload", () => location.reload());
+  source.addEventListener("css", (event) => {
+    const { files } = JSON.parse(event.data);
+    const links = [...document.querySelectorAll('link[rel="stylesheet"]')]
+      .filter((link) => new URL(link.href).origin === location.origin);
+    const changed = links.filter((link) =>
+      files.some((file) =>
+        new URL(link.href).pathname.endsWith("/" + project + "/" + file)
+      )
+    );
+    // A changed file no link points at (e.g. @import) refreshes them all
+    for (const link of changed.length > 0 ? changed : links) {
+      const url = new URL(link.href);
+      url.searchParams.set("livereload", Date.now());
+      const next = link.cloneNode();
+      next.href = url.href;
+      // Drop the old sheet once the new one is in, so nothing flashes
+      next.onload = () => link.remove();
+      link.after(next);
+    }
+  });
+})();
+`;
+
+function isProjectId(name) {
+  return /^[A-Za-z0-9_-]+$/.test(name);
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Add the client before </body> (or at the end of a page without one)
+function injectClient(html, projectId) {
+  const tag = `<script src="${CLIENT_PATH}" data-project="${projectId}"></script>`;
+  const index = html.toLowerCase().lastIndexOf("</body>");
+  return index === -1
+    ? `${html}\n${tag}`
+    : `${html.slice(0, index)}${tag}\n${html.slice(index)}`;
+}
+
+// Watch `roots` (folders with one sub-folder per project, searched in
+// order like the static handlers). Returns an Express middleware serving
+// the event stream, the client script and the pages with the client added.
+export function createLiveReload(roots) {
+  const clients = new Map(); // projectId -> Set of open responses
+  const pending = new Map(); // projectId -> { files, timer }
+
+  const flush = (projectId) => {
+    const { files } = pending.get(projectId);
+    pending.delete(projectId);
+    const listeners = clients.get(projectId);
+    if (!listeners) return;
+
+    const changed = [...files];
+    const cssOnly =
+      changed.length > 0 && changed.every((file) => file.endsWith(".css"));
+    for (const res of listeners) {
+      if (cssOnly) sendEvent(res, "css", { files: changed });
+      else sendEvent(res, "reload", { files: changed });
+    }
+    console.log(
+      `🔄 ${cssOnly ? "CSS update" : "Reload"} for ${projectId} (${
+        listeners.size
+      } previews)`
+    );
+  };
+
+  const onChange = (filename) => {
+    if (!filename) return;
+    const [projectId, ...rest] = filename.split(path.sep);
+    // Build caches and other dot folders never affect a page
+    if (!isProjectId(projectId)) return;
+
+    const entry = pending.get(projectId) || { files: new Set(), timer: null };
+    // A change to the project folder itself (rest empty) means a reload
+    entry.files.add(rest.length > 0 ? rest.join("/") : "");
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => flush(projectId), DEBOUNCE_MS);
+    pending.set(projectId, entry);
+  };
+
+  for (const root of roots) {
+    fs.mkdirSync(root, { recursive: true });
+    try {
+      fs.watch(root, { recursive: true }, (eventType, filename) =>
+        onChange(filename)
+      ).on("error", (error) =>
+        console.error(`❌ Live reload watcher failed: ${error.message}`)
+      );
+    } catch (error) {
+      console.error(`❌ Live reload can't watch ${root}: ${error.message}`);
+    }
+  }
+
+  const heartbeat = setInterval(() => {
+    for (const listeners of clients.values()) {
+      for (const res of listeners) res.write(": ping\n\n");
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  // /__livereload/events?project=<id>
+  const events = (req, res) => {
+    const projectId = req.query.project;
+    if (typeof projectId !== "string" || !isProjectId(projectId)) {
+      return res.status(400).end();
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write(": connected\n\n");
+
+    const listeners = clients.get(projectId) || new Set();
+    listeners.add(res);
+    clients.set(projectId, listeners);
+    req.on("close", () => {
+      listeners.delete(res);
+      if (listeners.size === 0) clients.delete(projectId);
+    });
+  };
+
+  const client = (req, res) => {
+    res.type("js").set("Cache-Control", "no-cache").send(CLIENT_SCRIPT);
+  };
+
+  // Serve project HTML pages with the client added; everything else falls
+  // through to express.static
+  const injectHtml = (req, res, next) => {
+    if (req.method !== "GET" && req.method !== "HEAD") return next();
+
+    let segments;
+    try {
+      segments = decodeURIComponent(req.path).split("/").slice(1);
+    } catch {
+      return next();
+    }
+    const [projectId, ...rest] = segments;
+    // "/<id>" without a slash is redirected by express.static first
+    if (!isProjectId(projectId) || rest.length === 0) return next();
+
+    let relPath = rest.join("/");
+    if (relPath === "" || relPath.endsWith("/")) relPath += "index.html";
+    if (!/\.html?$/i.test(relPath)) return next();
+
+    for (const root of roots) {
+      const projectRoot = path.join(root, projectId);
+      const filePath = path.join(projectRoot, relPath);
+      if (!filePath.startsWith(projectRoot + path.sep)) return next();
+      if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        continue;
+      }
+
+      const html = fs.readFileSync(filePath, "utf-8");
+      return res
+        .type("html")
+        .set("Cache-Control", "no-cache")
+        .send(injectClient(html, projectId));
+    }
+    next();
+  };
+
+  return (req, res, next) => {
+    if (req.path === EVENTS_PATH) return events(req, res);
+    if (req.path === CLIENT_PATH) return client(req, res);
+    return injectHtml(req, res, next);
+  };
+}
@@ -0,0 +1,318 @@
+import Groq from "groq-sdk";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Folder holding recorded tool-call transcripts for the replay provider
+const TRANSCRIPTS_DIR = path.join(__dirname, "transcripts");
+
+// Provider defaults, all overridable through the environment
+const PROVIDER_CONFIG = {
+  groq: {
+    defaultModel: process.env.GROQ_MODEL || "llama-3.3-70b-versatile",
+    // Used once the default model keeps failing, "" turns it off
+    fallbackModel: process.env.GROQ_FALLBACK_MODEL ?? "llama-3.1-8b-instant",
+  },
+  openai: {
+    // Any OpenAI-compatible server: local Ollama, llama.cpp, vLLM, OpenAI...
+    baseURL: process.env.OPENAI_BASE_URL || "http://localhost:11434/v1",
+    apiKey: process.env.OPENAI_API_KEY || "",
+    defaultModel: process.env.OPENAI_MODEL || "llama3.1",
+    fallbackModel: process.env.OPENAI_FALLBACK_MODEL || "",
+  },
+  replay: {
+    defaultModel: "replay",
+    defaultTranscript: process.env.REPLAY_TRANSCRIPT || "landing-page",
+  },
+};
+
+export const DEFAULT_PROVIDER =
+  process.env.LLM_PROVIDER || (process.env.GROQ_API_KEY ? "groq" : "replay");
+
+// --------------------
+// Groq
+// --------------------
+let groqClient = null;
+
+function getGroqClient() {
+  if (!groqClient) {
+    // Retries happen in the agent loop, where they can be counted and
+    // move on to the fallback model
+    groqClient = new Groq({ apiKey: process.env.GROQ_API_KEY, maxRetries: 0 });
+  }
+  return groqClient;
+}
+
+// --------------------
+// OpenAI-compatible HTTP endpoint
+// --------------------
+
+// Parse an OpenAI style "data: {...}" event stream into chunk objects
+async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const value of body) {
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const data = line.trim();
+      if (!data.startsWith("data:")) continue;
+      const payload = data.slice(5).trim();
+      if (payload === "[DONE]") return;
+      yield JSON.parse(payload);
+    }
+  }
+}
+
+function createOpenAICompatibleClient({ baseURL, apiKey }) {
+  return {
+    chat: {
+      completions: {
+        async create(params, { signal } = {}) {
+          const response = await fetch(
+            `${baseURL.replace(/\/$/, "")}/chat/completions`,
+            {
+              method: "POST",
+              headers: {
+                "Content-Type": "application/json",
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+              },
+              body: JSON.stringify(params),
+              signal,
+            }
+          );
+
+          // Status and headers tell the agent loop whether (and when) to
+          // retry, like the errors of the Groq SDK
+          if (!response.ok) {
+            const text = await response.text();
+            const error = new Error(
+              `Model endpoint returned ${response.status}: ${text.substring(
+                0,
+                200
+              )}`
+            );
+            error.status = response.status;
+            error.headers = Object.fromEntries(response.headers);
+            throw error;
+          }
+
+          return params.stream
+            ? readEventStream(response.body)
+            : response.json();
+        },
+      },
+    },
+  };
+}
+
+// --------------------
+// Replay (offline, deterministic)
+// --------------------
+
+export function listTranscripts() {
+  if (!fs.existsSync(TRANSCRIPTS_DIR)) return [];
+  return fs
+    .readdirSync(TRANSCRIPTS_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => path.basename(file, ".json"));
+}
+
+function loadTranscript(name) {
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+    throw new Error(`Invalid transcript name: ${name}`);
+  }
+  const transcriptPath = path.join(TRANSCRIPTS_DIR, `${name}.json`);
+  if (!fs.existsSync(transcriptPath)) {
+    throw new Error(`Replay transcript not found: ${name}`);
+  }
+  return JSON.parse(fs.readFileSync(transcriptPath, "utf-8"));
+}
+
+// Turn a recorded response into an OpenAI style assistant message
+function toAssistantMessage(entry, turn) {
+  const toolCalls = (entry.tool_calls || []).map((call, index) => ({
+    id: `replay_${turn}_${index}`,
+    type: "function",
+    function: {
+      name: call.name,
+      arguments:
+        typeof call.arguments === "string"
+          ? call.arguments
+          : JSON.stringify(call.arguments || {}),
+    },
+  }));
+
+  return {
+    role: "assistant",
+    content: entry.content || null,
+    ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+  };
+}
+
+// Each client replays one transcript from the start, so every request
+// gets its own cursor and runs are fully deterministic.
+function createReplayClient(transcript) {
+  const responses = transcript.responses || [];
+  let turn = 0;
+
+  return {
+    chat: {
+      completions: {
+        async create(params, { signal } = {}) {
+          if (signal?.aborted) {
+            throw new Error("Request was aborted.");
+          }
+
+          const entry = responses[turn] || {
+            content: "Replay transcript finished.",
+          };
+          const message = toAssistantMessage(entry, turn);
+          const usage = entry.usage || {
+            prompt_tokens: 0,
+            completion_tokens: 0,
+            total_tokens: 0,
+          };
+          turn++;
+
+          if (!params.stream) {
+            return { choices: [{ index: 0, message }], usage };
+          }
+
+          return (async function* () {
+            yield {
+              choices: [
+                {
+                  index: 0,
+                  delta: {
+                    role: "assistant",
+                    content: message.content,
+                    tool_calls: message.tool_calls?.map((call, index) => ({
+                      index,
+                      ...call,
+                    })),
+                  },
+                },
+              ],
+            };
+            yield { choices: [{ index: 0, delta: {} }], usage };
+          })();
+        },
+      },
+    },
+  };
+}
+
+// --------------------
+// Registry
+// --------------------
+
+export function listProviders() {
+  return [
+    {
+      name: "groq",
+      available: Boolean(process.env.GROQ_API_KEY),
+      defaultModel: PROVIDER_CONFIG.groq.defaultModel,
+      fallbackModel: PROVIDER_CONFIG.groq.fallbackModel || null,
+    },
+    {
+      name: "openai",
+      available: true,
+      baseURL: PROVIDER_CONFIG.openai.baseURL,
+      defaultModel: PROVIDER_CONFIG.openai.defaultModel,
+      fallbackModel: PROVIDER_CONFIG.openai.fallbackModel || null,
+    },
+    {
+      name: "replay",
+      available: true,
+      defaultModel: PROVIDER_CONFIG.replay.defaultModel,
+      transcripts: listTranscripts(),
+    },
+  ];
+}
+
+// Returns an error message when the requested provider or model can't be
+// used. An empty `fallbackModel` turns the fallback off.
+export function getProviderError({
+  provider = DEFAULT_PROVIDER,
+  model,
+  fallbackModel,
+  replay,
+} = {}) {
+  if (model !== undefined && (typeof model !== "string" || !model.trim())) {
+    return "model must be a non-empty string";
+  }
+  if (fallbackModel !== undefined && typeof fallbackModel !== "string") {
+    return "fallbackModel must be a string";
+  }
+  const entry = listProviders().find((p) => p.name === provider);
+  if (!entry) {
+    return `Unknown provider: ${provider}`;
+  }
+  if (!entry.available) {
+    return `Provider '${provider}' is not configured`;
+  }
+  if (provider === "replay") {
+    const name = replay || PROVIDER_CONFIG.replay.defaultTranscript;
+    if (!listTranscripts().includes(name)) {
+      return `Replay transcript not found: ${name}`;
+    }
+  }
+  return null;
+}
+
+// A fallback equal to the model itself would only repeat the failure
+function getFallbackModel(model, fallbackModel) {
+  return fallbackModel && fallbackModel !== model ? fallbackModel : null;
+}
+
+// Pick the provider client, model and fallback model for one request
+export function resolveProvider({
+  provider = DEFAULT_PROVIDER,
+  model,
+  fallbackModel,
+  replay,
+} = {}) {
+  const error = getProviderError({ provider, model, fallbackModel, replay });
+  if (error) {
+    throw new Error(error);
+  }
+
+  switch (provider) {
+    case "groq":
+      return {
+        name: provider,
+        client: getGroqClient(),
+        model: model || PROVIDER_CONFIG.groq.defaultModel,
+        fallbackModel: getFallbackModel(
+          model || PROVIDER_CONFIG.groq.defaultModel,
+          fallbackModel ?? PROVIDER_CONFIG.groq.fallbackModel
+        ),
+      };
+    case "openai":
+      return {
+        name: provider,
+        client: createOpenAICompatibleClient(PROVIDER_CONFIG.openai),
+        model: model || PROVIDER_CONFIG.openai.defaultModel,
+        fallbackModel: getFallbackModel(
+          model || PROVIDER_CONFIG.openai.defaultModel,
+          fallbackModel ?? PROVIDER_CONFIG.openai.fallbackModel
+        ),
+      };
+    case "replay":
+      return {
+        name: provider,
+        client: createReplayClient(
+          loadTranscript(replay || PROVIDER_CONFIG.replay.defaultTranscript)
+        ),
+        model: PROVIDER_CONFIG.replay.defaultModel,
+        fallbackModel: null,
+      };
+  }
+}
@@ -0,0 +1,60 @@
+import fs from "fs";
+import path from "path";
+
+export function sanitizePath(filePath) {
+  if (typeof filePath !== "string" || !filePath) {
+    throw new Error("Invalid file path: a relative path is required");
+  }
+  // Prevent directory traversal attacks
+  const normalizedPath = path.normalize(filePath);
+  if (normalizedPath.includes("..") || path.isAbsolute(normalizedPath)) {
+    throw new Error("Invalid file path: directory traversal not allowed");
+  }
+  return normalizedPath;
+}
+
+// Like fs.existsSync, but true for dangling symlinks too
+function pathExists(fullPath) {
+  try {
+    fs.lstatSync(fullPath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isInside(root, target) {
+  return target === root || target.startsWith(root + path.sep);
+}
+
+// Resolve a model-supplied path inside the project root. Symlinks are
+// followed on the deepest part of the path that already exists, so a link
+// pointing outside the project can't be used to read or write through it.
+export function resolveInProject(projectPath, filePath) {
+  const fullPath = path.join(projectPath, sanitizePath(filePath));
+  const root = fs.realpathSync(projectPath);
+
+  let existing = fullPath;
+  while (!pathExists(existing)) {
+    existing = path.dirname(existing);
+  }
+
+  let realPath;
+  try {
+    realPath = fs.realpathSync(existing);
+  } catch {
+    throw new Error(`Invalid file path: broken symlink in ${filePath}`);
+  }
+
+  if (!isInside(root, realPath)) {
+    throw new Error(
+      `Invalid file path: ${filePath} resolves outside the project`
+    );
+  }
+
+  return fullPath;
+}
+
+export function isProjectRoot(projectPath, fullPath) {
+  return path.resolve(fullPath) === path.resolve(projectPath);
+}
@@ -0,0 +1,316 @@
+import fs from "fs";
+import path from "path";
+import pixelmatch from "pixelmatch";
+import { PNG } from "pngjs";
+import puppeteer from "puppeteer-core";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Screenshots of a project's pages at several viewport sizes, rendered
+// by a locally installed headless Chromium through the preview server.
+// Stored per version, so two versions can be compared pixel by pixel:
+//   data/screenshots/<projectId>/<version>/manifest.json
+//   data/screenshots/<projectId>/<version>/<viewport>/<page>.png
+//   data/screenshots/<projectId>/diffs/<from>-<to>/<viewport>/<page>.png
+const SCREENSHOTS_DIR = path.join(__dirname, "data", "screenshots");
+
+export const VIEWPORTS = {
+  mobile: { width: 390, height: 844 },
+  tablet: { width: 820, height: 1180 },
+  desktop: { width: 1440, height: 900 },
+};
+// Long pages are cut here so one screenshot can't grow without bound
+const MAX_PAGE_HEIGHT = 5000;
+const MAX_SCREENSHOT_PAGES = 10;
+const NAVIGATION_TIMEOUT = 20000;
+// Time for web fonts, images and entrance animations after "load"
+const SETTLE_MS = 500;
+// Per-pixel color distance pixelmatch ignores (0 to 1)
+const DIFF_THRESHOLD = 0.1;
+
+// Where Chromium usually lives when installed from a package manager
+const BROWSER_PATHS = [
+  "/usr/bin/chromium",
+  "/usr/bin/chromium-browser",
+  "/usr/bin/google-chrome",
+  "/usr/bin/google-chrome-stable",
+  "/Applications/Google Chrome.app/Contents/MacOS/Google Chrome",
+];
+
+function getBrowserPath() {
+  if (process.env.CHROMIUM_PATH) return process.env.CHROMIUM_PATH;
+  return BROWSER_PATHS.find((browserPath) => fs.existsSync(browserPath));
+}
+
+// Why screenshots can't be taken right now, null when they can
+export function getScreenshotsUnavailableReason() {
+  if (process.env.ENABLE_SCREENSHOTS === "false") {
+    return "Screenshots are disabled (ENABLE_SCREENSHOTS=false)";
+  }
+  const browserPath = getBrowserPath();
+  if (!browserPath || !fs.existsSync(browserPath)) {
+    return "No Chromium found (install it or set CHROMIUM_PATH)";
+  }
+  return null;
+}
+
+function getProjectDir(projectId) {
+  return path.join(SCREENSHOTS_DIR, projectId);
+}
+
+function getVersionDir(projectId, versionId) {
+  return path.join(getProjectDir(projectId), String(versionId));
+}
+
+// "blog/index.html" -> "<viewport>/blog__index.html.png"
+function getShotFile(viewport, page) {
+  return path.join(viewport, `${page.replace(/\//g, "__")}.png`);
+}
+
+export function getManifest(projectId, versionId) {
+  if (!/^\d+$/.test(String(versionId))) return null;
+  const manifestPath = path.join(
+    getVersionDir(projectId, versionId),
+    "manifest.json"
+  );
+  if (!fs.existsSync(manifestPath)) return null;
+  return JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+}
+
+// Every captured version of a project, newest first
+export function listScreenshots(projectId) {
+  const projectDir = getProjectDir(projectId);
+  if (!fs.existsSync(projectDir)) return [];
+  return fs
+    .readdirSync(projectDir)
+    .filter((name) => /^\d+$/.test(name))
+    .map((name) => getManifest(projectId, name))
+    .filter(Boolean)
+    .sort((a, b) => b.versionId - a.versionId);
+}
+
+// Absolute path of a stored PNG, null when there is none. `viewport` and
+// `page` come from URLs, so they are matched against the manifest.
+export function getScreenshotFile(projectId, versionId, viewport, page) {
+  const shot = getManifest(projectId, versionId)?.shots.find(
+    (s) => s.viewport === viewport && s.page === page
+  );
+  return shot
+    ? path.join(getVersionDir(projectId, versionId), shot.file)
+    : null;
+}
+
+export function getDiffFile(projectId, fromId, toId, viewport, page) {
+  const diffDir = path.join(
+    getProjectDir(projectId),
+    "diffs",
+    `${fromId}-${toId}`
+  );
+  const diffPath = path.join(diffDir, getShotFile(viewport, page));
+  // Only files that diffScreenshots() wrote, never a path from the URL
+  return diffPath.startsWith(diffDir + path.sep) && fs.existsSync(diffPath)
+    ? diffPath
+    : null;
+}
+
+export function deleteScreenshots(projectId) {
+  fs.rmSync(getProjectDir(projectId), { recursive: true, force: true });
+}
+
+// One Chromium at a time: captures queue up instead of each starting a
+// browser of their own
+let queue = Promise.resolve();
+
+function enqueue(task) {
+  const result = queue.then(task);
+  queue = result.catch(() => {});
+  return result;
+}
+
+async function capture(projectId, versionId, baseUrl, pages, headers) {
+  const versionDir = getVersionDir(projectId, versionId);
+  const startTime = Date.now();
+
+  fs.rmSync(versionDir, { recursive: true, force: true });
+  const browser = await puppeteer.launch({
+    executablePath: getBrowserPath(),
+    headless: true,
+    args: ["--no-sandbox", "--disable-dev-shm-usage"],
+  });
+
+  const shots = [];
+  try {
+    const tab = await browser.newPage();
+    tab.setDefaultNavigationTimeout(NAVIGATION_TIMEOUT);
+    // Only requests to the preview server get the headers: pages can load
+    // from any host, which must never see the preview token
+    const previewOrigin = new URL(baseUrl).origin;
+    await tab.setRequestInterception(true);
+    tab.on("request", (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+      const toPreview = new URL(request.url()).origin === previewOrigin;
+      request.continue(
+        toPreview ? { headers: { ...request.headers(), ...headers } } : {}
+      );
+    });
+
+    for (const page of pages.slice(0, MAX_SCREENSHOT_PAGES)) {
+      for (const [viewport, size] of Object.entries(VIEWPORTS)) {
+        await tab.setViewport(size);
+        // "load", not network idle: the live reload stream never goes idle
+        await tab.goto(new URL(page, baseUrl).href, { waitUntil: "load" });
+        await tab.evaluate(() => document.fonts.ready);
+        await new Promise((resolve) => setTimeout(resolve, SETTLE_MS));
+
+        const pageHeight = await tab.evaluate(
+          () => document.documentElement.scrollHeight
+        );
+        const height = Math.min(
+          Math.max(pageHeight, size.height),
+          MAX_PAGE_HEIGHT
+        );
+        const file = getShotFile(viewport, page);
+        fs.mkdirSync(path.dirname(path.join(versionDir, file)), {
+          recursive: true,
+        });
+        await tab.screenshot({
+          path: path.join(versionDir, file),
+          clip: { x: 0, y: 0, width: size.width, height },
+          captureBeyondViewport: true,
+        });
+        shots.push({ page, viewport, width: size.width, height, file });
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  const manifest = {
+    projectId,
+    versionId: Number(versionId),
+    baseUrl,
+    shots,
+    durationMs: Date.now() - startTime,
+    capturedAt: new Date().toISOString(),
+  };
+  fs.writeFileSync(
+    path.join(versionDir, "manifest.json"),
+    JSON.stringify(manifest, null, 2)
+  );
+  console.log(
+    `📷 ${shots.length} screenshots of ${projectId} v${versionId} in ${manifest.durationMs}ms`
+  );
+  return manifest;
+}
+
+// Render `pages` (paths like "index.html") under `baseUrl` at every
+// viewport and store them as the screenshots of `versionId`. `headers`
+// go with the requests to `baseUrl`'s origin, e.g. to get past the preview
+// server's sign-in.
+export function captureScreenshots(
+  projectId,
+  versionId,
+  baseUrl,
+  pages,
+  { headers = {} } = {}
+) {
+  const reason = getScreenshotsUnavailableReason();
+  if (reason) return Promise.reject(new Error(reason));
+  return enqueue(() => capture(projectId, versionId, baseUrl, pages, headers));
+}
+
+// Grow a PNG to width x height; new pixels are transparent, so a page that
+// got longer shows up as changed
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) return image;
+  const padded = new PNG({ width, height });
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
+
+// Pixel diff between the screenshots of two versions. Shots only one of
+// them has are listed with status "added" or "removed".
+export function diffScreenshots(projectId, fromId, toId) {
+  const from = getManifest(projectId, fromId);
+  const to = getManifest(projectId, toId);
+  if (!from || !to) {
+    throw new Error(
+      `No screenshots of v${!from ? fromId : toId}, capture them first`
+    );
+  }
+
+  const diffDir = path.join(
+    getProjectDir(projectId),
+    "diffs",
+    `${fromId}-${toId}`
+  );
+  const results = [];
+
+  for (const shot of to.shots) {
+    const before = from.shots.find(
+      (s) => s.page === shot.page && s.viewport === shot.viewport
+    );
+    if (!before) {
+      results.push({
+        page: shot.page,
+        viewport: shot.viewport,
+        status: "added",
+      });
+      continue;
+    }
+
+    const a = PNG.sync.read(
+      fs.readFileSync(path.join(getVersionDir(projectId, fromId), before.file))
+    );
+    const b = PNG.sync.read(
+      fs.readFileSync(path.join(getVersionDir(projectId, toId), shot.file))
+    );
+    const width = Math.max(a.width, b.width);
+    const height = Math.max(a.height, b.height);
+    const diff = new PNG({ width, height });
+    const diffPixels = pixelmatch(
+      padImage(a, width, height).data,
+      padImage(b, width, height).data,
+      diff.data,
+      width,
+      height,
+      { threshold: DIFF_THRESHOLD }
+    );
+
+    const diffPath = path.join(diffDir, getShotFile(shot.viewport, shot.page));
+    fs.mkdirSync(path.dirname(diffPath), { recursive: true });
+    fs.writeFileSync(diffPath, PNG.sync.write(diff));
+    results.push({
+      page: shot.page,
+      viewport: shot.viewport,
+      status: diffPixels > 0 ? "changed" : "same",
+      diffPixels,
+      diffRatio: Number((diffPixels / (width * height)).toFixed(4)),
+      width,
+      height,
+    });
+  }
+
+  for (const shot of from.shots) {
+    if (
+      !to.shots.some(
+        (s) => s.page === shot.page && s.viewport === shot.viewport
+      )
+    ) {
+      results.push({
+        page: shot.page,
+        viewport: shot.viewport,
+        status: "removed",
+      });
+    }
+  }
+
+  return {
+    from: Number(fromId),
+    to: Number(toId),
+    changedCount: results.filter((r) => r.status !== "same").length,
+    results,
+  };
+}
@@ -0,0 +1,393 @@
+import fs from "fs";
+import { JSDOM } from "jsdom";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// SEO stage: checks every page for a title, meta description, canonical
+// link, Open Graph/Twitter tags and JSON-LD. With a site base URL the
+// missing tags are injected into <head> and sitemap.xml and robots.txt are
+// generated. Tags the agent wrote are never replaced, only checked.
+// Reports are kept per project in data/seo/<projectId>.json.
+const REPORTS_DIR = path.join(__dirname, "data", "seo");
+const MAX_SEO_PAGES = 50;
+
+const TITLE_MAX_LENGTH = 60;
+const DESCRIPTION_MIN_LENGTH = 50;
+const DESCRIPTION_MAX_LENGTH = 160;
+
+// Error pages don't belong in the sitemap
+const EXCLUDED_PAGES = ["404.html"];
+
+function getReportPath(projectId) {
+  return path.join(REPORTS_DIR, `${projectId}.json`);
+}
+
+function listHtmlFiles(rootPath, relDir = ".") {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(rootPath, relDir), {
+    withFileTypes: true,
+  })) {
+    const relPath = path.posix.join(relDir, entry.name);
+    if (entry.isDirectory() && entry.name !== "node_modules") {
+      files.push(...listHtmlFiles(rootPath, relPath));
+    } else if (entry.isFile() && /\.html?$/i.test(entry.name)) {
+      files.push(relPath);
+    }
+  }
+  return files;
+}
+
+// Returns an error message for an invalid `siteUrl` request field,
+// null when it is fine (or absent)
+export function getSiteUrlError(siteUrl) {
+  if (siteUrl === undefined) return null;
+  try {
+    const url = new URL(siteUrl);
+    if (!["http:", "https:"].includes(url.protocol)) throw new Error();
+    if (url.search || url.hash) throw new Error();
+  } catch {
+    return "siteUrl must be an http(s) URL without query or fragment, e.g. https://example.com";
+  }
+  return null;
+}
+
+// Public URL of a page: folders end in "/", index.html is dropped
+function getPageUrl(siteUrl, page) {
+  const base = siteUrl.endsWith("/") ? siteUrl : `${siteUrl}/`;
+  return new URL(page.replace(/(^|\/)index\.html?$/i, "$1"), base).href;
+}
+
+function escapeAttribute(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function escapeXml(text) {
+  return escapeAttribute(text).replace(/'/g, "&apos;");
+}
+
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  return `${cut.slice(
+    0,
+    cut.lastIndexOf(" ") > 0 ? cut.lastIndexOf(" ") : cut.length
+  )}…`;
+}
+
+function getMeta(document, attribute, name) {
+  return (
+    document
+      .querySelector(`meta[${attribute}="${name}"]`)
+      ?.getAttribute("content")
+      ?.trim() || ""
+  );
+}
+
+// A description from the page itself: the first paragraph long enough to say
+// something (inside <main> when there is one), else the title
+function describePage(document, title) {
+  const content = document.querySelector("main") || document;
+  for (const paragraph of content.querySelectorAll("p")) {
+    const text = paragraph.textContent.replace(/\s+/g, " ").trim();
+    if (text.length >= DESCRIPTION_MIN_LENGTH) {
+      return truncate(text, DESCRIPTION_MAX_LENGTH);
+    }
+  }
+  return title;
+}
+
+// Check one page and, with a siteUrl, work out the tags to inject.
+// Returns { report, tags } where tags are HTML strings for <head>.
+function checkPage(html, page, { siteUrl, siteName }) {
+  const { document } = new JSDOM(html).window;
+  const checks = [];
+  const tags = [];
+  const url = siteUrl ? getPageUrl(siteUrl, page) : null;
+
+  const add = (id, status, message) => checks.push({ id, status, message });
+
+  const title = document.title.trim();
+  if (!title) {
+    add("title", "missing", "The page has no <title>");
+  } else if (title.length > TITLE_MAX_LENGTH) {
+    add(
+      "title",
+      "warning",
+      `The title is ${title.length} characters, search results show about ${TITLE_MAX_LENGTH}`
+    );
+  } else {
+    add("title", "ok", title);
+  }
+
+  let description = getMeta(document, "name", "description");
+  const generatedDescription = siteUrl && describePage(document, title);
+  if (description) {
+    const tooShort = description.length < DESCRIPTION_MIN_LENGTH;
+    const tooLong = description.length > DESCRIPTION_MAX_LENGTH;
+    add(
+      "description",
+      tooShort || tooLong ? "warning" : "ok",
+      tooShort || tooLong
+        ? `The description is ${description.length} characters, aim for ${DESCRIPTION_MIN_LENGTH}-${DESCRIPTION_MAX_LENGTH}`
+        : description
+    );
+  } else if (generatedDescription) {
+    description = generatedDescription;
+    tags.push(
+      `<meta name="description" content="${escapeAttribute(description)}">`
+    );
+    add("description", "injected", description);
+  } else {
+    add("description", "missing", 'No <meta name="description">');
+  }
+
+  const h1Count = document.querySelectorAll("h1").length;
+  add(
+    "h1",
+    h1Count === 1 ? "ok" : "warning",
+    h1Count === 1
+      ? "One <h1>"
+      : `The page has ${h1Count} <h1> elements, it should have exactly one`
+  );
+
+  const canonical = document
+    .querySelector('link[rel="canonical"]')
+    ?.getAttribute("href");
+  if (canonical) {
+    add("canonical", "ok", canonical);
+  } else if (url) {
+    tags.push(`<link rel="canonical" href="${escapeAttribute(url)}">`);
+    add("canonical", "injected", url);
+  } else {
+    add("canonical", "missing", 'No <link rel="canonical">');
+  }
+
+  // First image as the share picture, made absolute for crawlers
+  const imageSrc = document.querySelector("img[src]")?.getAttribute("src");
+  let image = null;
+  if (url && imageSrc && !imageSrc.startsWith("data:")) {
+    try {
+      image = new URL(imageSrc, url).href;
+    } catch {
+      add(
+        "og_image",
+        "warning",
+        `<img src="${imageSrc}"> is not a valid URL, so it can't be the share image`
+      );
+    }
+  }
+
+  const openGraph = {
+    "og:type": "website",
+    "og:title": title,
+    "og:description": description,
+    "og:url": url,
+    "og:site_name": siteName,
+    "og:image": image,
+  };
+  const missingOg = Object.keys(openGraph).filter(
+    (property) => !getMeta(document, "property", property)
+  );
+  const injectedOg = siteUrl
+    ? missingOg.filter((property) => openGraph[property])
+    : [];
+  for (const property of injectedOg) {
+    tags.push(
+      `<meta property="${property}" content="${escapeAttribute(
+        openGraph[property]
+      )}">`
+    );
+  }
+  const requiredOg = ["og:title", "og:description", "og:url"];
+  const stillMissing = requiredOg.filter(
+    (property) => missingOg.includes(property) && !injectedOg.includes(property)
+  );
+  add(
+    "open_graph",
+    stillMissing.length > 0
+      ? "missing"
+      : injectedOg.length > 0
+      ? "injected"
+      : "ok",
+    stillMissing.length > 0
+      ? `Missing ${stillMissing.join(", ")}`
+      : injectedOg.length > 0
+      ? `Added ${injectedOg.join(", ")}`
+      : "All Open Graph tags present"
+  );
+
+  if (getMeta(document, "name", "twitter:card")) {
+    add("twitter_card", "ok", getMeta(document, "name", "twitter:card"));
+  } else if (siteUrl) {
+    const card = image ? "summary_large_image" : "summary";
+    tags.push(`<meta name="twitter:card" content="${card}">`);
+    add("twitter_card", "injected", card);
+  } else {
+    add("twitter_card", "missing", 'No <meta name="twitter:card">');
+  }
+
+  const jsonLd = [
+    ...document.querySelectorAll('script[type="application/ld+json"]'),
+  ];
+  const invalidJsonLd = jsonLd.filter((script) => {
+    try {
+      JSON.parse(script.textContent);
+      return false;
+    } catch {
+      return true;
+    }
+  });
+  if (invalidJsonLd.length > 0) {
+    add("json_ld", "warning", "A JSON-LD block is not valid JSON");
+  } else if (jsonLd.length > 0) {
+    add("json_ld", "ok", `${jsonLd.length} JSON-LD block(s)`);
+  } else if (url) {
+    const data = {
+      "@context": "https://schema.org",
+      "@type": "WebPage",
+      name: title || undefined,
+      description: description || undefined,
+      url,
+      isPartOf: {
+        "@type": "WebSite",
+        name: siteName || undefined,
+        url: getPageUrl(siteUrl, "index.html"),
+      },
+    };
+    // "</" would end the script element early
+    tags.push(
+      `<script type="application/ld+json">${JSON.stringify(data).replace(
+        /<\//g,
+        "<\\/"
+      )}</script>`
+    );
+    add("json_ld", "injected", "WebPage structured data");
+  } else {
+    add("json_ld", "missing", "No JSON-LD structured data");
+  }
+
+  const passed = checks.filter((check) =>
+    ["ok", "injected"].includes(check.status)
+  ).length;
+  return {
+    report: {
+      page,
+      url,
+      title,
+      score: Math.round((passed / checks.length) * 100),
+      checks,
+    },
+    tags,
+  };
+}
+
+// Insert tags at the end of <head>, keeping the agent's formatting
+function injectTags(html, tags) {
+  const block = tags.map((tag) => `    ${tag}`).join("\n");
+  // Replacement functions, so a "$" in a description is kept as is
+  if (/<\/head>/i.test(html)) {
+    return html.replace(
+      /(\s*)<\/head>/i,
+      (match, space) => `\n${block}${space}</head>`
+    );
+  }
+  if (/<html[^>]*>/i.test(html)) {
+    return html.replace(
+      /<html[^>]*>/i,
+      (match) => `${match}\n<head>\n${block}\n</head>`
+    );
+  }
+  return `<head>\n${block}\n</head>\n${html}`;
+}
+
+function buildSitemapXml(urls) {
+  const lastmod = new Date().toISOString().slice(0, 10);
+  const entries = urls
+    .map(
+      (url) =>
+        `  <url>\n    <loc>${escapeXml(
+          url
+        )}</loc>\n    <lastmod>${lastmod}</lastmod>\n  </url>`
+    )
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries}
+</urlset>
+`;
+}
+
+// Run the SEO stage on the pages under `rootPath` (the project folder, or
+// the build output for built targets). Without a siteUrl it only reports.
+export function runSeo(rootPath, { siteUrl, siteName } = {}) {
+  const pages = listHtmlFiles(rootPath).slice(0, MAX_SEO_PAGES);
+  const reports = [];
+  const changedFiles = [];
+
+  for (const page of pages) {
+    const filePath = path.join(rootPath, page);
+    const html = fs.readFileSync(filePath, "utf-8");
+    const { report, tags } = checkPage(html, page, { siteUrl, siteName });
+    if (tags.length > 0) {
+      fs.writeFileSync(filePath, injectTags(html, tags));
+      changedFiles.push(page);
+    }
+    reports.push(report);
+  }
+
+  const generatedFiles = [];
+  if (siteUrl) {
+    const urls = pages
+      .filter((page) => !EXCLUDED_PAGES.includes(path.posix.basename(page)))
+      .map((page) => getPageUrl(siteUrl, page));
+    fs.writeFileSync(path.join(rootPath, "sitemap.xml"), buildSitemapXml(urls));
+    fs.writeFileSync(
+      path.join(rootPath, "robots.txt"),
+      `User-agent: *\nAllow: /\n\nSitemap: ${getPageUrl(
+        siteUrl,
+        "sitemap.xml"
+      )}\n`
+    );
+    generatedFiles.push("sitemap.xml", "robots.txt");
+  }
+
+  return {
+    siteUrl: siteUrl || null,
+    score:
+      reports.length > 0
+        ? Math.round(
+            reports.reduce((sum, report) => sum + report.score, 0) /
+              reports.length
+          )
+        : null,
+    pages: reports,
+    changedFiles,
+    generatedFiles,
+    note: siteUrl
+      ? null
+      : "Set siteUrl to add canonical links, Open Graph URLs, JSON-LD, sitemap.xml and robots.txt",
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+export function saveSeoReport(projectId, report) {
+  fs.mkdirSync(REPORTS_DIR, { recursive: true });
+  fs.writeFileSync(getReportPath(projectId), JSON.stringify(report, null, 2));
+}
+
+export function getSeoReport(projectId) {
+  const reportPath = getReportPath(projectId);
+  if (!fs.existsSync(reportPath)) return null;
+  return JSON.parse(fs.readFileSync(reportPath, "utf-8"));
+}
+
+export function deleteSeoReport(projectId) {
+  fs.rmSync(getReportPath(projectId), { force: true });
+}
@@ -0,0 +1,245 @@
+import { execFileSync } from "child_process";
+import { isProjectRoot, resolveInProject } from "./sandbox.js";
+
+// The shell tool is off unless explicitly enabled. Even then no shell is
+// involved: the command is split into argv and run with execFileSync.
+export const SHELL_ENABLED = process.env.ENABLE_SHELL_TOOL === "true";
+
+// How each allowed command treats its positional arguments:
+// - "all": every positional argument is a project path
+// - "afterFirst": the first positional is a pattern, the rest are paths;
+//   all of them are paths once one of `patternOptions` gives the pattern
+// - "leading": positionals up to the first expression (find) are paths,
+//   `leadingOptions` may come before them
+// - "none": arguments are plain text
+const COMMAND_RULES = {
+  mkdir: { paths: "all" },
+  touch: { paths: "all" },
+  ls: { paths: "all" },
+  cat: { paths: "all" },
+  cp: { paths: "all" },
+  mv: { paths: "all", protectRoot: true },
+  rm: { paths: "all", protectRoot: true },
+  head: { paths: "all" },
+  tail: { paths: "all" },
+  wc: { paths: "all" },
+  sort: { paths: "all" },
+  uniq: { paths: "all" },
+  grep: {
+    paths: "afterFirst",
+    patternOptions: ["-e", "-f", "--regexp", "--file"],
+    blockedArgs: ["-f", "--file"],
+  },
+  find: {
+    paths: "leading",
+    leadingOptions: ["-H", "-L", "-P", "-D", "-O"],
+    blockedArgs: [
+      "-exec",
+      "-execdir",
+      "-ok",
+      "-okdir",
+      "-delete",
+      "-fprint",
+      "-fprint0",
+      "-fprintf",
+      "-fls",
+      "-files0-from",
+    ],
+  },
+  echo: { paths: "none" },
+  pwd: { paths: "none" },
+};
+
+// Characters a shell would interpret. They are rejected outside quotes even
+// though no shell runs, so the model gets a clear error instead of a
+// command that silently does something else.
+const SHELL_METACHARACTERS = ";&|<>`$()\\*?[]{}~!#\n\r";
+
+// Split a command string into argv, honoring single and double quotes
+export function parseCommand(command) {
+  if (typeof command !== "string" || !command.trim()) {
+    throw new Error("A command is required");
+  }
+
+  const args = [];
+  let current = "";
+  let quote = null;
+  let hasToken = false;
+
+  for (const char of command) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        current += char;
+      }
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      quote = char;
+      hasToken = true;
+    } else if (char === " " || char === "\t") {
+      if (hasToken) {
+        args.push(current);
+        current = "";
+        hasToken = false;
+      }
+    } else if (SHELL_METACHARACTERS.includes(char)) {
+      throw new Error(`Shell operator '${char}' is not allowed`);
+    } else {
+      current += char;
+      hasToken = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error("Unterminated quote in command");
+  }
+  if (hasToken) {
+    args.push(current);
+  }
+
+  return args;
+}
+
+// Whether an option gives grep its pattern. Short options can be grouped
+// with the value attached (-ieroot), long ones abbreviated (--reg=root).
+function isPatternOption(rule, arg) {
+  return (rule.patternOptions || []).some((option) => {
+    if (!option.startsWith("--")) {
+      return !arg.startsWith("--") && arg.slice(1).includes(option[1]);
+    }
+    const name = arg.split("=")[0];
+    return name.length > 3 && option.startsWith(name);
+  });
+}
+
+// Find options that may come before the start paths (-O takes its level
+// attached, e.g. -O3)
+function isLeadingOption(rule, arg) {
+  return (rule.leadingOptions || []).some(
+    (option) => arg === option || (option === "-O" && /^-O\d+$/.test(arg))
+  );
+}
+
+// Check every argument of a parsed command against the project root
+export function validateCommand(argv, projectPath) {
+  const [commandName, ...args] = argv;
+  const rule = COMMAND_RULES[commandName];
+
+  if (!rule) {
+    throw new Error(`Command '${commandName}' is not allowed`);
+  }
+
+  // Options are read wherever they appear, so this must be known before
+  // the first positional
+  const optionArgs = args.includes("--")
+    ? args.slice(0, args.indexOf("--"))
+    : args;
+  const patternGiven = optionArgs.some(
+    (arg) => arg.startsWith("-") && isPatternOption(rule, arg)
+  );
+
+  let endOfOptions = false;
+  let positionalIndex = 0;
+  let inExpression = false;
+
+  for (const arg of args) {
+    if (!endOfOptions && arg === "--") {
+      endOfOptions = true;
+      continue;
+    }
+
+    if (
+      rule.blockedArgs?.some(
+        (blocked) => arg === blocked || arg.startsWith(`${blocked}=`)
+      )
+    ) {
+      throw new Error(`Argument '${arg}' is not allowed for ${commandName}`);
+    }
+
+    const isOption = !endOfOptions && arg.startsWith("-") && arg !== "-";
+    if (isOption) {
+      // Option values can't smuggle paths (-o/etc/x, --target-directory=..)
+      if (rule.paths !== "none" && (arg.includes("/") || arg.includes(".."))) {
+        throw new Error(`Option '${arg}' may not contain a path`);
+      }
+      if (rule.paths === "leading" && !isLeadingOption(rule, arg)) {
+        inExpression = true;
+      }
+      continue;
+    }
+    if (rule.paths === "leading" && (arg === "(" || arg === "!")) {
+      inExpression = true;
+    }
+
+    const isPath =
+      rule.paths === "all" ||
+      (rule.paths === "afterFirst" && (positionalIndex > 0 || patternGiven)) ||
+      (rule.paths === "leading" && !inExpression);
+    positionalIndex++;
+
+    if (!isPath) continue;
+
+    const fullPath = resolveInProject(projectPath, arg);
+    if (rule.protectRoot && isProjectRoot(projectPath, fullPath)) {
+      throw new Error(`${commandName} on the project root is not allowed`);
+    }
+  }
+}
+
+export function ExecuteCommand(context, { command }) {
+  try {
+    if (!SHELL_ENABLED) {
+      throw new Error("Shell access is disabled (set ENABLE_SHELL_TOOL=true)");
+    }
+
+    const argv = parseCommand(command);
+    validateCommand(argv, context.projectPath);
+
+    // Commands always run inside the project directory
+    const options = {
+      encoding: "utf-8",
+      timeout: 30000, // 30 second timeout
+      maxBuffer: 1024 * 1024, // 1MB max buffer
+      cwd: context.projectPath,
+    };
+
+    console.log(`🔧 Executing: ${argv.join(" ")}`);
+    const output = execFileSync(argv[0], argv.slice(1), options);
+
+    return {
+      success: true,
+      output: output.toString().trim(),
+      command: command,
+    };
+  } catch (error) {
+    console.error(`❌ Command failed: ${command}`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      command: command,
+    };
+  }
+}
+
+export const shellToolDefinition = {
+  type: "function",
+  function: {
+    name: "ExecuteCommand",
+    description:
+      "Run a single command in the project directory without a shell. Allowed: mkdir, touch, ls, cat, cp, mv, rm, head, tail, wc, sort, uniq, grep, find, echo, pwd. No pipes, redirects, globs or chaining.",
+    parameters: {
+      type: "object",
+      properties: {
+        command: {
+          type: "string",
+          description:
+            "The command to execute. Example: 'ls css', 'grep -n header index.html'",
+        },
+      },
+      required: ["command"],
+    },
+  },
+};
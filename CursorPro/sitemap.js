@@ -0,0 +1,139 @@
+import fs from "fs";
+import path from "path";
+
+// Multi-page mode: the agent writes the site map below before any page,
+// the validator then checks every listed page exists and links the others.
+export const SITEMAP_FILE = "sitemap.json";
+export const MAX_PAGES = 12;
+const MAX_PAGE_TITLE_LENGTH = 40;
+// Site map entries are plain HTML files inside the project
+const PAGE_PATH_PATTERN = /^(?!.*\.\.)[\w\-/]+\.html?$/;
+
+function slugify(text) {
+  return text
+    .normalize("NFKD")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Returns an error message for an invalid `pages` request field, null when
+// it is fine (or absent)
+export function getPagesError(pages) {
+  if (pages === undefined) return null;
+  if (!Array.isArray(pages) || pages.length === 0) {
+    return "pages must be a non-empty array of page names";
+  }
+  if (pages.length > MAX_PAGES) {
+    return `Too many pages (max ${MAX_PAGES})`;
+  }
+  for (const page of pages) {
+    if (typeof page !== "string" || !page.trim()) {
+      return "Every page name must be a non-empty string";
+    }
+    if (page.trim().length > MAX_PAGE_TITLE_LENGTH) {
+      return `Page names must be at most ${MAX_PAGE_TITLE_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+// Turn page names into file paths: the home page (or the first page when
+// none is called Home) becomes index.html, the rest <slug>.html
+export function planSiteMap(pages) {
+  const titles = pages.map((page) => page.trim());
+  const homeIndex = Math.max(
+    titles.findIndex((title) => ["home", "index"].includes(slugify(title))),
+    0
+  );
+  const used = new Set(["index"]);
+
+  return titles.map((title, i) => {
+    if (i === homeIndex) return { title, path: "index.html" };
+
+    const base = slugify(title) || `page-${i + 1}`;
+    let slug = base;
+    for (let n = 2; used.has(slug); n++) {
+      slug = `${base}-${n}`;
+    }
+    used.add(slug);
+    return { title, path: `${slug}.html` };
+  });
+}
+
+export function buildMultiPagePrompt(siteMap) {
+  const pageList = siteMap
+    .map((page) => `- ${page.title}: ${page.path}`)
+    .join("\n");
+
+  return `MULTI-PAGE MODE:
+The user wants a site with these pages:
+${pageList}
+
+1. FIRST write ${SITEMAP_FILE} before any page: a JSON array with one
+   {"title", "path", "sections"} object per page above, in this order, where
+   "sections" lists the content blocks you plan for that page.
+2. Write css/style.css and js/script.js once and link them from every page.
+3. Write each page as a complete HTML file. Every page has the SAME header,
+   nav and footer markup; the nav links to every page of the site map with
+   relative links (e.g. <a href="about.html">) and marks the current page
+   with class="active" and aria-current="page".
+4. Only link to pages that exist in the site map.`;
+}
+
+// Pages of a multi-page project, null when it has no valid site map
+export function readSiteMap(projectPath) {
+  const siteMapPath = path.join(projectPath, SITEMAP_FILE);
+  if (!fs.existsSync(siteMapPath)) return null;
+
+  try {
+    const siteMap = JSON.parse(fs.readFileSync(siteMapPath, "utf-8"));
+    if (!Array.isArray(siteMap)) return null;
+    return siteMap
+      .filter((page) => typeof page?.path === "string")
+      .map((page) => ({
+        title: String(page.title || page.path),
+        path: page.path.replace(/^\.?\//, ""),
+      }))
+      .filter((page) => PAGE_PATH_PATTERN.test(page.path));
+  } catch {
+    return null;
+  }
+}
+
+function readHtmlTitle(filePath) {
+  const match = fs
+    .readFileSync(filePath, "utf-8")
+    .match(/<title[^>]*>([^<]*)<\/title>/i);
+  return match?.[1].trim() || null;
+}
+
+// Pages to show in the preview: the site map (or the planned one when the
+// agent wrote none), else every HTML file in the project root
+export function listPages(projectPath, plannedSiteMap = null) {
+  if (!fs.existsSync(projectPath)) return [];
+
+  const siteMap = readSiteMap(projectPath) || plannedSiteMap;
+  if (siteMap) {
+    return siteMap.map((page) => ({
+      ...page,
+      exists: fs.existsSync(path.join(projectPath, page.path)),
+    }));
+  }
+
+  return fs
+    .readdirSync(projectPath, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && /\.html?$/i.test(entry.name))
+    .map((entry) => ({
+      title:
+        readHtmlTitle(path.join(projectPath, entry.name)) ||
+        path.basename(entry.name, path.extname(entry.name)),
+      path: entry.name,
+      exists: true,
+    }))
+    .sort(
+      (a, b) =>
+        Number(b.path === "index.html") - Number(a.path === "index.html") ||
+        a.path.localeCompare(b.path)
+    );
+}
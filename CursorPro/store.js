@@ -0,0 +1,283 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// One JSON file of metadata per project: data/projects/<projectId>.json
+const PROJECTS_DIR = path.join(__dirname, "data", "projects");
+
+export const MAX_TITLE_LENGTH = 80;
+const SORT_FIELDS = {
+  created: (project) => project.createdAt,
+  updated: (project) => project.updatedAt,
+  title: (project) => project.title.toLowerCase(),
+  tokens: (project) => project.usage.total_tokens,
+};
+
+if (!fs.existsSync(PROJECTS_DIR)) {
+  fs.mkdirSync(PROJECTS_DIR, { recursive: true });
+}
+
+function getMetaPath(projectId) {
+  return path.join(PROJECTS_DIR, `${projectId}.json`);
+}
+
+// Write through a temp file so a crash never leaves half a JSON file
+function writeJson(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), "utf-8");
+  fs.renameSync(tempPath, filePath);
+}
+
+export function titleFromPrompt(prompt) {
+  const firstLine = (prompt || "").trim().split("\n")[0];
+  return firstLine.length > MAX_TITLE_LENGTH
+    ? `${firstLine.substring(0, MAX_TITLE_LENGTH - 1)}…`
+    : firstLine || "Untitled website";
+}
+
+// Read the <title> of a project's index.html, if any
+export function titleFromHtml(projectPath) {
+  const indexPath = path.join(projectPath, "index.html");
+  if (!fs.existsSync(indexPath)) return null;
+  const match = fs
+    .readFileSync(indexPath, "utf-8")
+    .match(/<title[^>]*>([^<]*)<\/title>/i);
+  return match?.[1].trim() || null;
+}
+
+export function getProject(projectId) {
+  const metaPath = getMetaPath(projectId);
+  if (!fs.existsSync(metaPath)) return null;
+  return JSON.parse(fs.readFileSync(metaPath, "utf-8"));
+}
+
+// Create the metadata record of a project (no-op when it exists)
+export function createProject(
+  projectId,
+  { title, prompt, source, status, templateId, outputTarget, owner }
+) {
+  const existing = getProject(projectId);
+  if (existing) return existing;
+
+  const now = new Date().toISOString();
+  const project = {
+    projectId,
+    // Username of the account the project belongs to, null for projects
+    // found on disk (only admins see those)
+    owner: owner || null,
+    title: title || titleFromPrompt(prompt),
+    source: source || "build",
+    templateId: templateId || null,
+    outputTarget: outputTarget || "static",
+    brandKitId: null,
+    siteUrl: null,
+    status: status || "created",
+    createdAt: now,
+    updatedAt: now,
+    prompts: [],
+    runs: [],
+    usage: {
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+      cost_usd: 0,
+    },
+  };
+  writeJson(getMetaPath(projectId), project);
+  return project;
+}
+
+export function updateProject(projectId, changes) {
+  const project = getProject(projectId);
+  if (!project) {
+    throw new Error(`Project not found: ${projectId}`);
+  }
+  const updated = {
+    ...project,
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+  writeJson(getMetaPath(projectId), updated);
+  return updated;
+}
+
+export function deleteProjectMeta(projectId) {
+  fs.rmSync(getMetaPath(projectId), { force: true });
+}
+
+// Mark a build/edit as running and remember its prompt
+export function startRun(projectId, { kind, prompt }) {
+  const project = getProject(projectId);
+  return updateProject(projectId, {
+    status: "building",
+    prompts: [
+      ...project.prompts,
+      { kind, prompt, createdAt: new Date().toISOString() },
+    ],
+  });
+}
+
+// Keep tool logs small: file bodies are already in the version history
+function summarizeArgs(args) {
+  if (!args) return args;
+  const summary = { ...args };
+  if (typeof summary.content === "string" && summary.content.length > 200) {
+    summary.content = `${summary.content.substring(0, 200)}… (${
+      summary.content.length
+    } chars)`;
+  }
+  if (Array.isArray(summary.edits)) {
+    summary.edits = `${summary.edits.length} edits`;
+  }
+  return summary;
+}
+
+// Store the outcome of a finished (or failed) run
+export function finishRun(projectId, run) {
+  const project = getProject(projectId);
+  const usage = run.usage || {};
+
+  const record = {
+    ...run,
+    executionResults: (run.executionResults || []).map((result) => ({
+      ...result,
+      args: summarizeArgs(result.args),
+    })),
+    finishedAt: new Date().toISOString(),
+  };
+
+  return updateProject(projectId, {
+    status: run.status,
+    runs: [...project.runs, record],
+    usage: {
+      prompt_tokens: project.usage.prompt_tokens + (usage.prompt_tokens || 0),
+      completion_tokens:
+        project.usage.completion_tokens + (usage.completion_tokens || 0),
+      total_tokens: project.usage.total_tokens + (usage.total_tokens || 0),
+      cost_usd: Number(
+        ((project.usage.cost_usd || 0) + (usage.cost_usd || 0)).toFixed(6)
+      ),
+    },
+  });
+}
+
+// Give folders without metadata (older or hand-made projects) a record
+export function syncProjects(websitesDir) {
+  if (!fs.existsSync(websitesDir)) return 0;
+
+  let created = 0;
+  for (const entry of fs.readdirSync(websitesDir, { withFileTypes: true })) {
+    if (!entry.isDirectory() || getProject(entry.name)) continue;
+
+    const projectPath = path.join(websitesDir, entry.name);
+    const stats = fs.statSync(projectPath);
+    const project = createProject(entry.name, {
+      title: titleFromHtml(projectPath) || entry.name,
+      source: "legacy",
+      status: "completed",
+    });
+    writeJson(getMetaPath(entry.name), {
+      ...project,
+      createdAt: stats.birthtime.toISOString(),
+      updatedAt: stats.mtime.toISOString(),
+    });
+    created++;
+  }
+  return created;
+}
+
+// Strip the heavy run logs for list responses
+function summarize(project) {
+  const { runs, prompts, ...rest } = project;
+  const lastRun = runs[runs.length - 1];
+  return {
+    ...rest,
+    prompt: prompts[0]?.prompt || null,
+    promptCount: prompts.length,
+    runCount: runs.length,
+    lastRun: lastRun
+      ? {
+          kind: lastRun.kind,
+          status: lastRun.status,
+          finishedAt: lastRun.finishedAt,
+          stopReason: lastRun.stopReason,
+        }
+      : null,
+  };
+}
+
+// Returns an error message for invalid listProjects query parameters,
+// null when they are fine. A repeated ?q=a&q=b arrives as an array.
+export function getListQueryError(query) {
+  for (const name of ["q", "status", "sort", "order", "page", "limit"]) {
+    if (query[name] !== undefined && typeof query[name] !== "string") {
+      return `${name} must be a single text value`;
+    }
+  }
+  return null;
+}
+
+// Search, sort and paginate the stored projects, optionally of one owner
+export function listProjects({
+  q = "",
+  owner,
+  status,
+  sort = "created",
+  order = "desc",
+  page = 1,
+  limit = 20,
+} = {}) {
+  const query = q.trim().toLowerCase();
+  const getSortValue = SORT_FIELDS[sort] || SORT_FIELDS.created;
+
+  let projects = fs
+    .readdirSync(PROJECTS_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => getProject(path.basename(file, ".json")))
+    .filter(Boolean);
+
+  if (owner !== undefined) {
+    projects = projects.filter((project) => project.owner === owner);
+  }
+
+  if (status) {
+    projects = projects.filter((project) => project.status === status);
+  }
+
+  if (query) {
+    projects = projects.filter(
+      (project) =>
+        project.title.toLowerCase().includes(query) ||
+        project.projectId.toLowerCase().includes(query) ||
+        project.prompts.some((p) => p.prompt.toLowerCase().includes(query))
+    );
+  }
+
+  projects.sort((a, b) => {
+    const left = getSortValue(a);
+    const right = getSortValue(b);
+    const result = left < right ? -1 : left > right ? 1 : 0;
+    return order === "asc" ? result : -result;
+  });
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const total = projects.length;
+  const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+  const currentPage = Math.min(
+    Math.max(parseInt(page, 10) || 1, 1),
+    totalPages
+  );
+
+  return {
+    projects: projects
+      .slice((currentPage - 1) * pageSize, currentPage * pageSize)
+      .map(summarize),
+    total,
+    page: currentPage,
+    limit: pageSize,
+    totalPages,
+  };
+}
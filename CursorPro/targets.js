@@ -0,0 +1,487 @@
+import { execFile } from "child_process";
+import fs from "fs";
+import { createRequire } from "module";
+import path from "path";
+import { promisify } from "util";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const execFileAsync = promisify(execFile);
+const require = createRequire(import.meta.url);
+
+// Output targets: the kind of project the agent writes, its file layout,
+// the files it must contain and how it is built for the preview. Build
+// tools come from this package's node_modules (installed once, then
+// `npm ci --offline` from the npm cache), so nothing is downloaded per build.
+export const DEFAULT_TARGET = "static";
+export const BUILDS_DIR = path.join(__dirname, "data", "builds");
+const VITE_CONFIG = path.join(__dirname, "toolchain", "vite.config.mjs");
+const ASTRO_CONFIG = path.join(__dirname, "toolchain", "astro.config.mjs");
+const BUILD_TIMEOUT = parseInt(process.env.BUILD_TIMEOUT_MS, 10) || 120000;
+// Astro runs page code at build time, so it is opt-in like the shell tool
+const ASTRO_ENABLED = process.env.ENABLE_ASTRO_BUILDS === "true";
+
+const TAILWIND_BROWSER_FILE = "vendor/tailwindcss.js";
+
+const STATIC_PROMPT = `BEST PRACTICES:
+1. Always create a clean project structure:
+   - Create subdirectories like 'css/', 'js/', 'assets/', 'images/'
+   - Keep HTML files in the root (index.html)
+   - Organize CSS and JS in their respective folders
+
+2. Write complete, production-ready code:
+   - Valid HTML5 with proper DOCTYPE
+   - Modern CSS with responsive design
+   - Clean, functional JavaScript
+   - Proper linking between files
+
+3. File Structure Example:
+   index.html (in root)
+   css/style.css
+   js/script.js
+   assets/images/ (if needed)
+
+4. HTML Requirements:
+   - Always include proper DOCTYPE, meta tags, title
+   - A <meta name="description"> of 50-160 characters and exactly one <h1> per page
+   - Link CSS: <link rel="stylesheet" href="css/style.css">
+   - Link JS: <script src="js/script.js"></script>
+   - Make responsive with viewport meta tag
+   - Include semantic HTML elements
+
+5. CSS Requirements:
+   - Modern CSS with flexbox/grid
+   - Responsive design (mobile-first)
+   - Smooth transitions and hover effects
+   - Professional color schemes
+
+WORKFLOW:
+1. Create necessary directories (CreateDirectory css, CreateDirectory js, etc.)
+2. Create index.html with complete structure
+3. Create comprehensive CSS file
+4. Add JavaScript for interactivity (if needed)
+5. List final structure
+
+Always provide complete, working code that runs perfectly in a browser.`;
+
+const TAILWIND_CDN_PROMPT = `OUTPUT TARGET: static HTML styled with Tailwind CSS (browser build).
+${TAILWIND_BROWSER_FILE} already exists: it is the Tailwind browser build, served from the project so it works offline. Do not modify it.
+
+FILE STRUCTURE:
+   index.html (and other pages in the root)
+   js/script.js (only if interactivity is needed)
+
+REQUIREMENTS:
+- Every page loads <script src="${TAILWIND_BROWSER_FILE}"></script> in <head>
+- Style with Tailwind utility classes in the markup; custom theme values go in a <style type="text/tailwindcss"> block with @theme { ... }
+- No other CSS frameworks and no separate stylesheet unless it is really needed
+- Valid HTML5 with DOCTYPE, meta viewport, title and semantic elements; responsive with sm:/md:/lg: variants
+
+Always provide complete, working code that runs perfectly in a browser.`;
+
+const TAILWIND_COMPILED_PROMPT = `OUTPUT TARGET: static HTML styled with compiled Tailwind CSS.
+After you finish, the server compiles css/input.css with the Tailwind CLI into css/tailwind.css, scanning every file of the project for class names.
+
+FILE STRUCTURE:
+   index.html (and other pages in the root)
+   css/input.css  (starts with: @import "tailwindcss"; add @theme { ... } for custom colors/fonts)
+   js/script.js (only if interactivity is needed)
+
+REQUIREMENTS:
+- Every page links <link rel="stylesheet" href="css/tailwind.css"> (generated, never write it yourself)
+- No @plugin or @config in CSS and no .js files outside js/: the build rejects them
+- Style with Tailwind utility classes; write full class names, never build them from string pieces
+- Valid HTML5 with DOCTYPE, meta viewport, title and semantic elements; responsive with sm:/md:/lg: variants
+
+Always provide complete, working code that runs perfectly in a browser.`;
+
+const REACT_VITE_PROMPT = `OUTPUT TARGET: React 19 + Vite + Tailwind CSS project.
+The server builds it with its own Vite config (React and Tailwind plugins), so do not write vite.config.js, postcss.config.js or install anything.
+
+FILE STRUCTURE:
+   package.json        (name, "type": "module", dependencies react, react-dom; devDependencies vite, @vitejs/plugin-react, tailwindcss, @tailwindcss/vite)
+   index.html          (<div id="root"></div> and <script type="module" src="/src/main.jsx"></script>)
+   src/main.jsx        (createRoot(document.getElementById("root")).render(<App />), imports ./index.css)
+   src/index.css       (@import "tailwindcss"; plus @theme { ... } for custom values)
+   src/App.jsx
+   src/components/*.jsx (one component per file)
+   public/             (static assets, referenced without the public/ prefix)
+
+REQUIREMENTS:
+- Function components and hooks only, ES modules, .jsx extension for files with JSX
+- Only import react, react-dom and your own files; no other packages are available
+- No @plugin or @config in CSS and no .js files outside src/ and public/: the build rejects them
+- Style with Tailwind utility classes; responsive with sm:/md:/lg: variants
+- Use relative asset paths so the build works from any folder
+
+Always provide complete, working code that builds without errors.`;
+
+const ASTRO_PROMPT = `OUTPUT TARGET: Astro 5 static site.
+The server runs astro build and serves the generated HTML.
+
+FILE STRUCTURE:
+   package.json              (name, "type": "module", dependency astro)
+   src/layouts/Layout.astro  (shared <html>, <head>, header, nav, footer and <slot />)
+   src/pages/index.astro     (one .astro file per page in src/pages/)
+   src/components/*.astro
+   src/styles/global.css     (imported from the layout)
+   public/                   (static assets)
+
+REQUIREMENTS:
+- Every page uses the shared Layout; internal links use import.meta.env.BASE_URL as prefix, e.g. href={\`\${import.meta.env.BASE_URL}about/\`}
+- Only import astro and your own files; no integrations or other packages are available
+- Do not write astro.config.mjs
+- Plain CSS with custom properties, responsive and mobile-first
+
+Always provide complete, working code that builds without errors.`;
+
+const TARGETS = {
+  static: {
+    name: "Static HTML",
+    description: "Plain HTML, CSS and JavaScript",
+    packages: [],
+    requiredFiles: ["index.html"],
+    staticPages: true,
+    prompt: STATIC_PROMPT,
+  },
+  "tailwind-cdn": {
+    name: "Tailwind (browser build)",
+    description: "Static HTML with the Tailwind browser build copied in",
+    packages: ["@tailwindcss/browser"],
+    requiredFiles: ["index.html"],
+    staticPages: true,
+    prompt: TAILWIND_CDN_PROMPT,
+  },
+  "tailwind-compiled": {
+    name: "Tailwind (compiled CSS)",
+    description: "Static HTML with Tailwind compiled to css/tailwind.css",
+    packages: ["@tailwindcss/cli", "tailwindcss"],
+    requiredFiles: ["index.html", "css/input.css"],
+    generatedFiles: ["css/tailwind.css"],
+    scriptDirs: ["js"], // browser scripts; .js files can't go anywhere else
+    staticPages: true,
+    prompt: TAILWIND_COMPILED_PROMPT,
+  },
+  "react-vite": {
+    name: "React + Vite",
+    description: "React 19 and Tailwind project built with Vite",
+    packages: [
+      "vite",
+      "@vitejs/plugin-react",
+      "react",
+      "react-dom",
+      "tailwindcss",
+      "@tailwindcss/vite",
+    ],
+    requiredFiles: ["package.json", "index.html", "src/main.jsx"],
+    publicDir: "public", // copied to the site root; uploads go here
+    scriptDirs: ["src", "public"],
+    buildOutput: true,
+    prompt: REACT_VITE_PROMPT,
+  },
+  astro: {
+    name: "Astro",
+    description: "Astro static site generated with astro build",
+    packages: ["astro"],
+    requiredFiles: ["package.json", "src/pages/index.astro"],
+    publicDir: "public",
+    buildOutput: true,
+    prompt: ASTRO_PROMPT,
+  },
+};
+
+// Folder of an installed package, null when it is not installed
+function findPackage(name) {
+  for (const dir of require.resolve.paths(name) || []) {
+    const packageDir = path.join(dir, name);
+    if (fs.existsSync(path.join(packageDir, "package.json"))) {
+      return packageDir;
+    }
+  }
+  return null;
+}
+
+function getPackageBin(name, binName) {
+  const packageDir = findPackage(name);
+  const { bin } = JSON.parse(
+    fs.readFileSync(path.join(packageDir, "package.json"), "utf-8")
+  );
+  return path.join(packageDir, typeof bin === "string" ? bin : bin[binName]);
+}
+
+// Why a target cannot be used right now, null when it can
+function getUnavailableReason(targetId) {
+  const target = TARGETS[targetId];
+  const missing = target.packages.filter((name) => !findPackage(name));
+  if (missing.length > 0) {
+    return `Missing packages: ${missing.join(
+      ", "
+    )} (run npm install in CursorPro)`;
+  }
+  if (targetId === "astro" && !ASTRO_ENABLED) {
+    return "Astro builds are disabled (set ENABLE_ASTRO_BUILDS=true)";
+  }
+  return null;
+}
+
+export function listTargets() {
+  return Object.entries(TARGETS).map(([id, target]) => {
+    const reason = getUnavailableReason(id);
+    return {
+      id,
+      name: target.name,
+      description: target.description,
+      // Templates and multi-page site maps only work for these
+      staticPages: Boolean(target.staticPages),
+      available: !reason,
+      reason,
+    };
+  });
+}
+
+export function getTarget(targetId = DEFAULT_TARGET) {
+  return TARGETS[targetId] || null;
+}
+
+// Returns an error message for an invalid `outputTarget` request field,
+// null when it is fine (or absent)
+export function getTargetError(targetId) {
+  if (targetId === undefined) return null;
+  if (typeof targetId !== "string" || !TARGETS[targetId]) {
+    return `Unknown output target: ${targetId}. Available: ${Object.keys(
+      TARGETS
+    ).join(", ")}`;
+  }
+  return getUnavailableReason(targetId);
+}
+
+// Where a target's build output is served from by the preview server
+export function getBuildPath(projectId) {
+  return path.join(BUILDS_DIR, projectId);
+}
+
+function getCachePath(projectId) {
+  return path.join(BUILDS_DIR, ".cache", projectId);
+}
+
+export function deleteBuild(projectId) {
+  fs.rmSync(getBuildPath(projectId), { recursive: true, force: true });
+  fs.rmSync(getCachePath(projectId), { recursive: true, force: true });
+}
+
+// Put target files in place before the agent runs
+export function prepareTarget(targetId, projectPath) {
+  if (targetId === "tailwind-cdn") {
+    const target = path.join(projectPath, TAILWIND_BROWSER_FILE);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(
+      path.join(findPackage("@tailwindcss/browser"), "dist/index.global.js"),
+      target
+    );
+  }
+}
+
+// Build tools only get what they need from the environment: no API keys
+function getBuildEnv() {
+  return {
+    PATH: process.env.PATH,
+    HOME: process.env.HOME,
+    NODE_ENV: "production",
+    ASTRO_TELEMETRY_DISABLED: "1",
+  };
+}
+
+// Tailwind runs the JavaScript named by @plugin and @config, so CSS the
+// model wrote must not contain them, nor @import a script. Inline <style>
+// in HTML goes through the same pipeline in Vite builds.
+const STYLE_EXTENSIONS = new Set([
+  ".css",
+  ".pcss",
+  ".postcss",
+  ".scss",
+  ".sass",
+  ".less",
+  ".styl",
+  ".html",
+]);
+const CODE_AT_RULE = /(?<![\w.@-])@(plugin|config)\b/i;
+const ESCAPED_AT_RULE = /@[\w-]*\\/;
+const IMPORT_RULE = /(?<![\w.@-])@import\s+(?:url\(\s*)?["']?([^"'\s;)]+)/gi;
+const SCRIPT_EXTENSIONS = /\.(?:[cm]?js|jsx|[cm]?ts|tsx)$/i;
+
+// Project files with one of `extensions`, as full paths
+function listProjectFiles(projectPath, extensions) {
+  return fs
+    .readdirSync(projectPath, { recursive: true, withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isFile() && extensions.has(path.extname(entry.name).toLowerCase())
+    )
+    .map((entry) => path.join(entry.parentPath ?? entry.path, entry.name));
+}
+
+// The first CSS rule in the project that would load code at build time,
+// null when there is none
+function getCssCodeError(projectPath) {
+  for (const fullPath of listProjectFiles(projectPath, STYLE_EXTENSIONS)) {
+    const relPath = path.relative(projectPath, fullPath);
+    const css = fs.readFileSync(fullPath, "utf-8");
+
+    const atRule = css.match(CODE_AT_RULE);
+    if (atRule) {
+      return `${relPath}: @${atRule[1]} loads JavaScript and is not allowed, use @theme and @utility instead`;
+    }
+    if (ESCAPED_AT_RULE.test(css)) {
+      return `${relPath}: escaped at-rule names are not allowed`;
+    }
+    for (const [, url] of css.matchAll(IMPORT_RULE)) {
+      if (SCRIPT_EXTENSIONS.test(url.split(/[?#]/)[0])) {
+        return `${relPath}: @import "${url}" points to a script, only CSS can be imported`;
+      }
+    }
+  }
+  return null;
+}
+
+// Vite reads CSS url()s, HTML src attributes and new URL(..., import.meta.url)
+// targets itself and may inline them into the output, so a reference like
+// url(../../../.env) would publish a server file. The Vite config checks
+// every module it loads; this catches the references that skip it.
+const SOURCE_EXTENSIONS = new Set([
+  ...STYLE_EXTENSIONS,
+  ".js",
+  ".jsx",
+  ".mjs",
+  ".cjs",
+  ".ts",
+  ".tsx",
+  ".svg",
+]);
+const PATH_REFERENCE =
+  /(["'`])((?:\.{1,2})?\/[^"'`\s]*)\1|url\(\s*((?:\.{1,2})?\/[^)"'\s]*)/g;
+
+function isInside(root, target) {
+  return target === root || target.startsWith(root + path.sep);
+}
+
+// The first reference to a file outside the project, null when there is none
+function getOutsideReferenceError(projectPath) {
+  const root = fs.realpathSync(projectPath);
+
+  for (const fullPath of listProjectFiles(projectPath, SOURCE_EXTENSIONS)) {
+    const relPath = path.relative(projectPath, fullPath);
+    const source = fs.readFileSync(fullPath, "utf-8");
+
+    for (const [, , quoted, unquoted] of source.matchAll(PATH_REFERENCE)) {
+      const reference = quoted ?? unquoted;
+      const target = reference.split(/[?#]/)[0];
+      if (target.startsWith("//")) continue;
+
+      // "/x" is the project root to the browser, but Vite also tries it as
+      // a path on disk
+      const resolved = target.startsWith("/")
+        ? path.join(root, target)
+        : path.resolve(path.dirname(fullPath), target);
+      const onDisk =
+        target.startsWith("/") &&
+        fs.existsSync(target) &&
+        fs.statSync(target).isFile() &&
+        !isInside(root, fs.realpathSync(target));
+
+      if (!isInside(root, resolved) || onDisk) {
+        return `${relPath}: "${reference}" points outside the project, only project files can be referenced`;
+      }
+    }
+  }
+  return null;
+}
+
+// Last lines of a failed build, enough for the model to fix the error
+function getBuildError(error) {
+  if (error.killed) return `Build timed out after ${BUILD_TIMEOUT}ms`;
+  const output = `${error.stderr || ""}\n${error.stdout || ""}`.trim();
+  return (output || error.message).split("\n").slice(-20).join("\n");
+}
+
+// Run the target's build step. Static targets without one succeed at once.
+// Returns { built, success, error, durationMs }.
+export async function buildTarget(targetId, projectPath, projectId) {
+  const startTime = Date.now();
+  const options = {
+    cwd: projectPath,
+    env: { ...getBuildEnv(), BUILD_CACHE_DIR: getCachePath(projectId) },
+    timeout: BUILD_TIMEOUT,
+    maxBuffer: 5 * 1024 * 1024,
+  };
+  const outDir = getBuildPath(projectId);
+  let argv = null;
+
+  if (targetId === "tailwind-compiled") {
+    argv = [
+      getPackageBin("@tailwindcss/cli", "tailwindcss"),
+      "--input",
+      "css/input.css",
+      "--output",
+      "css/tailwind.css",
+      "--minify",
+    ];
+  } else if (targetId === "react-vite") {
+    // Our own config, so a vite.config.js written by the agent never runs
+    argv = [
+      getPackageBin("vite", "vite"),
+      "build",
+      "--config",
+      VITE_CONFIG,
+      "--outDir",
+      outDir,
+      "--emptyOutDir",
+      "--base",
+      "./",
+      "--logLevel",
+      "warn",
+    ];
+  } else if (targetId === "astro") {
+    // Astro resolves --config against the root, hence the relative path
+    argv = [
+      getPackageBin("astro", "astro"),
+      "build",
+      "--root",
+      projectPath,
+      "--config",
+      path.relative(projectPath, ASTRO_CONFIG),
+      "--outDir",
+      outDir,
+      "--base",
+      `/${projectId}/`,
+    ];
+  }
+
+  if (!argv) return { built: false, success: true };
+
+  // Astro is opt-in and runs project code anyway
+  const sourceError =
+    targetId !== "astro" &&
+    (getCssCodeError(projectPath) || getOutsideReferenceError(projectPath));
+  if (sourceError) {
+    return {
+      built: true,
+      success: false,
+      error: sourceError,
+      durationMs: Date.now() - startTime,
+    };
+  }
+
+  try {
+    await execFileAsync(process.execPath, argv, options);
+    return { built: true, success: true, durationMs: Date.now() - startTime };
+  } catch (error) {
+    return {
+      built: true,
+      success: false,
+      error: getBuildError(error),
+      durationMs: Date.now() - startTime,
+    };
+  }
+}
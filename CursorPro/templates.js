@@ -0,0 +1,139 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Starter kits copied into a new project before the agent runs. A template
+// is a folder with a template.json ({ "name", "description" }) next to its
+// files. Bundled ones live in templates/, teams can add their own folders
+// of templates with TEMPLATE_DIRS=/path/one,/path/two.
+const BUNDLED_TEMPLATES_DIR = path.join(__dirname, "templates");
+const CUSTOM_TEMPLATE_DIRS = (process.env.TEMPLATE_DIRS || "")
+  .split(",")
+  .map((dir) => dir.trim())
+  .filter(Boolean)
+  .map((dir) => path.resolve(dir));
+
+const MANIFEST_FILE = "template.json";
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+function readTemplate(templatesDir, id, source) {
+  const templatePath = path.join(templatesDir, id);
+  const manifestPath = path.join(templatePath, MANIFEST_FILE);
+  if (!TEMPLATE_ID_PATTERN.test(id) || !fs.existsSync(manifestPath)) {
+    return null;
+  }
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+    return {
+      id,
+      name: manifest.name || id,
+      description: manifest.description || "",
+      source,
+      path: templatePath,
+    };
+  } catch (error) {
+    console.warn(`⚠️ Skipping template ${templatePath}: ${error.message}`);
+    return null;
+  }
+}
+
+// Bundled templates first; a custom template never replaces a bundled one
+function loadTemplates() {
+  const templates = new Map();
+  const sources = [
+    { dir: BUNDLED_TEMPLATES_DIR, source: "bundled" },
+    ...CUSTOM_TEMPLATE_DIRS.map((dir) => ({ dir, source: "custom" })),
+  ];
+
+  for (const { dir, source } of sources) {
+    if (!fs.existsSync(dir)) {
+      console.warn(`⚠️ Template directory not found: ${dir}`);
+      continue;
+    }
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || templates.has(entry.name)) continue;
+      const template = readTemplate(dir, entry.name, source);
+      if (template) templates.set(template.id, template);
+    }
+  }
+  return templates;
+}
+
+// Relative paths of a template's files, without its manifest
+function listTemplateFiles(templatePath, relDir = ".") {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(templatePath, relDir), {
+    withFileTypes: true,
+  })) {
+    const relPath = path.join(relDir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listTemplateFiles(templatePath, relPath));
+    } else if (entry.isFile() && relPath !== MANIFEST_FILE) {
+      files.push(relPath);
+    }
+  }
+  return files;
+}
+
+// Read from disk on every call so newly registered templates show up
+// without a restart
+export function listTemplates() {
+  return [...loadTemplates().values()].map(
+    ({ path: templatePath, ...rest }) => ({
+      ...rest,
+      files: listTemplateFiles(templatePath),
+    })
+  );
+}
+
+export function getTemplate(templateId) {
+  return loadTemplates().get(templateId) || null;
+}
+
+// Returns an error message for an invalid `templateId` request field, null
+// when it is fine (or absent)
+export function getTemplateError(templateId) {
+  if (templateId === undefined) return null;
+  if (typeof templateId !== "string" || !getTemplate(templateId)) {
+    return `Unknown template: ${templateId}`;
+  }
+  return null;
+}
+
+// Copy a template's files into a project folder, returns the copied paths
+export function copyTemplate(templateId, projectPath) {
+  const template = getTemplate(templateId);
+  if (!template) {
+    throw new Error(`Unknown template: ${templateId}`);
+  }
+
+  const files = listTemplateFiles(template.path);
+  for (const relPath of files) {
+    const target = path.join(projectPath, relPath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(path.join(template.path, relPath), target);
+  }
+  return files;
+}
+
+export function buildTemplatePrompt(template, projectFiles) {
+  const fileDump = Object.entries(projectFiles)
+    .map(([filePath, content]) => `--- ${filePath} ---\n${content}`)
+    .join("\n\n");
+
+  return `STARTING TEMPLATE:
+The project already contains the "${template.name}" starter (${
+    template.description
+  }). Its files are listed below.
+- Build on these files: keep their structure, class names and linked assets
+- Replace the placeholder text and sections with content for the user's request
+- Use ApplyPatch for small changes and WriteFile with the COMPLETE content for rewrites
+- Do not recreate the directories or files that already exist unless they need changes
+
+TEMPLATE FILES:
+${fileDump || "(the template has no files)"}`;
+}
@@ -0,0 +1,10 @@
+document.getElementById("year").textContent = new Date().getFullYear();
+
+// Estimate the reading time of an article (about 200 words per minute)
+const article = document.querySelector(".article");
+const readingTime = document.querySelector(".reading-time");
+
+if (article && readingTime) {
+  const words = article.textContent.trim().split(/\s+/).length;
+  readingTime.textContent = `${Math.max(1, Math.round(words / 200))} min read`;
+}
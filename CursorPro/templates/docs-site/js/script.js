@@ -0,0 +1,10 @@
+document.getElementById("year").textContent = new Date().getFullYear();
+
+// Sidebar toggle on small screens
+const toggle = document.querySelector(".sidebar-toggle");
+const sidebar = document.querySelector(".sidebar");
+
+toggle.addEventListener("click", () => {
+  const open = sidebar.classList.toggle("open");
+  toggle.setAttribute("aria-expanded", String(open));
+});
@@ -0,0 +1,27 @@
+document.getElementById("year").textContent = new Date().getFullYear();
+
+// Mobile menu
+const toggle = document.querySelector(".nav-toggle");
+const links = document.querySelector(".nav-links");
+
+toggle.addEventListener("click", () => {
+  const open = links.classList.toggle("open");
+  toggle.setAttribute("aria-expanded", String(open));
+});
+
+links.addEventListener("click", (event) => {
+  if (event.target.tagName === "A") {
+    links.classList.remove("open");
+    toggle.setAttribute("aria-expanded", "false");
+  }
+});
+
+// Sign-up form (no backend, just a confirmation)
+const form = document.querySelector(".signup-form");
+const message = document.querySelector(".form-message");
+
+form.addEventListener("submit", (event) => {
+  event.preventDefault();
+  message.textContent = "Thanks! We'll be in touch soon.";
+  form.reset();
+});
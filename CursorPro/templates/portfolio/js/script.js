@@ -0,0 +1,19 @@
+document.getElementById("year").textContent = new Date().getFullYear();
+
+// Project filters
+const filters = document.querySelectorAll(".filter");
+const projects = document.querySelectorAll(".project");
+
+filters.forEach((button) => {
+  button.addEventListener("click", () => {
+    const category = button.dataset.filter;
+
+    filters.forEach((filter) =>
+      filter.classList.toggle("active", filter === button)
+    );
+    projects.forEach((project) => {
+      project.hidden =
+        category !== "all" && project.dataset.category !== category;
+    });
+  });
+});
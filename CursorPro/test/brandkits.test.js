@@ -0,0 +1,18 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildTokensCss } from "../brandkits.js";
+
+test("a kit name can't close the tokens.css comment", () => {
+  const css = buildTokensCss({
+    name: 'Evil */ body { display: none } /* "',
+    palette: { primary: "#2e7d32" },
+  });
+
+  // The only comment is the header, the only rule is :root
+  assert.equal(css.match(/\*\//g).length, 1);
+  assert.ok(css.indexOf("*/") > css.indexOf("display: none"));
+  assert.deepEqual(
+    css.replace(/\/\*[\s\S]*?\*\//g, "").match(/[^{}\s][^{}]*\{/g),
+    [":root {"]
+  );
+});
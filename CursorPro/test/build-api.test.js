@@ -0,0 +1,241 @@
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "url";
+
+const SERVER_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+// Left out of the copy the test server runs from
+const SKIPPED_ENTRIES = new Set(["data", "websites", "node_modules", "test"]);
+const STARTUP_TIMEOUT = 20000;
+
+let serverDir;
+let server;
+let baseUrl;
+let previewPort;
+let cookie;
+
+// A port nothing listens on right now
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForServer() {
+  const deadline = Date.now() + STARTUP_TIMEOUT;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) {
+      throw new Error(`Server exited with code ${server.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/health`);
+      if (response.ok) return;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  throw new Error("Server did not start in time");
+}
+
+function post(pathname, body) {
+  return fetch(`${baseUrl}${pathname}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(cookie ? { Cookie: cookie } : {}),
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+// The server runs from a copy, so its data/ and websites/ are throwaway
+before(async () => {
+  serverDir = fs.mkdtempSync(path.join(os.tmpdir(), "cursorpro-api-"));
+  fs.cpSync(SERVER_DIR, serverDir, {
+    recursive: true,
+    filter: (source) =>
+      path.dirname(source) !== SERVER_DIR ||
+      !SKIPPED_ENTRIES.has(path.basename(source)),
+  });
+  fs.symlinkSync(
+    fs.realpathSync(path.join(SERVER_DIR, "node_modules")),
+    path.join(serverDir, "node_modules")
+  );
+
+  const port = await getFreePort();
+  previewPort = await getFreePort();
+  baseUrl = `http://localhost:${port}`;
+  server = spawn(process.execPath, ["index.js"], {
+    cwd: serverDir,
+    env: {
+      PATH: process.env.PATH,
+      HOME: process.env.HOME,
+      PORT: String(port),
+      PREVIEW_PORT: String(previewPort),
+      LLM_PROVIDER: "replay",
+      LIVE_RELOAD: "false",
+    },
+    stdio: "ignore",
+  });
+  await waitForServer();
+
+  const response = await post("/api/auth/register", {
+    username: "tester",
+    password: "password123",
+  });
+  assert.equal(response.status, 201);
+  cookie = response.headers.get("set-cookie").split(";")[0];
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(serverDir, { recursive: true, force: true });
+});
+
+test("POST /api/build with the replay provider writes the recorded site", async () => {
+  const response = await post("/api/build", {
+    userPrompt: "A landing page for a fruit shop",
+    provider: "replay",
+    replay: "landing-page",
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200, body.error);
+  assert.equal(body.success, true);
+  assert.equal(body.stats.provider, "replay");
+  assert.equal(body.stats.stopReason, "completed");
+  assert.match(body.projectId, /^website_\d+_[a-z0-9]+$/);
+
+  const projectPath = path.join(serverDir, "websites", body.projectId);
+  for (const file of ["index.html", "css/style.css", "js/script.js"]) {
+    assert.ok(fs.existsSync(path.join(projectPath, file)), file);
+  }
+  assert.match(
+    fs.readFileSync(path.join(projectPath, "index.html"), "utf-8"),
+    /<title>Fresh Fruit Co\.<\/title>/
+  );
+
+  const projectResponse = await fetch(
+    `${baseUrl}/api/projects/${body.projectId}`,
+    { headers: { Cookie: cookie } }
+  );
+  const { project } = await projectResponse.json();
+  assert.equal(project.status, "completed");
+});
+
+test("the API refuses browser calls from the preview origin", async () => {
+  const call = (origin) =>
+    fetch(`${baseUrl}/api/auth/me`, {
+      headers: { Cookie: cookie, Origin: origin },
+    });
+
+  for (const host of ["localhost", "127.0.0.1"]) {
+    const response = await call(`http://${host}:${previewPort}`);
+    assert.equal(response.status, 403, host);
+    assert.equal(response.headers.get("access-control-allow-origin"), null);
+  }
+
+  // The web app's dev server is still let in
+  const response = await call("http://localhost:5173");
+  assert.equal(response.status, 200);
+  assert.equal(
+    response.headers.get("access-control-allow-origin"),
+    "http://localhost:5173"
+  );
+});
+
+test("GET /api/websites rejects repeated query parameters", async () => {
+  for (const query of [
+    "q=a&q=b",
+    "sort=title&sort=created",
+    "status=a&status=b",
+  ]) {
+    const response = await fetch(`${baseUrl}/api/websites?${query}`, {
+      headers: { Cookie: cookie },
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 400, query);
+    assert.match(body.error, /must be a single text value/);
+  }
+
+  const response = await fetch(`${baseUrl}/api/websites?q=fruit&order=asc`, {
+    headers: { Cookie: cookie },
+  });
+  assert.equal(response.status, 200);
+});
+
+test("POST /api/build rejects a model that is not a string", async () => {
+  for (const [field, value] of [
+    ["model", 42],
+    ["model", ""],
+    ["model", { name: "llama" }],
+    ["fallbackModel", ["llama"]],
+  ]) {
+    const response = await post("/api/build", {
+      userPrompt: "A landing page",
+      provider: "replay",
+      [field]: value,
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 400, `${field}: ${JSON.stringify(value)}`);
+    assert.match(body.error, new RegExp(`^${field} must be`));
+  }
+});
+
+test("brand kits can only be changed by their owner", async () => {
+  const kit = { name: "Fruit", palette: { primary: "#2e7d32" } };
+  let response = await post("/api/brand-kits", kit);
+  assert.equal(response.status, 201);
+
+  // A second, non-admin account
+  response = await post("/api/auth/register", {
+    username: "other",
+    password: "password123",
+  });
+  assert.equal(response.status, 201);
+  response = await post("/api/auth/login", {
+    username: "other",
+    password: "password123",
+  });
+  const otherCookie = response.headers.get("set-cookie").split(";")[0];
+  const asOther = (method, pathname, body) =>
+    fetch(`${baseUrl}${pathname}`, {
+      method,
+      headers: { "Content-Type": "application/json", Cookie: otherCookie },
+      body: body && JSON.stringify(body),
+    });
+
+  response = await asOther("POST", "/api/brand-kits", {
+    ...kit,
+    palette: { primary: "#ff0000" },
+  });
+  assert.equal(response.status, 403);
+  response = await asOther("DELETE", "/api/brand-kits/fruit");
+  assert.equal(response.status, 403);
+
+  response = await fetch(`${baseUrl}/api/brand-kits/fruit`, {
+    headers: { Cookie: cookie },
+  });
+  const { brandKit } = await response.json();
+  assert.equal(brandKit.owner, "tester");
+  assert.equal(brandKit.palette.primary, "#2e7d32");
+
+  response = await fetch(`${baseUrl}/api/brand-kits/fruit`, {
+    method: "DELETE",
+    headers: { Cookie: cookie },
+  });
+  assert.equal(response.status, 200);
+});
@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, test } from "node:test";
+import { runAgentLoop } from "../agent.js";
+import { resolveProvider } from "../providers.js";
+import { createToolContext } from "../tools.js";
+
+// The files the landing-page transcript writes
+const TRANSCRIPT_FILES = ["css/style.css", "index.html", "js/script.js"];
+const BUILD_COUNT = 3;
+
+let rootDir;
+
+before(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "cursorpro-builds-"));
+});
+
+after(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+function listFiles(dir) {
+  return fs
+    .readdirSync(dir, { recursive: true, withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) =>
+      path.relative(dir, path.join(entry.parentPath ?? entry.path, entry.name))
+    )
+    .sort();
+}
+
+function startBuild(index) {
+  const projectId = `website_test_${index}`;
+  const projectPath = path.join(rootDir, projectId);
+  fs.mkdirSync(projectPath);
+
+  const { client, model } = resolveProvider({ provider: "replay" });
+  const run = runAgentLoop({
+    client,
+    model,
+    context: createToolContext({ projectId, projectPath }),
+    messages: [
+      { role: "system", content: "You build websites." },
+      { role: "user", content: `Landing page number ${index}` },
+    ],
+    maxSteps: 20,
+    maxTokens: 100000,
+  });
+  return { projectPath, run };
+}
+
+test("concurrent builds only write into their own project", async () => {
+  const builds = Array.from({ length: BUILD_COUNT }, (_, index) =>
+    startBuild(index)
+  );
+  const results = await Promise.all(builds.map((build) => build.run));
+
+  for (const result of results) {
+    assert.equal(result.stopReason, "completed");
+    assert.ok(result.executionResults.every((entry) => entry.result.success));
+  }
+  for (const { projectPath } of builds) {
+    assert.deepEqual(listFiles(projectPath), TRANSCRIPT_FILES);
+  }
+  // Nothing landed next to the projects either
+  assert.equal(fs.readdirSync(rootDir).length, BUILD_COUNT);
+});
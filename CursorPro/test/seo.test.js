@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, test } from "node:test";
+import { runSeo } from "../seo.js";
+
+let projectPath;
+
+before(() => {
+  projectPath = fs.mkdtempSync(path.join(os.tmpdir(), "cursorpro-seo-"));
+});
+
+after(() => {
+  fs.rmSync(projectPath, { recursive: true, force: true });
+});
+
+test("a malformed image URL is reported, not thrown", () => {
+  fs.writeFileSync(
+    path.join(projectPath, "index.html"),
+    `<!DOCTYPE html><html><head><title>Fresh Fruit Co.</title></head>
+<body><h1>Fresh fruit</h1><img src="http://[oops/hero.png" alt="Hero"></body></html>`
+  );
+
+  const result = runSeo(projectPath, { siteUrl: "https://example.com" });
+  const { checks } = result.pages[0];
+
+  assert.equal(
+    checks.find((check) => check.id === "og_image")?.status,
+    "warning"
+  );
+  // The rest of the page is still handled
+  assert.ok(result.changedFiles.includes("index.html"));
+  const html = fs.readFileSync(path.join(projectPath, "index.html"), "utf-8");
+  assert.match(
+    html,
+    /<meta property="og:url" content="https:\/\/example.com\/">/
+  );
+  assert.doesNotMatch(html, /og:image/);
+});
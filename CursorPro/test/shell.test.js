@@ -0,0 +1,196 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { parseCommand, validateCommand } from "../shell.js";
+
+let rootDir;
+let projectPath;
+
+// A project with a file, plus symlinks pointing outside of it
+before(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "cursorpro-shell-"));
+  projectPath = path.join(rootDir, "project");
+  fs.mkdirSync(path.join(projectPath, "css"), { recursive: true });
+  fs.writeFileSync(path.join(projectPath, "index.html"), "<h1>Hi</h1>");
+  fs.writeFileSync(path.join(rootDir, "secret.txt"), "secret");
+  fs.symlinkSync(rootDir, path.join(projectPath, "outside"));
+  fs.symlinkSync(
+    path.join(rootDir, "secret.txt"),
+    path.join(projectPath, "secret-link")
+  );
+});
+
+after(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+function check(command) {
+  validateCommand(parseCommand(command), projectPath);
+}
+
+function assertRejected(commands) {
+  for (const command of commands) {
+    assert.throws(() => check(command), Error, command);
+  }
+}
+
+describe("shell command checks", () => {
+  test("allows plain commands inside the project", () => {
+    for (const command of [
+      "ls css",
+      "cat index.html",
+      "grep -n header index.html",
+      "grep -e header -e footer index.html",
+      "find -L . -name '*.css'",
+      "find css '!' -name '*.map'",
+      "find . -name '*.css' -type f",
+      "mkdir -p js/vendor",
+      "rm css/style.css",
+      "echo 'a; b && c | d'",
+    ]) {
+      assert.doesNotThrow(() => check(command), command);
+    }
+  });
+
+  test("keeps quoted operators as text", () => {
+    assert.deepEqual(parseCommand("echo 'a;b' \"$(id)\""), [
+      "echo",
+      "a;b",
+      "$(id)",
+    ]);
+  });
+
+  test("rejects chaining with ; && and ||", () => {
+    assertRejected([
+      "ls; rm -rf /",
+      "ls;rm index.html",
+      "ls && cat /etc/passwd",
+      "ls || touch pwned",
+      "ls & touch pwned",
+    ]);
+  });
+
+  test("rejects pipes", () => {
+    assertRejected(["cat index.html | sh", "ls|wc -l"]);
+  });
+
+  test("rejects command substitution", () => {
+    assertRejected([
+      "echo `id`",
+      "cat `echo /etc/passwd`",
+      "echo $(id)",
+      "cat $(echo ../secret.txt)",
+      "echo $HOME",
+    ]);
+  });
+
+  test("rejects redirects", () => {
+    assertRejected([
+      "echo hi > /etc/hosts",
+      "echo hi >> index.html",
+      "cat < /etc/passwd",
+      "echo hi 2>&1",
+    ]);
+  });
+
+  test("rejects newlines that would start a second command", () => {
+    assertRejected(["ls\nrm index.html", "ls\rrm index.html"]);
+  });
+
+  test("rejects paths leaving the project with ..", () => {
+    assertRejected([
+      "cat ../secret.txt",
+      "ls css/../../",
+      "cp index.html ../copy.html",
+      "find .. -name secret.txt",
+      "grep secret ../secret.txt",
+    ]);
+  });
+
+  test("rejects absolute paths", () => {
+    assertRejected([
+      "cat /etc/passwd",
+      "ls /",
+      "cp /etc/passwd passwd",
+      "find / -name passwd",
+    ]);
+  });
+
+  test("rejects paths smuggled into option values", () => {
+    assertRejected([
+      "cp --target-directory=/tmp index.html",
+      "cp -t/tmp index.html",
+      "grep -r --include=../x secret .",
+    ]);
+  });
+
+  test("rejects grep paths when the pattern comes from an option", () => {
+    assertRejected([
+      "grep -eroot /etc/passwd",
+      "grep -e root /etc/passwd",
+      "grep --regexp=root /etc/passwd",
+      "grep --reg=root /etc/passwd",
+      "grep -ie root ../secret.txt",
+      "grep /etc/passwd -e root",
+    ]);
+  });
+
+  test("rejects find start paths after leading options", () => {
+    assertRejected([
+      "find -L /etc -name passwd",
+      "find -H / -maxdepth 1",
+      "find -P .. -name secret.txt",
+      "find -O3 /etc -name passwd",
+      "find -D tree /etc -name passwd",
+    ]);
+  });
+
+  test("rejects symlinks that escape the project", () => {
+    assertRejected([
+      "cat outside/secret.txt",
+      "cat secret-link",
+      "ls outside",
+      "touch outside/new.txt",
+      "cp index.html outside/copy.html",
+      "rm outside/secret.txt",
+      "find outside -name secret.txt",
+    ]);
+  });
+
+  test("rejects find actions that run or delete", () => {
+    assertRejected([
+      "find . -exec rm {} ;",
+      "find . -exec cat '{}' '+'",
+      "find . -execdir sh -c id '+'",
+      "find . -ok rm '{}' ';'",
+      "find . -okdir rm '{}' ';'",
+      "find . -name '*.html' -delete",
+      "find . -fprint list.txt",
+      "find . -fls list.txt",
+      "find -files0-from list.txt",
+    ]);
+  });
+
+  test("rejects removing or moving the project root", () => {
+    assertRejected([
+      "rm -rf .",
+      "rm -rf ./",
+      "rm -r css/..",
+      "rm -rf -- .",
+      "mv . elsewhere",
+    ]);
+  });
+
+  test("rejects commands outside the allowlist", () => {
+    assertRejected([
+      "sh -c ls",
+      "bash -c 'rm -rf /'",
+      "node -e 'process.exit()'",
+      "curl http://example.com",
+      "chmod 777 index.html",
+      "ln -s /etc etc",
+    ]);
+  });
+});
@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import { buildTarget, getTargetError } from "../targets.js";
+
+const execFileAsync = promisify(execFile);
+const SERVER_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const VITE_BIN = path.join(
+  SERVER_DIR,
+  "node_modules",
+  "vite",
+  "bin",
+  "vite.js"
+);
+const VITE_CONFIG = path.join(SERVER_DIR, "toolchain", "vite.config.mjs");
+const SECRET = "SECRET_NEXT_TO_THE_PROJECT";
+
+let rootDir;
+let projectPath;
+
+// A React project with a secret file right next to its folder
+before(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "cursorpro-targets-"));
+  projectPath = path.join(rootDir, "project");
+  fs.mkdirSync(path.join(projectPath, "src"), { recursive: true });
+  fs.writeFileSync(path.join(rootDir, "secret.txt"), SECRET);
+  fs.writeFileSync(
+    path.join(projectPath, "index.html"),
+    '<div id="root"></div><script type="module" src="/src/main.js"></script>'
+  );
+});
+
+after(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+function writeMain(code) {
+  fs.writeFileSync(path.join(projectPath, "src", "main.js"), code);
+}
+
+// Vite with the react-vite config, without the checks buildTarget runs first
+async function runVite() {
+  const outDir = path.join(rootDir, "out");
+  try {
+    await execFileAsync(
+      process.execPath,
+      [VITE_BIN, "build", "--config", VITE_CONFIG, "--outDir", outDir],
+      { cwd: projectPath, env: { PATH: process.env.PATH } }
+    );
+    return { success: true, outDir };
+  } catch (error) {
+    return { success: false, error: `${error.stderr}\n${error.stdout}` };
+  }
+}
+
+describe(
+  "react-vite builds",
+  { skip: getTargetError("react-vite") || false },
+  () => {
+    test("fail when the project imports a file from outside", async () => {
+      writeMain('import secret from "../../secret.txt?raw"; alert(secret);');
+      const result = await buildTarget("react-vite", projectPath, "website_t");
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /points outside the project/);
+    });
+
+    test("fail when CSS references a file from outside", async () => {
+      writeMain('import "./style.css";');
+      fs.writeFileSync(
+        path.join(projectPath, "src", "style.css"),
+        "body { background: url(../../secret.txt); }"
+      );
+      const result = await buildTarget("react-vite", projectPath, "website_t");
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /src\/style\.css: .* points outside/);
+    });
+
+    test("Vite itself refuses modules from outside the project", async () => {
+      writeMain('import secret from "../../secret.txt?raw"; alert(secret);');
+      const result = await runVite();
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /Files outside the project can't be used/);
+    });
+
+    test("Vite builds projects that stay inside their folder", async () => {
+      fs.writeFileSync(path.join(projectPath, "src", "app.js"), "alert(1);");
+      writeMain('import "./app.js";');
+      const result = await runVite();
+
+      assert.equal(result.success, true, result.error);
+      const assets = fs.readdirSync(path.join(result.outDir, "assets"));
+      assert.ok(assets.some((file) => file.endsWith(".js")));
+    });
+  }
+);
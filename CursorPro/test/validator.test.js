@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, test } from "node:test";
+import { validateProject } from "../validator.js";
+
+let projectPath;
+
+before(() => {
+  projectPath = fs.mkdtempSync(path.join(os.tmpdir(), "cursorpro-validator-"));
+});
+
+after(() => {
+  fs.rmSync(projectPath, { recursive: true, force: true });
+});
+
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(path.join(projectPath, file)), {
+    recursive: true,
+  });
+  fs.writeFileSync(path.join(projectPath, file), content);
+}
+
+test("a % that is not an escape is reported, not thrown", () => {
+  writeFile(
+    "index.html",
+    `<!DOCTYPE html><html><head><link rel="stylesheet" href="css/style.css"></head>
+<body><a href="sale-50%.html">Sale</a><a href="about.html">About</a>
+<img src="100%25.png" alt="Full"></body></html>`
+  );
+  writeFile("about.html", '<a href="index.html">Home</a>');
+  writeFile("sale-50%.html", '<a href="index.html">Home</a>');
+  writeFile("100%.png", "");
+  writeFile("css/style.css", "body { background: url(50%off.png); }");
+
+  const report = validateProject(projectPath, {
+    siteMap: [
+      { title: "Home", path: "index.html" },
+      { title: "About", path: "about.html" },
+    ],
+  });
+  const broken = report.issues.filter(
+    (issue) => issue.type === "broken_reference"
+  );
+
+  assert.deepEqual(
+    broken.map((issue) => [issue.file, issue.message]),
+    [
+      ["css/style.css", "url(50%off.png) points to a file that does not exist"],
+      [
+        "index.html",
+        '<a href="sale-50%.html"> points to a file that does not exist',
+      ],
+    ]
+  );
+  // The nav check still sees the valid link
+  assert.ok(!report.issues.some((issue) => issue.type === "missing_nav_link"));
+});
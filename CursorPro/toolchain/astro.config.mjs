@@ -0,0 +1,7 @@
+// Build config for "astro" projects: an astro.config.mjs written into the
+// project is never loaded, and caches go to data/builds instead of the
+// project's node_modules.
+export default {
+  cacheDir: process.env.BUILD_CACHE_DIR,
+  vite: { cacheDir: `${process.env.BUILD_CACHE_DIR}/vite` },
+};
@@ -0,0 +1,65 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import react from "@vitejs/plugin-react";
+import tailwindcss from "@tailwindcss/vite";
+
+// A folder without .env files
+const toolchainDir = fileURLToPath(new URL(".", import.meta.url));
+const nodeModulesDir = fs.realpathSync(
+  path.join(toolchainDir, "..", "node_modules")
+);
+
+function isInside(root, target) {
+  return target === root || target.startsWith(root + path.sep);
+}
+
+// Imports, ?raw loads and CSS url()s are followed wherever they point, so
+// `import s from "../../.env?raw"` would bundle the server's secrets into
+// the served output. Every file the build reads must be in the project
+// folder or in our node_modules.
+function confineToProject() {
+  let allowedRoots = [];
+
+  const check = (context, file) => {
+    const filePath = file.split("?")[0];
+    if (filePath.startsWith("\0") || !path.isAbsolute(filePath)) return;
+    const realPath = fs.existsSync(filePath)
+      ? fs.realpathSync(filePath)
+      : filePath;
+    if (!allowedRoots.some((root) => isInside(root, realPath))) {
+      context.error(`Files outside the project can't be used: ${filePath}`);
+    }
+  };
+
+  return {
+    name: "cursorpro-confine-to-project",
+    enforce: "pre",
+    configResolved(config) {
+      allowedRoots = [fs.realpathSync(config.root), nodeModulesDir];
+    },
+    load(id) {
+      check(this, id);
+      return null;
+    },
+    // Assets are read without going through load()
+    generateBundle(options, bundle) {
+      for (const id of this.getModuleIds()) check(this, id);
+      for (const output of Object.values(bundle)) {
+        for (const name of output.originalFileNames || []) {
+          check(this, path.resolve(allowedRoots[0], name));
+        }
+      }
+    },
+  };
+}
+
+// Build config for "react-vite" projects. Vite runs with the project folder
+// as its root (the cwd); a vite.config.js, postcss.config.js or .env file
+// written into the project is never loaded.
+export default {
+  plugins: [confineToProject(), react(), tailwindcss()],
+  envDir: toolchainDir,
+  cacheDir: process.env.BUILD_CACHE_DIR,
+  css: { postcss: {} },
+};
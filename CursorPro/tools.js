@@ -0,0 +1,632 @@
+import fs from "fs";
+import path from "path";
+import { listAssets } from "./assets.js";
+import { isProjectRoot, resolveInProject as resolvePath } from "./sandbox.js";
+import { ExecuteCommand, SHELL_ENABLED, shellToolDefinition } from "./shell.js";
+
+// Per-build tool context. Every build or edit gets its own object so
+// concurrent requests can never resolve paths into each other's projects.
+// `scriptDirs` limits where .js files may go (see targets.js), any folder
+// when it is absent.
+export function createToolContext({ projectId, projectPath, scriptDirs }) {
+  if (!projectId || !projectPath) {
+    throw new Error("Tool context requires a projectId and projectPath");
+  }
+  return Object.freeze({ projectId, projectPath, scriptDirs });
+}
+
+function resolveInProject(context, filePath) {
+  return resolvePath(context.projectPath, filePath);
+}
+
+const SCRIPT_FILE = /\.[cm]?js$/i;
+
+// Build tools could be pointed at a script written anywhere else
+function checkScriptPath(context, fullPath) {
+  if (!context.scriptDirs || !SCRIPT_FILE.test(fullPath)) return;
+  const relPath = path.relative(context.projectPath, fullPath);
+  const allowed = context.scriptDirs.some((dir) =>
+    relPath.startsWith(dir + path.sep)
+  );
+  if (!allowed) {
+    throw new Error(
+      `Scripts can only be written to ${context.scriptDirs
+        .map((dir) => `${dir}/`)
+        .join(" or ")}: ${relPath}`
+    );
+  }
+}
+
+function WriteFile(context, { path: filePath, content }) {
+  try {
+    const fullPath = resolveInProject(context, filePath);
+    checkScriptPath(context, fullPath);
+
+    // Validate content size (max 1MB)
+    if (content.length > 1024 * 1024) {
+      throw new Error("File content too large (max 1MB)");
+    }
+
+    // Ensure directory exists
+    const dir = path.dirname(fullPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // Write file with error handling
+    fs.writeFileSync(fullPath, content, "utf-8");
+
+    console.log(`✅ File written: ${fullPath} (${content.length} bytes)`);
+
+    return {
+      success: true,
+      message: `Successfully written to ${filePath}`,
+      path: filePath,
+      fullPath: fullPath,
+      size: content.length,
+    };
+  } catch (error) {
+    console.error(`❌ Write failed: ${filePath}`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      path: filePath,
+    };
+  }
+}
+
+function ReadFile(context, { path: filePath }) {
+  try {
+    const fullPath = resolveInProject(context, filePath);
+
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`File does not exist: ${filePath}`);
+    }
+
+    const content = fs.readFileSync(fullPath, "utf-8");
+
+    return {
+      success: true,
+      content: content,
+      path: filePath,
+      size: content.length,
+    };
+  } catch (error) {
+    console.error(`❌ Read failed: ${filePath}`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      path: filePath,
+    };
+  }
+}
+
+function ListDirectory(context, { path: dirPath = "." }) {
+  try {
+    const fullPath = resolveInProject(context, dirPath);
+
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`Directory does not exist: ${dirPath}`);
+    }
+
+    const stats = fs.statSync(fullPath);
+    if (!stats.isDirectory()) {
+      throw new Error(`Path is not a directory: ${dirPath}`);
+    }
+
+    const files = fs.readdirSync(fullPath, { withFileTypes: true });
+    const result = files.map((file) => ({
+      name: file.name,
+      type: file.isDirectory() ? "directory" : "file",
+      path: path.join(dirPath, file.name),
+    }));
+
+    return {
+      success: true,
+      files: result,
+      path: dirPath,
+      count: result.length,
+    };
+  } catch (error) {
+    console.error(`❌ List failed: ${dirPath}`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      path: dirPath,
+    };
+  }
+}
+
+function CreateDirectory(context, { path: dirPath }) {
+  try {
+    const fullPath = resolveInProject(context, dirPath);
+    fs.mkdirSync(fullPath, { recursive: true });
+
+    return {
+      success: true,
+      message: `Directory ready: ${dirPath}`,
+      path: dirPath,
+    };
+  } catch (error) {
+    console.error(`❌ Create directory failed: ${dirPath}`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      path: dirPath,
+    };
+  }
+}
+
+function DeleteFile(context, { path: filePath, recursive = false }) {
+  try {
+    const fullPath = resolveInProject(context, filePath);
+
+    if (isProjectRoot(context.projectPath, fullPath)) {
+      throw new Error("Deleting the project root is not allowed");
+    }
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`File does not exist: ${filePath}`);
+    }
+
+    const stats = fs.lstatSync(fullPath);
+    if (stats.isDirectory()) {
+      if (!recursive && fs.readdirSync(fullPath).length > 0) {
+        throw new Error(
+          `Directory is not empty: ${filePath} (pass recursive: true)`
+        );
+      }
+      fs.rmSync(fullPath, { recursive: true });
+    } else {
+      fs.unlinkSync(fullPath);
+    }
+
+    console.log(`🗑️ Deleted: ${fullPath}`);
+
+    return {
+      success: true,
+      message: `Deleted ${filePath}`,
+      path: filePath,
+    };
+  } catch (error) {
+    console.error(`❌ Delete failed: ${filePath}`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      path: filePath,
+    };
+  }
+}
+
+// Shared implementation of MoveFile and CopyFile
+function transferFile(context, { from, to }, mode) {
+  try {
+    const sourcePath = resolveInProject(context, from);
+    const targetPath = resolveInProject(context, to);
+
+    if (!fs.existsSync(sourcePath)) {
+      throw new Error(`File does not exist: ${from}`);
+    }
+    if (
+      isProjectRoot(context.projectPath, sourcePath) ||
+      isProjectRoot(context.projectPath, targetPath)
+    ) {
+      throw new Error(`Cannot ${mode} the project root`);
+    }
+    const sourceFiles = fs.statSync(sourcePath).isDirectory()
+      ? walkFiles(sourcePath, ".")
+      : ["."];
+    for (const relPath of sourceFiles) {
+      checkScriptPath(context, path.join(targetPath, relPath));
+    }
+
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    if (mode === "move") {
+      fs.renameSync(sourcePath, targetPath);
+    } else {
+      fs.cpSync(sourcePath, targetPath, { recursive: true });
+    }
+
+    return {
+      success: true,
+      message: `${mode === "move" ? "Moved" : "Copied"} ${from} to ${to}`,
+      from,
+      to,
+    };
+  } catch (error) {
+    console.error(`❌ ${mode} failed: ${from} -> ${to}`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      from,
+      to,
+    };
+  }
+}
+
+function MoveFile(context, args) {
+  return transferFile(context, args, "move");
+}
+
+function CopyFile(context, args) {
+  return transferFile(context, args, "copy");
+}
+
+// Collect project files below a directory, without following symlinks
+function walkFiles(rootPath, relDir) {
+  const results = [];
+  for (const entry of fs.readdirSync(path.join(rootPath, relDir), {
+    withFileTypes: true,
+  })) {
+    const relPath = path.join(relDir, entry.name);
+    if (entry.isDirectory()) {
+      results.push(...walkFiles(rootPath, relPath));
+    } else if (entry.isFile()) {
+      results.push(relPath);
+    }
+  }
+  return results;
+}
+
+const MAX_SEARCH_RESULTS = 100;
+
+function SearchFiles(context, { query, path: dirPath = ".", regex = false }) {
+  try {
+    if (typeof query !== "string" || !query) {
+      throw new Error("A search query is required");
+    }
+    resolveInProject(context, dirPath);
+
+    const matcher = regex ? new RegExp(query) : null;
+    const matches = [];
+
+    for (const relPath of walkFiles(context.projectPath, dirPath)) {
+      const fullPath = path.join(context.projectPath, relPath);
+      if (fs.statSync(fullPath).size > 1024 * 1024) continue;
+
+      const lines = fs.readFileSync(fullPath, "utf-8").split("\n");
+      lines.forEach((line, index) => {
+        const found = matcher ? matcher.test(line) : line.includes(query);
+        if (found && matches.length < MAX_SEARCH_RESULTS) {
+          matches.push({
+            path: relPath,
+            line: index + 1,
+            text: line.trim().substring(0, 200),
+          });
+        }
+      });
+    }
+
+    return {
+      success: true,
+      query,
+      matches,
+      count: matches.length,
+      truncated: matches.length >= MAX_SEARCH_RESULTS,
+    };
+  } catch (error) {
+    console.error(`❌ Search failed: ${query}`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      query,
+    };
+  }
+}
+
+// Apply search/replace edits to one file. Every search string must occur
+// exactly once so an edit can never land in the wrong place.
+function ApplyPatch(context, { path: filePath, edits }) {
+  try {
+    const fullPath = resolveInProject(context, filePath);
+
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`File does not exist: ${filePath}`);
+    }
+    if (!Array.isArray(edits) || edits.length === 0) {
+      throw new Error("At least one edit is required");
+    }
+
+    let content = fs.readFileSync(fullPath, "utf-8");
+
+    edits.forEach(({ search, replace = "" }, index) => {
+      if (typeof search !== "string" || !search) {
+        throw new Error(`Edit ${index + 1}: search text is required`);
+      }
+      const occurrences = content.split(search).length - 1;
+      if (occurrences !== 1) {
+        throw new Error(
+          `Edit ${
+            index + 1
+          }: search text found ${occurrences} times, expected exactly once`
+        );
+      }
+      content = content.replace(search, () => replace);
+    });
+
+    fs.writeFileSync(fullPath, content, "utf-8");
+
+    console.log(`✅ Patched: ${fullPath} (${edits.length} edits)`);
+
+    return {
+      success: true,
+      message: `Applied ${edits.length} edits to ${filePath}`,
+      path: filePath,
+      size: content.length,
+    };
+  } catch (error) {
+    console.error(`❌ Patch failed: ${filePath}`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      path: filePath,
+    };
+  }
+}
+
+// Images and fonts the pages can use, with what's known about each
+function ListAssets(context) {
+  try {
+    const assets = listAssets(context.projectId, context.projectPath).map(
+      (asset) => ({
+        path: asset.url,
+        type: asset.type,
+        width: asset.width,
+        height: asset.height,
+        alt: asset.alt,
+        srcset: asset.srcset,
+        placeholder: asset.source === "placeholder",
+      })
+    );
+
+    return {
+      success: true,
+      assets,
+      count: assets.length,
+    };
+  } catch (error) {
+    console.error("❌ List assets failed:", error.message);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+// Enhanced tool definitions
+export const tools = [
+  {
+    type: "function",
+    function: {
+      name: "WriteFile",
+      description:
+        "Write content to a file. Perfect for creating HTML, CSS, JS files.",
+      parameters: {
+        type: "object",
+        properties: {
+          path: {
+            type: "string",
+            description:
+              "Relative path to the file (e.g., 'website/index.html')",
+          },
+          content: {
+            type: "string",
+            description: "Complete file content to write",
+          },
+        },
+        required: ["path", "content"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "ReadFile",
+      description: "Read content from an existing file.",
+      parameters: {
+        type: "object",
+        properties: {
+          path: {
+            type: "string",
+            description: "Relative path to the file to read",
+          },
+        },
+        required: ["path"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "ListDirectory",
+      description: "List files and directories in a given path.",
+      parameters: {
+        type: "object",
+        properties: {
+          path: {
+            type: "string",
+            description:
+              "Directory path to list (defaults to current directory)",
+          },
+        },
+        required: [],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "CreateDirectory",
+      description:
+        "Create a directory (and any missing parents) inside the project.",
+      parameters: {
+        type: "object",
+        properties: {
+          path: {
+            type: "string",
+            description:
+              "Relative directory path (e.g., 'css' or 'assets/images')",
+          },
+        },
+        required: ["path"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "DeleteFile",
+      description: "Delete a file or directory inside the project.",
+      parameters: {
+        type: "object",
+        properties: {
+          path: {
+            type: "string",
+            description: "Relative path of the file or directory to delete",
+          },
+          recursive: {
+            type: "boolean",
+            description: "Required to delete a directory that is not empty",
+          },
+        },
+        required: ["path"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "MoveFile",
+      description: "Move or rename a file or directory inside the project.",
+      parameters: {
+        type: "object",
+        properties: {
+          from: { type: "string", description: "Relative source path" },
+          to: { type: "string", description: "Relative destination path" },
+        },
+        required: ["from", "to"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "CopyFile",
+      description: "Copy a file or directory inside the project.",
+      parameters: {
+        type: "object",
+        properties: {
+          from: { type: "string", description: "Relative source path" },
+          to: { type: "string", description: "Relative destination path" },
+        },
+        required: ["from", "to"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "SearchFiles",
+      description:
+        "Search project files for text and return matching lines with line numbers.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: {
+            type: "string",
+            description: "Text to search for",
+          },
+          path: {
+            type: "string",
+            description:
+              "Directory to search in (defaults to the project root)",
+          },
+          regex: {
+            type: "boolean",
+            description: "Treat the query as a regular expression",
+          },
+        },
+        required: ["query"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "ApplyPatch",
+      description:
+        "Edit part of an existing file with search/replace pairs instead of rewriting it. Each search text must appear exactly once in the file.",
+      parameters: {
+        type: "object",
+        properties: {
+          path: {
+            type: "string",
+            description: "Relative path to the file to edit",
+          },
+          edits: {
+            type: "array",
+            description: "Edits applied in order",
+            items: {
+              type: "object",
+              properties: {
+                search: {
+                  type: "string",
+                  description: "Exact existing text to replace",
+                },
+                replace: {
+                  type: "string",
+                  description: "Replacement text",
+                },
+              },
+              required: ["search", "replace"],
+            },
+          },
+        },
+        required: ["path", "edits"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "ListAssets",
+      description:
+        "List the project's images and fonts with their paths, sizes, alt text hints and srcset. Placeholders stand in for images nobody uploaded yet.",
+      parameters: {
+        type: "object",
+        properties: {},
+        required: [],
+      },
+    },
+  },
+  ...(SHELL_ENABLED ? [shellToolDefinition] : []),
+];
+
+// Dispatch a single tool call by name within a build's context
+export function runTool(context, name, args) {
+  switch (name) {
+    case "ExecuteCommand":
+      return ExecuteCommand(context, args);
+    case "WriteFile":
+      return WriteFile(context, args);
+    case "ReadFile":
+      return ReadFile(context, args);
+    case "ListDirectory":
+      return ListDirectory(context, args);
+    case "CreateDirectory":
+      return CreateDirectory(context, args);
+    case "DeleteFile":
+      return DeleteFile(context, args);
+    case "MoveFile":
+      return MoveFile(context, args);
+    case "CopyFile":
+      return CopyFile(context, args);
+    case "SearchFiles":
+      return SearchFiles(context, args);
+    case "ApplyPatch":
+      return ApplyPatch(context, args);
+    case "ListAssets":
+      return ListAssets(context, args);
+    default:
+      return { success: false, error: `Unknown tool: ${name}` };
+  }
+}
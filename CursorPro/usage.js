@@ -0,0 +1,246 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Token, latency and cost accounting of model calls. Every finished run
+// (including failed ones) is appended to a ledger with one file per UTC
+// day, so totals survive deleting the project:
+//   data/usage/<YYYY-MM-DD>.jsonl
+const USAGE_DIR = path.join(__dirname, "data", "usage");
+
+// Groq's free tier allows about 100K tokens per day
+export const DAILY_TOKEN_LIMIT =
+  parseInt(process.env.DAILY_TOKEN_LIMIT, 10) || 100000;
+const MAX_REPORT_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// USD per million tokens. Keys are "<provider>:<model>", with "*" for
+// every model of a provider. MODEL_PRICES (same JSON shape) overrides or
+// extends the table, e.g. for a paid OpenAI-compatible endpoint.
+const DEFAULT_PRICES = {
+  "groq:llama-3.3-70b-versatile": { input: 0.59, output: 0.79 },
+  "groq:llama-3.1-8b-instant": { input: 0.05, output: 0.08 },
+  "replay:*": { input: 0, output: 0 },
+};
+
+function loadPrices() {
+  if (!process.env.MODEL_PRICES) return DEFAULT_PRICES;
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.MODEL_PRICES) };
+  } catch (error) {
+    console.error(`❌ Ignoring invalid MODEL_PRICES: ${error.message}`);
+    return DEFAULT_PRICES;
+  }
+}
+
+const PRICES = loadPrices();
+
+export function getPrice(provider, model) {
+  return PRICES[`${provider}:${model}`] || PRICES[`${provider}:*`] || null;
+}
+
+// Estimated cost in USD, null when the model has no price
+export function estimateCost(
+  provider,
+  model,
+  { promptTokens, completionTokens }
+) {
+  const price = getPrice(provider, model);
+  if (!price) return null;
+  const cost =
+    (promptTokens * price.input + completionTokens * price.output) / 1e6;
+  return Number(cost.toFixed(6));
+}
+
+// Calls are priced by their own model, since a run that fell back to a
+// second model mixes two prices. Null when any of them has no price.
+function estimateCallsCost(provider, model, calls) {
+  if (calls.length === 0) {
+    return estimateCost(provider, model, {
+      promptTokens: 0,
+      completionTokens: 0,
+    });
+  }
+  const costs = calls.map((call) =>
+    estimateCost(provider, call.model || model, call)
+  );
+  if (costs.includes(null)) return null;
+  return Number(costs.reduce((total, cost) => total + cost, 0).toFixed(6));
+}
+
+// Totals of a run's model calls ({ model, promptTokens, completionTokens,
+// totalTokens, latencyMs, retries, error } each)
+export function summarizeCalls(provider, model, calls) {
+  const sum = (field) =>
+    calls.reduce((total, call) => total + (call[field] || 0), 0);
+  const promptTokens = sum("promptTokens");
+  const completionTokens = sum("completionTokens");
+  const latencyMs = sum("latencyMs");
+
+  return {
+    provider,
+    model,
+    calls: calls.length,
+    failedCalls: calls.filter((call) => call.error).length,
+    retries: sum("retries"),
+    promptTokens,
+    completionTokens,
+    totalTokens: sum("totalTokens"),
+    latencyMs,
+    avgLatencyMs: calls.length > 0 ? Math.round(latencyMs / calls.length) : 0,
+    maxLatencyMs: Math.max(0, ...calls.map((call) => call.latencyMs || 0)),
+    costUsd: estimateCallsCost(provider, model, calls),
+  };
+}
+
+function getLedgerPath(date) {
+  return path.join(USAGE_DIR, `${date}.jsonl`);
+}
+
+// Append one run's summary to today's ledger
+export function recordUsage({ projectId, user, kind, status, summary }) {
+  const finishedAt = new Date().toISOString();
+  const { provider, model, ...totals } = summary;
+  const entry = {
+    projectId,
+    user,
+    kind,
+    status,
+    provider,
+    model,
+    ...totals,
+    finishedAt,
+  };
+
+  fs.mkdirSync(USAGE_DIR, { recursive: true });
+  fs.appendFileSync(
+    getLedgerPath(finishedAt.slice(0, 10)),
+    `${JSON.stringify(entry)}\n`
+  );
+  return entry;
+}
+
+function readLedger(date) {
+  const ledgerPath = getLedgerPath(date);
+  if (!fs.existsSync(ledgerPath)) return [];
+  return fs
+    .readFileSync(ledgerPath, "utf-8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+// Report range, by default the 7 days up to today
+function getRange({ from, to }) {
+  const end = to || new Date().toISOString().slice(0, 10);
+  const start =
+    from || new Date(Date.parse(end) - 6 * DAY_MS).toISOString().slice(0, 10);
+  return { start, end };
+}
+
+// Returns an error message for an invalid ?from=&to= range
+export function getUsageRangeError({ from, to }) {
+  for (const value of [from, to]) {
+    if (value !== undefined && (typeof value !== "string" || !isDate(value))) {
+      return "from and to must be dates like 2025-01-31";
+    }
+  }
+  const { start, end } = getRange({ from, to });
+  if (start > end) {
+    return "from must not be after to";
+  }
+  if ((Date.parse(end) - Date.parse(start)) / DAY_MS >= MAX_REPORT_DAYS) {
+    return `A report covers at most ${MAX_REPORT_DAYS} days`;
+  }
+  return null;
+}
+
+function addTotals(totals, entry) {
+  totals.runs++;
+  totals.calls += entry.calls;
+  totals.failedCalls += entry.failedCalls;
+  totals.retries += entry.retries;
+  totals.promptTokens += entry.promptTokens;
+  totals.completionTokens += entry.completionTokens;
+  totals.totalTokens += entry.totalTokens;
+  totals.latencyMs += entry.latencyMs;
+  if (entry.costUsd === null) {
+    totals.unpricedRuns++;
+  } else {
+    totals.costUsd = Number((totals.costUsd + entry.costUsd).toFixed(6));
+  }
+  return totals;
+}
+
+function emptyTotals() {
+  return {
+    runs: 0,
+    calls: 0,
+    failedCalls: 0,
+    retries: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    latencyMs: 0,
+    costUsd: 0,
+    unpricedRuns: 0,
+  };
+}
+
+// Usage per day and user between two dates (default: the last 7 days),
+// optionally for one user, plus how much of today's token limit is left
+export function getUsageReport({ from, to, user } = {}) {
+  const today = new Date().toISOString().slice(0, 10);
+  const { start, end } = getRange({ from, to });
+
+  const days = [];
+  const totals = emptyTotals();
+  for (let time = Date.parse(start); time <= Date.parse(end); time += DAY_MS) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    const entries = readLedger(date).filter(
+      (entry) => !user || entry.user === user
+    );
+    if (entries.length === 0) continue;
+
+    const users = {};
+    for (const entry of entries) {
+      users[entry.user] = addTotals(users[entry.user] || emptyTotals(), entry);
+      addTotals(totals, entry);
+    }
+    days.push({
+      date,
+      ...entries.reduce(addTotals, emptyTotals()),
+      users: Object.entries(users).map(([name, userTotals]) => ({
+        user: name,
+        ...userTotals,
+      })),
+    });
+  }
+
+  // The limit is shared, so today's total counts every user
+  const todayTokens = readLedger(today).reduce(
+    (sum, entry) => sum + entry.totalTokens,
+    0
+  );
+
+  return {
+    from: start,
+    to: end,
+    user: user || null,
+    totals,
+    days,
+    today: {
+      date: today,
+      totalTokens: todayTokens,
+      limit: DAILY_TOKEN_LIMIT,
+      remaining: Math.max(0, DAILY_TOKEN_LIMIT - todayTokens),
+    },
+  };
+}
@@ -0,0 +1,335 @@
+import fs from "fs";
+import { parse } from "parse5";
+import path from "path";
+import { SITEMAP_FILE, readSiteMap } from "./sitemap.js";
+import { TOKENS_FILE, findColors } from "./brandkits.js";
+
+// Attributes that point at other files
+const REFERENCE_ATTRIBUTES = ["href", "src", "poster", "data"];
+
+// Markdown that models tend to leave inside HTML text
+const MARKDOWN_PATTERNS = [
+  { pattern: /\[[^\]\n]+\]\([^)\s]+\)/, name: "markdown link" },
+  { pattern: /\*\*[^*\n]+\*\*/, name: "markdown bold" },
+  { pattern: /^\s*#{1,6}\s+\S/m, name: "markdown heading" },
+  { pattern: /```/, name: "markdown code fence" },
+];
+
+// Text inside these elements is code, not prose
+const RAW_TEXT_ELEMENTS = ["script", "style", "pre", "code", "textarea"];
+
+function listFiles(projectPath, relDir = ".") {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(projectPath, relDir), {
+    withFileTypes: true,
+  })) {
+    const relPath = path.join(relDir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFiles(projectPath, relPath));
+    } else if (entry.isFile()) {
+      files.push(relPath);
+    }
+  }
+  return files;
+}
+
+function isRemote(ref) {
+  return /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(ref) || ref.startsWith("{{");
+}
+
+// The decoded path of a reference, null when a % is not a valid escape
+// (e.g. "sale-50%.html"), which no browser can request either
+function getRefPath(ref) {
+  try {
+    return decodeURI(ref.split(/[?#]/)[0]);
+  } catch {
+    return null;
+  }
+}
+
+// Does a local reference from `fromFile` point at an existing file?
+function referenceExists(projectPath, fromFile, ref) {
+  const cleanRef = getRefPath(ref);
+  if (cleanRef === null) return false;
+  if (!cleanRef) return true;
+
+  const target = cleanRef.startsWith("/")
+    ? path.join(projectPath, cleanRef)
+    : path.join(projectPath, path.dirname(fromFile), cleanRef);
+
+  if (!fs.existsSync(target)) return false;
+  // A folder link works when it has an index.html
+  if (fs.statSync(target).isDirectory()) {
+    return fs.existsSync(path.join(target, "index.html"));
+  }
+  return true;
+}
+
+function getAttribute(node, name) {
+  return node.attrs?.find((attr) => attr.name === name)?.value;
+}
+
+function walk(node, visit, parents = []) {
+  visit(node, parents);
+  const children = node.content?.childNodes || node.childNodes || [];
+  for (const child of children) {
+    walk(child, visit, [...parents, node]);
+  }
+}
+
+// Brand kit builds: flag color literals that are not in the palette, once
+// per color and file. `firstLine` is where the CSS starts in the file.
+function checkColors(file, css, palette, issues, firstLine = 1) {
+  const reported = new Set();
+  for (const color of findColors(css)) {
+    if (palette.has(color.normalized) || reported.has(color.normalized)) {
+      continue;
+    }
+    reported.add(color.normalized);
+    issues.push({
+      file,
+      type: "off_palette_color",
+      line: firstLine + css.slice(0, color.index).split("\n").length - 1,
+      message: `Hard-coded color ${color.value} is not in the brand palette, use a var(--color-*) token`,
+    });
+  }
+}
+
+function validateHtmlFile(projectPath, file, issues, palette) {
+  const html = fs.readFileSync(path.join(projectPath, file), "utf-8");
+
+  const document = parse(html, {
+    sourceCodeLocationInfo: true,
+    onParseError: (error) => {
+      issues.push({
+        file,
+        type: "parse_error",
+        line: error.startLine,
+        message: `HTML parse error: ${error.code}`,
+      });
+    },
+  });
+
+  walk(document, (node, parents) => {
+    const line = node.sourceCodeLocation?.startLine;
+
+    if (node.nodeName === "#text") {
+      const inRawText = parents.some((parent) =>
+        RAW_TEXT_ELEMENTS.includes(parent.nodeName)
+      );
+      if (inRawText) return;
+      for (const { pattern, name } of MARKDOWN_PATTERNS) {
+        const match = node.value.match(pattern);
+        if (match) {
+          issues.push({
+            file,
+            type: "markdown",
+            line,
+            message: `Leftover ${name}: "${match[0].trim().substring(0, 80)}"`,
+          });
+        }
+      }
+      return;
+    }
+
+    if (palette) {
+      const inlineStyle = getAttribute(node, "style");
+      if (inlineStyle) checkColors(file, inlineStyle, palette, issues, line);
+      if (node.nodeName === "style") {
+        const css = node.childNodes.map((child) => child.value).join("");
+        checkColors(file, css, palette, issues, line);
+      }
+    }
+
+    for (const attribute of REFERENCE_ATTRIBUTES) {
+      const ref = getAttribute(node, attribute)?.trim();
+      if (!ref || isRemote(ref) || referenceExists(projectPath, file, ref)) {
+        continue;
+      }
+
+      let type = "broken_reference";
+      if (
+        node.nodeName === "link" &&
+        /stylesheet/i.test(getAttribute(node, "rel"))
+      ) {
+        type = "missing_stylesheet";
+      } else if (node.nodeName === "script") {
+        type = "missing_script";
+      }
+
+      issues.push({
+        file,
+        type,
+        line,
+        message: `<${node.nodeName} ${attribute}="${ref}"> points to a file that does not exist`,
+      });
+    }
+
+    const srcset = getAttribute(node, "srcset");
+    for (const candidate of srcset?.split(",") || []) {
+      const ref = candidate.trim().split(/\s+/)[0];
+      if (ref && !isRemote(ref) && !referenceExists(projectPath, file, ref)) {
+        issues.push({
+          file,
+          type: "broken_reference",
+          line,
+          message: `<${node.nodeName} srcset> entry "${ref}" does not exist`,
+        });
+      }
+    }
+  });
+}
+
+function validateCssFile(projectPath, file, issues, palette) {
+  const css = fs.readFileSync(path.join(projectPath, file), "utf-8");
+  if (palette && file !== TOKENS_FILE) {
+    checkColors(file, css, palette, issues);
+  }
+  const urlPattern = /url\(\s*["']?([^"')]+)["']?\s*\)/g;
+
+  for (const match of css.matchAll(urlPattern)) {
+    const ref = match[1].trim();
+    if (isRemote(ref) || referenceExists(projectPath, file, ref)) continue;
+    issues.push({
+      file,
+      type: "broken_reference",
+      line: css.slice(0, match.index).split("\n").length,
+      message: `url(${ref}) points to a file that does not exist`,
+    });
+  }
+}
+
+// Project-relative paths of the pages a file links to with <a href>
+function collectPageLinks(projectPath, file) {
+  const html = fs.readFileSync(path.join(projectPath, file), "utf-8");
+  const links = new Set();
+
+  walk(parse(html), (node) => {
+    const ref = node.nodeName === "a" && getAttribute(node, "href")?.trim();
+    if (!ref || isRemote(ref)) return;
+
+    const cleanRef = getRefPath(ref);
+    if (cleanRef === null) return;
+    let target = cleanRef.startsWith("/")
+      ? path.posix.normalize(cleanRef.slice(1))
+      : path.posix.join(path.posix.dirname(file), cleanRef);
+    if (!cleanRef || target === "." || cleanRef.endsWith("/")) {
+      target = path.posix.join(target, "index.html");
+    }
+    links.add(target);
+  });
+
+  return links;
+}
+
+// Multi-page sites: every page of the site map exists and links to all
+// the other pages, i.e. the shared nav is complete everywhere
+function validateSiteMap(projectPath, siteMap, issues) {
+  for (const page of siteMap) {
+    if (!fs.existsSync(path.join(projectPath, page.path))) {
+      issues.push({
+        file: SITEMAP_FILE,
+        type: "missing_page",
+        message: `Page "${page.title}" (${page.path}) is in the site map but does not exist`,
+      });
+      continue;
+    }
+
+    const links = collectPageLinks(projectPath, page.path);
+    const unlinked = siteMap.filter(
+      (other) => other.path !== page.path && !links.has(other.path)
+    );
+    if (unlinked.length > 0) {
+      issues.push({
+        file: page.path,
+        type: "missing_nav_link",
+        message: `Navigation does not link to ${unlinked
+          .map((other) => other.path)
+          .join(", ")}`,
+      });
+    }
+  }
+}
+
+// Check every HTML and CSS file of a project. `siteMap` is the planned
+// page list of a multi-page build, used when the agent wrote none;
+// `palette` (a Set of #rrggbb colors) enables the brand color check;
+// `requiredFiles` come from the output target and `buildError` is the
+// output of its failed build step.
+export function validateProject(
+  projectPath,
+  { siteMap, palette, requiredFiles = ["index.html"], buildError } = {}
+) {
+  const issues = [];
+  const files = listFiles(projectPath);
+
+  for (const file of requiredFiles) {
+    if (files.includes(file)) continue;
+    issues.push(
+      file === "index.html"
+        ? {
+            file,
+            type: "missing_index",
+            message: "The project has no index.html",
+          }
+        : {
+            file,
+            type: "missing_file",
+            message: `The project has no ${file}`,
+          }
+    );
+  }
+  if (buildError) {
+    issues.push({
+      file: "build",
+      type: "build_error",
+      message: `The build failed:\n${buildError}`,
+    });
+  }
+
+  const writtenSiteMap = readSiteMap(projectPath);
+  if (!writtenSiteMap && siteMap) {
+    issues.push({
+      file: SITEMAP_FILE,
+      type: "missing_sitemap",
+      message: `The multi-page site has no ${SITEMAP_FILE}`,
+    });
+  }
+  if (writtenSiteMap || siteMap) {
+    validateSiteMap(projectPath, writtenSiteMap || siteMap, issues);
+  }
+
+  for (const file of files) {
+    const extension = path.extname(file).toLowerCase();
+    if (extension === ".html" || extension === ".htm") {
+      validateHtmlFile(projectPath, file, issues, palette);
+    } else if (extension === ".css") {
+      validateCssFile(projectPath, file, issues, palette);
+    }
+  }
+
+  return {
+    valid: issues.length === 0,
+    filesChecked: files.filter((file) => /\.(html?|css)$/i.test(file)).length,
+    issueCount: issues.length,
+    issues,
+  };
+}
+
+// Turn a validation report into a follow-up message for the model
+export function buildRepairPrompt(report) {
+  const list = report.issues
+    .slice(0, 50)
+    .map(
+      (issue) =>
+        `- ${issue.file}${issue.line ? `:${issue.line}` : ""} [${issue.type}] ${
+          issue.message
+        }`
+    )
+    .join("\n");
+
+  return `An automatic check of the generated site found ${report.issueCount} problems:
+${list}
+
+Fix every problem: create missing files, fix the code a failed build points at, remove/point references to files that exist, keep the nav of every page linking to all pages of the site map, replace off-palette colors with the brand's var(--color-*) tokens, write valid HTML, and replace markdown syntax with proper HTML elements (e.g. <a href="mailto:...">). Use ApplyPatch for small fixes. Reply with a short summary when done.`;
+}
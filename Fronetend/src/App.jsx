@@ -1,10 +1,123 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { API_URL } from "./api";
+import ApiKeys from "./components/ApiKeys";
 import ChatBuilder from "./components/ChatBuilder";
+import LoginForm from "./components/LoginForm";
+import ProjectsDashboard from "./components/ProjectsDashboard";
+
+const TABS = [
+  { id: "builder", label: "🛠 Builder" },
+  { id: "projects", label: "🗂 Projects" },
+  { id: "keys", label: "🔑 API Keys" },
+];
 
 const App = () => {
+  const [view, setView] = useState("builder");
+  const [openProjectId, setOpenProjectId] = useState("");
+  const [openCount, setOpenCount] = useState(0);
+  const [dashboardKey, setDashboardKey] = useState(0);
+  // undefined until the session was checked, null when signed out
+  const [user, setUser] = useState(undefined);
+  const [signupOpen, setSignupOpen] = useState(false);
+
+  useEffect(() => {
+    axios
+      .get(`${API_URL}/api/auth/me`)
+      .then(({ data }) => {
+        setUser(data.user);
+        setSignupOpen(data.signupOpen);
+      })
+      .catch((error) => {
+        console.error("Session error:", error.message);
+        setUser(null);
+      });
+  }, []);
+
+  // An expired session signs the app out
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(undefined, (error) => {
+      if (error.response?.status === 401) setUser(null);
+      return Promise.reject(error);
+    });
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  const showView = (id) => {
+    // Re-fetch the list so builds made meanwhile show up
+    if (id === "projects") setDashboardKey((key) => key + 1);
+    setView(id);
+  };
+
+  const handleOpen = (projectId) => {
+    setOpenProjectId(projectId);
+    setOpenCount((count) => count + 1);
+    setView("builder");
+  };
+
+  const handleSignedIn = (signedIn) => {
+    setUser(signedIn);
+    setSignupOpen(false);
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await axios.post(`${API_URL}/api/auth/logout`);
+    } catch (error) {
+      console.error("Sign out error:", error.message);
+    }
+    // The next account starts with a fresh builder
+    setOpenProjectId("");
+    setOpenCount((count) => count + 1);
+    setView("builder");
+    setUser(null);
+  };
+
+  if (user === undefined) return null;
+  if (!user) {
+    return <LoginForm signupOpen={signupOpen} onSignedIn={handleSignedIn} />;
+  }
+
   return (
     <div>
-      <ChatBuilder />
+      <nav className="flex justify-center items-center gap-2 pt-4">
+        {TABS.map((tab) => (
+          <button
+            key={tab.id}
+            onClick={() => showView(tab.id)}
+            className={`px-4 py-1 rounded ${
+              view === tab.id
+                ? "bg-blue-600 text-white"
+                : "text-gray-700 hover:bg-gray-100"
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+        <span className="ml-4 text-sm text-gray-600">
+          👤 {user.username}
+          {user.role === "admin" && " (admin)"}
+        </span>
+        <button
+          onClick={handleSignOut}
+          className="text-sm text-blue-700 hover:underline"
+        >
+          Sign out
+        </button>
+      </nav>
+
+      {/* Stays mounted so a running build keeps streaming in the background */}
+      <div className={view === "builder" ? "" : "hidden"}>
+        <ChatBuilder key={openCount} initialProjectId={openProjectId} />
+      </div>
+      {view === "projects" && (
+        <ProjectsDashboard
+          user={user}
+          onOpen={handleOpen}
+          refreshKey={dashboardKey}
+        />
+      )}
+      {view === "keys" && <ApiKeys />}
     </div>
   );
 };
@@ -0,0 +1,47 @@
+import axios from "axios";
+
+export const API_URL = "http://localhost:3000";
+
+// The session is an httpOnly cookie of the API, sent with every request
+axios.defaults.withCredentials = true;
+
+// POST a JSON body and read the Server-Sent Events response as it arrives.
+// onEvent(event, data) is called for every event; pass an AbortSignal to
+// cancel the request (the server stops the build when the connection drops).
+export async function streamRequest(path, body, { signal, onEvent }) {
+  const response = await fetch(`${API_URL}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    credentials: "include",
+    signal,
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed (${response.status})`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const chunks = buffer.split("\n\n");
+    buffer = chunks.pop();
+
+    for (const chunk of chunks) {
+      let event = "message";
+      let data = "";
+      for (const line of chunk.split("\n")) {
+        if (line.startsWith("event: ")) event = line.slice(7);
+        else if (line.startsWith("data: ")) data += line.slice(6);
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
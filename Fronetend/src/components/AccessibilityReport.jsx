@@ -0,0 +1,111 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { API_URL } from "../api";
+
+const IMPACT_STYLES = {
+  critical: "bg-red-100 text-red-800",
+  serious: "bg-orange-100 text-orange-800",
+  moderate: "bg-yellow-100 text-yellow-800",
+  minor: "bg-gray-100 text-gray-700",
+};
+
+function scoreColor(score) {
+  if (score >= 90) return "text-green-700";
+  if (score >= 50) return "text-orange-600";
+  return "text-red-700";
+}
+
+export default function AccessibilityReport({ projectId, report, onAudited }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const rerun = async () => {
+    try {
+      setBusy(true);
+      setError("");
+      const { data } = await axios.post(
+        `${API_URL}/api/projects/${projectId}/accessibility`
+      );
+      onAudited(data.report);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="mt-6 p-4 bg-gray-50 rounded text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-semibold">
+          ♿ Accessibility{" "}
+          {report.score !== null && (
+            <span className={scoreColor(report.score)}>{report.score}/100</span>
+          )}
+          {report.initialScore != null &&
+            report.initialScore !== report.score && (
+              <span className="text-gray-500 text-sm font-normal">
+                {" "}
+                (was {report.initialScore} before the fix pass)
+              </span>
+            )}
+        </h2>
+        <button
+          onClick={rerun}
+          disabled={busy}
+          className="px-3 py-1 border border-gray-300 rounded hover:bg-white"
+        >
+          {busy ? "Auditing..." : "Re-run audit"}
+        </button>
+      </div>
+      {error && <p className="text-red-700 mb-2">{error}</p>}
+
+      {report.violations.length === 0 ? (
+        <p className="text-green-700">
+          ✅ No issues found on {report.pagesAudited.length} pages
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {report.violations.map((rule) => (
+            <li key={rule.id}>
+              <span
+                className={`px-2 py-0.5 rounded text-xs ${
+                  IMPACT_STYLES[rule.impact] || IMPACT_STYLES.minor
+                }`}
+              >
+                {rule.impact}
+              </span>{" "}
+              <a
+                href={rule.helpUrl}
+                target="_blank"
+                rel="noreferrer"
+                className="font-mono text-blue-700 hover:underline"
+              >
+                {rule.id}
+              </a>{" "}
+              {rule.tags.length > 0 && (
+                <span className="text-gray-500">({rule.tags.join(", ")})</span>
+              )}{" "}
+              {rule.help}
+              <ul className="ml-6 list-disc font-mono text-xs text-gray-700">
+                {rule.nodes.map((node, i) => (
+                  <li key={i}>
+                    {node.page}: {node.selector}
+                  </li>
+                ))}
+                {rule.nodeCount > rule.nodes.length && (
+                  <li>…and {rule.nodeCount - rule.nodes.length} more</li>
+                )}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+      {report.skippedRules?.length > 0 && (
+        <p className="mt-2 text-xs text-gray-500">
+          Not checked without a browser: {report.skippedRules.join(", ")}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { API_URL } from "../api";
+
+// API keys for scripts and CI: sent as "Authorization: Bearer <key>".
+// A new key is only shown once, right after it was created.
+export default function ApiKeys() {
+  const [keys, setKeys] = useState([]);
+  const [name, setName] = useState("");
+  const [newKey, setNewKey] = useState(null);
+  const [reload, setReload] = useState(0);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    axios
+      .get(`${API_URL}/api/auth/keys`)
+      .then(({ data }) => setKeys(data.keys))
+      .catch((err) => setError(err.response?.data?.error || err.message));
+  }, [reload]);
+
+  const create = async (e) => {
+    e.preventDefault();
+
+    try {
+      setError("");
+      const { data } = await axios.post(`${API_URL}/api/auth/keys`, {
+        name: name || undefined,
+      });
+      setNewKey(data.apiKey.key);
+      setName("");
+      setReload((count) => count + 1);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const remove = async (key) => {
+    if (!window.confirm(`Delete the key "${key.name}"?`)) return;
+
+    try {
+      setError("");
+      await axios.delete(`${API_URL}/api/auth/keys/${key.id}`);
+      setReload((count) => count + 1);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  return (
+    <div className="p-6 max-w-3xl mx-auto text-sm">
+      <h2 className="text-lg font-semibold mb-2">🔑 API Keys</h2>
+      <p className="text-gray-600 mb-4">
+        Call the API from scripts with{" "}
+        <code className="bg-gray-100 px-1">
+          Authorization: Bearer &lt;key&gt;
+        </code>
+        . Builds made with a key count towards your quota.
+      </p>
+
+      <form onSubmit={create} className="flex gap-2 mb-4">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={60}
+          placeholder="Key name, e.g. CI"
+          className="flex-1 p-2 border border-gray-300 rounded"
+          aria-label="Key name"
+        />
+        <button
+          type="submit"
+          className="px-4 bg-blue-600 text-white rounded hover:bg-blue-700"
+        >
+          Create key
+        </button>
+      </form>
+
+      {newKey && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-300 rounded">
+          <p className="mb-1">Copy the new key now, it is not shown again:</p>
+          <code className="font-mono break-all">{newKey}</code>
+        </div>
+      )}
+      {error && <p className="text-red-700 mb-4">{error}</p>}
+
+      {keys.length === 0 ? (
+        <p className="text-gray-500">No API keys yet.</p>
+      ) : (
+        <ul className="divide-y border rounded">
+          {keys.map((key) => (
+            <li key={key.id} className="p-2 flex items-center gap-3">
+              <span className="font-semibold">{key.name}</span>
+              <code className="font-mono text-gray-500">{key.prefix}…</code>
+              <span className="text-xs text-gray-500 flex-1">
+                Created {new Date(key.createdAt).toLocaleString()}
+                {key.lastUsedAt &&
+                  ` · last used ${new Date(key.lastUsedAt).toLocaleString()}`}
+              </span>
+              <button
+                onClick={() => remove(key)}
+                className="text-xs text-red-700 hover:underline"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
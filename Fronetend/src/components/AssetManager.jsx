@@ -0,0 +1,146 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { API_URL } from "../api";
+
+const SOURCE_LABELS = {
+  upload: "Uploaded",
+  placeholder: "Placeholder",
+  project: "Project file",
+};
+
+export default function AssetManager({ projectId, refreshKey, onChanged }) {
+  const [assets, setAssets] = useState([]);
+  const [files, setFiles] = useState([]);
+  const [alt, setAlt] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    axios
+      .get(`${API_URL}/api/projects/${projectId}/assets`)
+      .then(({ data }) => setAssets(data.assets))
+      .catch((err) => setError(err.response?.data?.error || err.message));
+  }, [projectId, refreshKey]);
+
+  const reload = async () => {
+    const { data } = await axios.get(
+      `${API_URL}/api/projects/${projectId}/assets`
+    );
+    setAssets(data.assets);
+    onChanged();
+  };
+
+  const upload = async (e) => {
+    e.preventDefault();
+    if (files.length === 0) return;
+
+    // One alt text hint per file, in the same order
+    const form = new FormData();
+    for (const file of files) {
+      form.append("files", file);
+      form.append("alt", alt);
+    }
+
+    try {
+      setBusy(true);
+      setError("");
+      await axios.post(`${API_URL}/api/projects/${projectId}/assets`, form);
+      setFiles([]);
+      setAlt("");
+      e.target.reset();
+      await reload();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async (asset) => {
+    if (!window.confirm(`Delete ${asset.url}?`)) return;
+
+    try {
+      setError("");
+      await axios.delete(
+        `${API_URL}/api/projects/${projectId}/assets/${asset.url}`
+      );
+      await reload();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  return (
+    <div className="mt-6 p-4 bg-gray-50 rounded text-sm">
+      <h2 className="text-lg font-semibold mb-2">🖼️ Assets</h2>
+
+      <form onSubmit={upload} className="flex flex-wrap items-center gap-2">
+        <input
+          type="file"
+          multiple
+          accept="image/*,.woff,.woff2,.ttf,.otf"
+          onChange={(e) => setFiles([...e.target.files])}
+          aria-label="Images or fonts to upload"
+        />
+        <input
+          type="text"
+          value={alt}
+          onChange={(e) => setAlt(e.target.value)}
+          placeholder="Alt text hint (optional)"
+          className="flex-1 min-w-48 p-1 border border-gray-300 rounded"
+          aria-label="Alt text hint"
+        />
+        <button
+          type="submit"
+          disabled={busy || files.length === 0}
+          className="px-3 py-1 border border-gray-300 rounded hover:bg-white disabled:opacity-50"
+        >
+          {busy ? "Uploading..." : "Upload"}
+        </button>
+      </form>
+      {error && <p className="text-red-700 mt-2">{error}</p>}
+
+      {assets.length === 0 ? (
+        <p className="mt-2 text-gray-500">
+          No images or fonts yet. Images the pages reference get a placeholder
+          until you upload them.
+        </p>
+      ) : (
+        <ul className="mt-3 grid grid-cols-2 md:grid-cols-4 gap-3">
+          {assets.map((asset) => (
+            <li key={asset.file} className="border rounded bg-white p-2">
+              {asset.type === "image" ? (
+                <img
+                  src={asset.previewUrl}
+                  alt={asset.alt || ""}
+                  loading="lazy"
+                  className="w-full h-24 object-contain bg-gray-100"
+                />
+              ) : (
+                <p className="h-24 flex items-center justify-center text-2xl bg-gray-100">
+                  🔤
+                </p>
+              )}
+              <p className="mt-1 font-mono text-xs break-all">{asset.url}</p>
+              <p className="text-xs text-gray-500">
+                {SOURCE_LABELS[asset.source]}
+                {asset.width && ` · ${asset.width}×${asset.height}`}
+                {asset.variants.length > 0 &&
+                  ` · ${asset.variants.length} WebP sizes`}
+              </p>
+              {asset.alt && (
+                <p className="text-xs text-gray-700">Alt: {asset.alt}</p>
+              )}
+              <button
+                onClick={() => remove(asset)}
+                className="mt-1 text-xs text-red-700 hover:underline"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,15 @@
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import axios from "axios";
 import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
 import { oneDark } from "react-syntax-highlighter/dist/esm/styles/prism";
 import { motion } from "framer-motion";
+import { API_URL, streamRequest } from "../api";
+import VersionHistory from "./VersionHistory";
+import AccessibilityReport from "./AccessibilityReport";
+import PreviewPanel from "./PreviewPanel";
+import AssetManager from "./AssetManager";
 
-export default function ChatBuilder() {
+export default function ChatBuilder({ initialProjectId = "" }) {
   const [prompt, setPrompt] = useState("");
   const [logs, setLogs] = useState([]);
   const [previews, setPreviews] = useState({});
@@ -13,37 +18,346 @@ export default function ChatBuilder() {
   const [previewUrl, setPreviewUrl] = useState("");
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [previewVersion, setPreviewVersion] = useState(0);
+  const [files, setFiles] = useState({});
+  const [pagesInput, setPagesInput] = useState("");
+  const [pages, setPages] = useState([]);
+  const [activePage, setActivePage] = useState("");
+  const [accessibility, setAccessibility] = useState(null);
+  const [fixAccessibility, setFixAccessibility] = useState(false);
+  const abortRef = useRef(null);
+  const [providers, setProviders] = useState([]);
+  const [provider, setProvider] = useState("");
+  const [model, setModel] = useState("");
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState("");
+  const [brandKits, setBrandKits] = useState([]);
+  const [brandKitId, setBrandKitId] = useState("");
+  const [targets, setTargets] = useState([]);
+  const [outputTarget, setOutputTarget] = useState("static");
+
+  useEffect(() => {
+    axios
+      .get(`${API_URL}/api/providers`)
+      .then(({ data }) => {
+        setProviders(data.providers.filter((p) => p.available));
+        setProvider(data.defaultProvider);
+      })
+      .catch((error) => console.error("Providers error:", error.message));
+
+    axios
+      .get(`${API_URL}/api/templates`)
+      .then(({ data }) => setTemplates(data.templates))
+      .catch((error) => console.error("Templates error:", error.message));
+
+    axios
+      .get(`${API_URL}/api/brand-kits`)
+      .then(({ data }) => setBrandKits(data.brandKits))
+      .catch((error) => console.error("Brand kits error:", error.message));
+
+    axios
+      .get(`${API_URL}/api/targets`)
+      .then(({ data }) => {
+        setTargets(data.targets);
+        setOutputTarget(data.defaultTarget);
+      })
+      .catch((error) => console.error("Targets error:", error.message));
+  }, []);
+
+  // Opened from the projects dashboard: continue editing that project
+  useEffect(() => {
+    if (!initialProjectId) return;
+
+    axios
+      .get(`${API_URL}/api/projects/${initialProjectId}`)
+      .then(({ data }) => {
+        const { project } = data;
+        setProjectId(project.projectId);
+        setPreviewUrl(project.previewUrl || "");
+        setPages(project.pages);
+        setPreviewVersion((version) => version + 1);
+        setHistory(
+          project.runs.length > 0
+            ? project.runs.flatMap((run) => [
+                { role: "user", content: run.prompt },
+                {
+                  role: "assistant",
+                  content: run.message || run.error || run.status,
+                },
+              ])
+            : [
+                {
+                  role: "assistant",
+                  content: `Opened "${project.title}". Describe what to change.`,
+                },
+              ]
+        );
+      })
+      .catch((error) =>
+        setLogs([
+          {
+            command: "Open failed",
+            result: { error: error.response?.data?.error || error.message },
+          },
+        ])
+      );
+
+    // Projects built before the audit existed have no report yet
+    axios
+      .get(`${API_URL}/api/projects/${initialProjectId}/accessibility`)
+      .then(({ data }) => setAccessibility(data.report))
+      .catch(() => setAccessibility(null));
+  }, [initialProjectId]);
+
+  const isEditing = Boolean(projectId);
+  // Templates and pages only apply to plain HTML targets
+  const staticPages =
+    targets.find((t) => t.id === outputTarget)?.staticPages ?? true;
+
+  // Apply one streamed build event to the UI
+  const handleEvent = (event, data) => {
+    switch (event) {
+      case "start":
+        setProjectId(data.projectId);
+        break;
+      case "token":
+        setAiMessage((message) => message + data.content);
+        break;
+      case "step":
+        // A new model turn starts, keep only its text in the message box
+        setAiMessage("");
+        break;
+      case "tool_end":
+        setLogs((prev) => [...prev, data]);
+        break;
+      case "version":
+        setPreviewVersion((version) => version + 1);
+        break;
+      case "repair_start":
+        setLogs((prev) => [
+          ...prev,
+          {
+            command: `🩹 Repair round ${data.round}`,
+            result: {
+              output: `${data.issueCount} issues found, asking the model to fix them`,
+            },
+          },
+        ]);
+        break;
+      case "build":
+        setLogs((prev) => [
+          ...prev,
+          {
+            command: `🏗 Build (${data.durationMs}ms)`,
+            result: data.success ? { output: "Build succeeded" } : data,
+          },
+        ]);
+        break;
+      case "placeholders":
+        setLogs((prev) => [
+          ...prev,
+          {
+            command: `🖼️ ${data.files.length} image placeholders`,
+            result: { output: data.files.join("\n") },
+          },
+        ]);
+        break;
+      case "retry":
+        setLogs((prev) => [
+          ...prev,
+          {
+            command: `🔁 Model call retry (step ${data.step})`,
+            result: {
+              output:
+                data.reason === "invalid_tool_call"
+                  ? "The tool call arguments were not valid JSON, asking again"
+                  : `${data.error}, retry ${data.attempt} in ${data.delayMs}ms`,
+            },
+          },
+        ]);
+        break;
+      case "fallback":
+        setLogs((prev) => [
+          ...prev,
+          {
+            command: `🪂 Switched to ${data.to}`,
+            result: { output: `${data.from} failed: ${data.error}` },
+          },
+        ]);
+        break;
+      case "a11y_fix_start":
+        setLogs((prev) => [
+          ...prev,
+          {
+            command: "♿ Accessibility fix pass",
+            result: {
+              output: `Score ${data.score}, ${data.violationCount} failing rules, asking the model to fix them`,
+            },
+          },
+        ]);
+        break;
+      case "accessibility":
+        setAccessibility(data);
+        break;
+      case "file":
+        setFiles((prev) => ({ ...prev, [data.path]: data.size }));
+        break;
+      case "done":
+        setLogs(data.executionResults || []);
+        setPreviews(data.previews || {});
+        setPreviewUrl(data.previewUrl);
+        setPages(data.pages || []);
+        setAccessibility(data.accessibility || null);
+        setAiMessage(data.message);
+        setStats(data.stats);
+        setPreviewVersion((version) => version + 1);
+        setHistory((prev) => [
+          ...prev,
+          { role: "assistant", content: data.message || "Done" },
+        ]);
+        break;
+      case "error":
+        setLogs((prev) => [
+          ...prev,
+          { command: "Error", result: { error: data.error } },
+        ]);
+        // A failed new build without any saved version is removed
+        if (data.discarded) {
+          setProjectId("");
+        }
+        break;
+      default:
+        break;
+    }
+  };
 
   const handleBuild = async () => {
     if (!prompt.trim()) return;
 
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    // "Home, About, Pricing" asks for a multi-page site (new builds only)
+    const pageNames = pagesInput
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+
     try {
       setLoading(true);
       setLogs([]);
       setPreviews({});
-      setProjectId("");
-      setPreviewUrl("");
+      setFiles({});
       setAiMessage("");
       setStats(null);
+      setAccessibility(null);
+      setHistory((prev) => [...prev, { role: "user", content: prompt }]);
+      setPrompt("");
 
-      const { data } = await axios.post("http://localhost:3000/api/build", {
-        userPrompt: prompt,
-      });
+      // Follow-up prompts edit the current project instead of starting over
+      await streamRequest(
+        isEditing
+          ? `/api/projects/${projectId}/edit/stream`
+          : "/api/build/stream",
+        {
+          userPrompt: prompt,
+          provider,
+          model: model || undefined,
+          pages:
+            !isEditing && staticPages && pageNames.length > 0
+              ? pageNames
+              : undefined,
+          templateId:
+            !isEditing && staticPages && templateId ? templateId : undefined,
+          brandKitId: !isEditing && brandKitId ? brandKitId : undefined,
+          outputTarget: !isEditing ? outputTarget : undefined,
+          fixAccessibility: fixAccessibility || undefined,
+        },
+        { signal: controller.signal, onEvent: handleEvent }
+      );
+    } catch (error) {
+      if (error.name === "AbortError") {
+        setLogs((prev) => [
+          ...prev,
+          { command: "Cancelled", result: { error: "Build cancelled" } },
+        ]);
+      } else {
+        console.error("Build error:", error.message);
+        setLogs((prev) => [
+          ...prev,
+          { command: "Error", result: { error: error.message } },
+        ]);
+      }
+    } finally {
+      abortRef.current = null;
+      setLoading(false);
+    }
+  };
+
+  // Start from an existing site: a ZIP archive or a folder of files
+  const handleImport = async (event, field) => {
+    const selected = Array.from(event.target.files || []);
+    event.target.value = "";
+    if (selected.length === 0) return;
+
+    const formData = new FormData();
+    for (const file of selected) {
+      // Folder uploads carry the relative path, e.g. "site/css/style.css"
+      formData.append(field, file, file.webkitRelativePath || file.name);
+    }
 
-      setLogs(data.executionResults || []);
-      setPreviews(data.previews || {});
+    try {
+      setLoading(true);
+      setLogs([]);
+      const { data } = await axios.post(
+        `${API_URL}/api/projects/import`,
+        formData
+      );
       setProjectId(data.projectId);
       setPreviewUrl(data.previewUrl);
-      setAiMessage(data.message);
-      setStats(data.stats);
+      setPages(data.pages);
+      setFiles(
+        Object.fromEntries(data.files.map((file) => [file.path, file.size]))
+      );
+      setPreviewVersion((version) => version + 1);
+      setHistory([
+        {
+          role: "assistant",
+          content: `Imported ${data.stats.filesImported} files. Describe what to change.`,
+        },
+      ]);
     } catch (error) {
-      console.error("Build error:", error.message);
-      setLogs([{ command: "Error", result: { error: error.message } }]);
+      setLogs([
+        {
+          command: "Import failed",
+          result: { error: error.response?.data?.error || error.message },
+        },
+      ]);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleCancel = () => {
+    abortRef.current?.abort();
+  };
+
+  const handleNewProject = () => {
+    setPrompt("");
+    setLogs([]);
+    setPreviews({});
+    setProjectId("");
+    setPreviewUrl("");
+    setAiMessage("");
+    setStats(null);
+    setHistory([]);
+    setFiles({});
+    setPages([]);
+    setActivePage("");
+    setAccessibility(null);
+  };
+
   return (
     <div className="p-6 max-w-6xl mx-auto">
       <motion.h1
@@ -55,9 +369,30 @@ export default function ChatBuilder() {
         🚀 AI Website Builder
       </motion.h1>
 
+      {history.length > 0 && (
+        <div className="mb-4 space-y-2 max-h-64 overflow-y-auto">
+          {history.map((entry, i) => (
+            <div
+              key={i}
+              className={`p-3 rounded text-sm ${
+                entry.role === "user"
+                  ? "bg-blue-50 text-blue-900 ml-12"
+                  : "bg-gray-100 text-gray-800 mr-12"
+              }`}
+            >
+              {entry.content}
+            </div>
+          ))}
+        </div>
+      )}
+
       <motion.textarea
         rows={4}
-        placeholder="Describe the website you want..."
+        placeholder={
+          isEditing
+            ? "Describe a change, e.g. make the header sticky..."
+            : "Describe the website you want..."
+        }
         value={prompt}
         onChange={(e) => setPrompt(e.target.value)}
         className="w-full p-4 border border-gray-300 rounded shadow-sm focus:outline-none"
@@ -66,6 +401,104 @@ export default function ChatBuilder() {
         transition={{ delay: 0.2 }}
       />
 
+      {!isEditing && (
+        <div className="mt-2 flex gap-2 text-sm">
+          {targets.length > 0 && (
+            <select
+              value={outputTarget}
+              onChange={(e) => setOutputTarget(e.target.value)}
+              title={targets.find((t) => t.id === outputTarget)?.description}
+              className="p-2 border border-gray-300 rounded"
+            >
+              {targets.map((target) => (
+                <option
+                  key={target.id}
+                  value={target.id}
+                  disabled={!target.available}
+                  title={target.reason || target.description}
+                >
+                  🏗 {target.name}
+                  {target.available ? "" : " (unavailable)"}
+                </option>
+              ))}
+            </select>
+          )}
+          {staticPages && (
+            <select
+              value={templateId}
+              onChange={(e) => setTemplateId(e.target.value)}
+              title={
+                templates.find((t) => t.id === templateId)?.description ||
+                "Start from an empty folder"
+              }
+              className="p-2 border border-gray-300 rounded"
+            >
+              <option value="">No template</option>
+              {templates.map((template) => (
+                <option key={template.id} value={template.id}>
+                  🧩 {template.name}
+                  {template.source === "custom" ? " (team)" : ""}
+                </option>
+              ))}
+            </select>
+          )}
+          <select
+            value={brandKitId}
+            onChange={(e) => setBrandKitId(e.target.value)}
+            className="p-2 border border-gray-300 rounded"
+          >
+            <option value="">No brand kit</option>
+            {brandKits.map((kit) => (
+              <option key={kit.id} value={kit.id}>
+                🎨 {kit.name}
+              </option>
+            ))}
+          </select>
+          {staticPages && (
+            <input
+              value={pagesInput}
+              onChange={(e) => setPagesInput(e.target.value)}
+              placeholder="Pages (optional), e.g. Home, About, Pricing, Blog"
+              className="flex-1 p-2 border border-gray-300 rounded"
+            />
+          )}
+        </div>
+      )}
+
+      {providers.length > 0 && (
+        <div className="mt-2 flex gap-2 text-sm">
+          <select
+            value={provider}
+            onChange={(e) => setProvider(e.target.value)}
+            className="p-2 border border-gray-300 rounded"
+          >
+            {providers.map((p) => (
+              <option key={p.name} value={p.name}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+          <input
+            value={model}
+            onChange={(e) => setModel(e.target.value)}
+            placeholder={
+              providers.find((p) => p.name === provider)?.defaultModel ||
+              "model"
+            }
+            className="p-2 border border-gray-300 rounded flex-1"
+          />
+        </div>
+      )}
+
+      <label className="mt-2 flex items-center gap-2 text-sm">
+        <input
+          type="checkbox"
+          checked={fixAccessibility}
+          onChange={(e) => setFixAccessibility(e.target.checked)}
+        />
+        Fix accessibility issues found by the audit (one extra agent pass)
+      </label>
+
       <motion.button
         onClick={handleBuild}
         disabled={loading}
@@ -73,9 +506,59 @@ export default function ChatBuilder() {
         whileHover={{ scale: 1.05 }}
         whileTap={{ scale: 0.95 }}
       >
-        {loading ? "Building..." : "Build Website"}
+        {loading
+          ? isEditing
+            ? "Applying changes..."
+            : "Building..."
+          : isEditing
+          ? "Apply Changes"
+          : "Build Website"}
       </motion.button>
 
+      {loading && (
+        <button
+          onClick={handleCancel}
+          className="mt-4 ml-4 px-6 py-2 bg-red-600 text-white rounded hover:bg-red-700"
+        >
+          Cancel
+        </button>
+      )}
+
+      {!isEditing && !loading && (
+        <div className="mt-4 text-sm text-gray-600 flex flex-wrap gap-4 items-center">
+          <span>📥 Or start from an existing site:</span>
+          <label className="cursor-pointer text-blue-600 underline">
+            ZIP archive
+            <input
+              type="file"
+              accept=".zip"
+              className="hidden"
+              onChange={(e) => handleImport(e, "archive")}
+            />
+          </label>
+          <label className="cursor-pointer text-blue-600 underline">
+            Folder
+            <input
+              type="file"
+              webkitdirectory=""
+              multiple
+              className="hidden"
+              onChange={(e) => handleImport(e, "files")}
+            />
+          </label>
+        </div>
+      )}
+
+      {isEditing && !loading && (
+        <button
+          onClick={handleNewProject}
+          disabled={loading}
+          className="mt-4 ml-4 px-6 py-2 border border-gray-400 text-gray-700 rounded hover:bg-gray-100"
+        >
+          New Website
+        </button>
+      )}
+
       {aiMessage && (
         <motion.div
           className="mt-6 p-4 bg-green-50 border-l-4 border-green-600 text-green-800 rounded"
@@ -101,10 +584,66 @@ export default function ChatBuilder() {
             >
               {previewUrl}
             </a>
+            {previewUrl && (
+              <span className="ml-3 inline-flex gap-2">
+                <a
+                  href={`${API_URL}/api/websites/${projectId}/export`}
+                  download
+                  className="px-2 py-0.5 bg-blue-600 text-white rounded hover:bg-blue-700"
+                >
+                  ⬇️ ZIP
+                </a>
+                <a
+                  href={`${API_URL}/api/websites/${projectId}/export?minify=true`}
+                  download
+                  className="px-2 py-0.5 border border-blue-600 text-blue-700 rounded hover:bg-blue-50"
+                >
+                  Minified ZIP
+                </a>
+                <a
+                  href={`${API_URL}/api/websites/${projectId}/export?inline=true`}
+                  download
+                  className="px-2 py-0.5 border border-blue-600 text-blue-700 rounded hover:bg-blue-50"
+                >
+                  Single HTML
+                </a>
+              </span>
+            )}
           </p>
           <p>
             <strong>🧰 Commands Executed:</strong> {stats.toolCallsExecuted}
           </p>
+          {stats.provider && (
+            <p>
+              <strong>🤖 Model:</strong> {stats.provider} / {stats.model}
+              {stats.fallbackModel && ` (fell back to ${stats.fallbackModel})`}
+            </p>
+          )}
+          {stats.steps !== undefined && (
+            <p>
+              <strong>🔁 Agent Steps:</strong>{" "}
+              {`${stats.steps} (${stats.stopReason})`}
+            </p>
+          )}
+          {stats.tokensUsed !== undefined && (
+            <p>
+              <strong>🪙 Tokens Used:</strong> {stats.tokensUsed}
+            </p>
+          )}
+          {stats.usage && (
+            <p>
+              <strong>💰 Model Calls:</strong>{" "}
+              {`${stats.usage.calls} calls, avg ${stats.usage.avgLatencyMs}ms`}
+              {stats.usage.retries > 0 && `, ${stats.usage.retries} retries`}
+              {stats.usage.costUsd !== null &&
+                `, about $${stats.usage.costUsd.toFixed(4)}`}
+            </p>
+          )}
+          {stats.filesChanged !== undefined && (
+            <p>
+              <strong>✏️ Files Changed:</strong> {stats.filesChanged}
+            </p>
+          )}
           <p>
             <strong>⏱️ Execution Time:</strong> {stats.executionTime}
           </p>
@@ -116,6 +655,49 @@ export default function ChatBuilder() {
             <strong>🧾 index.html Exists:</strong>{" "}
             {stats.hasIndexFile ? "✅ Yes" : "❌ No"}
           </p>
+          {stats.validation && (
+            <div>
+              <p>
+                <strong>🔍 Validation:</strong>{" "}
+                {stats.validation.valid
+                  ? "✅ No issues"
+                  : `⚠️ ${stats.validation.issueCount} issues`}
+                {stats.validation.repairRounds > 0 &&
+                  ` (${stats.validation.initialIssueCount} before ${stats.validation.repairRounds} repair round)`}
+              </p>
+              {stats.validation.issues.length > 0 && (
+                <ul className="ml-6 list-disc text-red-700">
+                  {stats.validation.issues.map((issue, i) => (
+                    <li key={i}>
+                      <span className="font-mono">
+                        {issue.file}
+                        {issue.line ? `:${issue.line}` : ""}
+                      </span>{" "}
+                      {issue.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {Object.keys(files).length > 0 && (
+        <div className="mt-6 p-4 bg-gray-50 rounded text-sm font-mono">
+          <h2 className="text-lg font-semibold mb-2 font-sans">
+            🗂 Project Files
+          </h2>
+          <ul>
+            {Object.entries(files)
+              .sort(([a], [b]) => a.localeCompare(b))
+              .map(([filePath, size]) => (
+                <li key={filePath}>
+                  {filePath}{" "}
+                  <span className="text-gray-500">({size} bytes)</span>
+                </li>
+              ))}
+          </ul>
         </div>
       )}
 
@@ -130,9 +712,23 @@ export default function ChatBuilder() {
           <ul className="space-y-4 bg-gray-50 p-4 rounded">
             {logs.map((log, i) => (
               <li key={i} className="border-l-4 border-blue-500 pl-4">
-                <p className="font-mono text-blue-700">{log.command}</p>
+                <p className="font-mono text-blue-700">
+                  {log.step ? `Step ${log.step} · ` : ""}
+                  {log.tool || log.command}
+                  {log.args?.path || log.args?.command
+                    ? ` → ${log.args.path || log.args.command}`
+                    : ""}
+                </p>
+                {log.reasoning && (
+                  <p className="text-sm text-gray-600 italic mb-1">
+                    {log.reasoning}
+                  </p>
+                )}
                 <SyntaxHighlighter language="bash" style={oneDark} wrapLines>
-                  {log.result.output || log.result.error || "Done"}
+                  {log.result.output ||
+                    log.result.error ||
+                    log.result.message ||
+                    "Done"}
                 </SyntaxHighlighter>
               </li>
             ))}
@@ -170,6 +766,30 @@ export default function ChatBuilder() {
         </motion.div>
       )}
 
+      {projectId && accessibility && (
+        <AccessibilityReport
+          projectId={projectId}
+          report={accessibility}
+          onAudited={setAccessibility}
+        />
+      )}
+
+      {projectId && !loading && (
+        <AssetManager
+          projectId={projectId}
+          refreshKey={previewVersion}
+          onChanged={() => setPreviewVersion((version) => version + 1)}
+        />
+      )}
+
+      {projectId && !loading && (
+        <VersionHistory
+          projectId={projectId}
+          refreshKey={previewVersion}
+          onRestored={() => setPreviewVersion((version) => version + 1)}
+        />
+      )}
+
       {previewUrl && (
         <motion.div
           className="mt-10"
@@ -178,10 +798,13 @@ export default function ChatBuilder() {
           transition={{ duration: 0.6 }}
         >
           <h2 className="text-2xl font-semibold mb-4">🌐 Live Preview</h2>
-          <iframe
-            src={previewUrl}
-            className="w-full h-[600px] border rounded shadow-lg"
-            title="Website Preview"
+          <PreviewPanel
+            projectId={projectId}
+            previewUrl={previewUrl}
+            pages={pages}
+            activePage={activePage}
+            onPageChange={setActivePage}
+            refreshKey={previewVersion}
           />
         </motion.div>
       )}
@@ -0,0 +1,86 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { API_URL } from "../api";
+
+// Sign in, or create an account while sign-up is open (the very first
+// account becomes the admin)
+export default function LoginForm({ signupOpen, onSignedIn }) {
+  const [mode, setMode] = useState(signupOpen ? "register" : "login");
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const isRegister = mode === "register";
+
+  const submit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setBusy(true);
+      setError("");
+      const { data } = await axios.post(
+        `${API_URL}/api/auth/${isRegister ? "register" : "login"}`,
+        { username, password }
+      );
+      onSignedIn(data.user);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="max-w-sm mx-auto mt-24 p-6 border border-gray-200 rounded shadow-sm">
+      <h1 className="text-xl font-semibold mb-4">
+        {isRegister ? "👤 Create an account" : "🔑 Sign in"}
+      </h1>
+
+      <form onSubmit={submit} className="flex flex-col gap-3 text-sm">
+        <input
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username"
+          autoComplete="username"
+          required
+          className="p-2 border border-gray-300 rounded"
+          aria-label="Username"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete={isRegister ? "new-password" : "current-password"}
+          minLength={isRegister ? 8 : undefined}
+          required
+          className="p-2 border border-gray-300 rounded"
+          aria-label="Password"
+        />
+        <button
+          type="submit"
+          disabled={busy}
+          className="p-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+        >
+          {busy ? "Please wait..." : isRegister ? "Create account" : "Sign in"}
+        </button>
+      </form>
+      {error && <p className="text-red-700 text-sm mt-3">{error}</p>}
+
+      {signupOpen && (
+        <button
+          onClick={() => {
+            setError("");
+            setMode(isRegister ? "login" : "register");
+          }}
+          className="mt-4 text-sm text-blue-700 hover:underline"
+        >
+          {isRegister
+            ? "Already have an account? Sign in"
+            : "No account yet? Create one"}
+        </button>
+      )}
+    </div>
+  );
+}
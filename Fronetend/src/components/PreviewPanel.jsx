@@ -0,0 +1,285 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { API_URL } from "../api";
+
+const DEVICES = {
+  phone: { label: "📱 Phone", width: 390, height: 844 },
+  tablet: { label: "📲 Tablet", width: 820, height: 1180 },
+  desktop: { label: "🖥 Desktop", width: 1440, height: 900 },
+  custom: { label: "↔️ Custom", width: null, height: 900 },
+};
+const ZOOM_LEVELS = [
+  { value: "fit", label: "Fit" },
+  { value: 0.5, label: "50%" },
+  { value: 0.75, label: "75%" },
+  { value: 1, label: "100%" },
+];
+const COLOR_SCHEMES = [
+  { value: "normal", label: "System" },
+  { value: "light", label: "☀️ Light" },
+  { value: "dark", label: "🌙 Dark" },
+];
+const SPLIT_GAP = 16;
+
+// One iframe rendered at the device size and scaled to the zoom level.
+// The iframe's color-scheme sets prefers-color-scheme inside the page.
+function DeviceFrame({ src, title, width, height, scale, colorScheme }) {
+  return (
+    <div
+      className="overflow-hidden border rounded shadow-lg bg-white mx-auto"
+      style={{ width: width * scale, height: height * scale }}
+    >
+      <iframe
+        src={src}
+        title={title}
+        width={width}
+        height={height}
+        className="border-0 origin-top-left"
+        style={{ transform: `scale(${scale})`, colorScheme }}
+      />
+    </div>
+  );
+}
+
+export default function PreviewPanel({
+  projectId,
+  previewUrl,
+  pages,
+  activePage,
+  onPageChange,
+  refreshKey,
+}) {
+  const [device, setDevice] = useState("desktop");
+  const [customWidth, setCustomWidth] = useState(1024);
+  const [rotated, setRotated] = useState(false);
+  const [zoom, setZoom] = useState("fit");
+  const [colorScheme, setColorScheme] = useState("normal");
+  const [split, setSplit] = useState(false);
+  const [compare, setCompare] = useState("");
+  const [versions, setVersions] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [containerWidth, setContainerWidth] = useState(0);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) =>
+      setContainerWidth(entry.contentRect.width)
+    );
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  // Things to compare with: this project's versions and the other projects
+  useEffect(() => {
+    if (!split) return;
+
+    axios
+      .get(`${API_URL}/api/projects/${projectId}/versions`)
+      .then(({ data }) => setVersions(data.versions))
+      .catch((error) => console.error("Versions error:", error.message));
+
+    axios
+      .get(`${API_URL}/api/websites`, {
+        params: { sort: "updated", limit: 50 },
+      })
+      .then(({ data }) =>
+        setProjects(
+          data.websites.filter(
+            (project) => project.previewUrl && project.projectId !== projectId
+          )
+        )
+      )
+      .catch((error) => console.error("Projects error:", error.message));
+  }, [split, projectId, refreshKey]);
+
+  const page = activePage || "index.html";
+  const currentUrl =
+    pages.find((p) => p.path === activePage)?.previewUrl || previewUrl;
+
+  const getCompareUrl = () => {
+    const [type, id] = compare.split(":");
+    if (type === "v") {
+      const version = versions.find((v) => String(v.id) === id);
+      return (
+        version && `${version.previewUrl}${page === "index.html" ? "" : page}`
+      );
+    }
+    if (type === "p") {
+      return projects.find((p) => p.projectId === id)?.previewUrl;
+    }
+    return null;
+  };
+  const compareUrl = split ? getCompareUrl() : null;
+
+  const preset = DEVICES[device];
+  const baseWidth = preset.width || customWidth;
+  const width = rotated ? preset.height : baseWidth;
+  const height = rotated ? baseWidth : preset.height;
+  const frameCount = split ? 2 : 1;
+  const availableWidth =
+    (containerWidth - SPLIT_GAP * (frameCount - 1)) / frameCount;
+  const scale =
+    zoom === "fit"
+      ? Math.min(1, availableWidth > 0 ? availableWidth / width : 1)
+      : zoom;
+
+  const frame = (src, title) => (
+    <DeviceFrame
+      key={`${refreshKey}-${src}`}
+      src={src}
+      title={title}
+      width={width}
+      height={height}
+      scale={scale}
+      colorScheme={colorScheme}
+    />
+  );
+
+  return (
+    <div>
+      {pages.length > 1 && (
+        <div className="mb-2 flex flex-wrap gap-2 text-sm">
+          {pages.map((p) => (
+            <button
+              key={p.path}
+              onClick={() => onPageChange(p.path)}
+              disabled={!p.exists}
+              title={p.exists ? p.path : `${p.path} is missing`}
+              className={`px-3 py-1 rounded border ${
+                page === p.path
+                  ? "bg-blue-600 text-white border-blue-600"
+                  : "border-gray-300 hover:bg-gray-100"
+              } disabled:opacity-50`}
+            >
+              {p.title}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="mb-3 flex flex-wrap items-center gap-2 text-sm">
+        {Object.entries(DEVICES).map(([id, { label }]) => (
+          <button
+            key={id}
+            onClick={() => setDevice(id)}
+            className={`px-3 py-1 rounded border ${
+              device === id
+                ? "bg-gray-800 text-white border-gray-800"
+                : "border-gray-300 hover:bg-gray-100"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+        {device === "custom" && (
+          <input
+            type="number"
+            min={240}
+            max={2560}
+            value={customWidth}
+            onChange={(e) =>
+              setCustomWidth(
+                Math.min(2560, Math.max(240, Number(e.target.value) || 240))
+              )
+            }
+            className="w-24 p-1 border border-gray-300 rounded"
+            aria-label="Custom width in pixels"
+          />
+        )}
+        <button
+          onClick={() => setRotated((value) => !value)}
+          className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-100"
+          aria-pressed={rotated}
+        >
+          🔄 Rotate
+        </button>
+        <select
+          value={zoom}
+          onChange={(e) =>
+            setZoom(e.target.value === "fit" ? "fit" : Number(e.target.value))
+          }
+          className="p-1 border border-gray-300 rounded"
+          aria-label="Zoom"
+        >
+          {ZOOM_LEVELS.map((level) => (
+            <option key={level.value} value={level.value}>
+              🔍 {level.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={colorScheme}
+          onChange={(e) => setColorScheme(e.target.value)}
+          className="p-1 border border-gray-300 rounded"
+          aria-label="Color scheme"
+        >
+          {COLOR_SCHEMES.map((scheme) => (
+            <option key={scheme.value} value={scheme.value}>
+              {scheme.label}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={split}
+            onChange={(e) => setSplit(e.target.checked)}
+          />
+          Split view
+        </label>
+        {split && (
+          <select
+            value={compare}
+            onChange={(e) => setCompare(e.target.value)}
+            className="p-1 border border-gray-300 rounded max-w-xs"
+            aria-label="Compare with"
+          >
+            <option value="">Compare with...</option>
+            <optgroup label="Versions of this project">
+              {versions
+                .slice()
+                .reverse()
+                .map((version) => (
+                  <option key={version.id} value={`v:${version.id}`}>
+                    v{version.id} · {version.label}
+                  </option>
+                ))}
+            </optgroup>
+            <optgroup label="Other projects">
+              {projects.map((project) => (
+                <option
+                  key={project.projectId}
+                  value={`p:${project.projectId}`}
+                >
+                  {project.title}
+                </option>
+              ))}
+            </optgroup>
+          </select>
+        )}
+        <span className="text-gray-500">
+          {width}×{height} @ {Math.round(scale * 100)}%
+        </span>
+      </div>
+
+      <div
+        ref={containerRef}
+        className="flex items-start"
+        style={{ gap: SPLIT_GAP }}
+      >
+        <div className="flex-1 min-w-0">
+          {split && <p className="text-sm text-gray-500 mb-1">Current</p>}
+          {frame(currentUrl, "Website Preview")}
+        </div>
+        {split && (
+          <div className="flex-1 min-w-0">
+            <p className="text-sm text-gray-500 mb-1">
+              {compareUrl ? "Compared" : "Pick a version or project"}
+            </p>
+            {compareUrl && frame(compareUrl, "Comparison Preview")}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,341 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { API_URL } from "../api";
+
+const SORT_OPTIONS = [
+  { value: "updated", label: "Last modified" },
+  { value: "created", label: "Created" },
+  { value: "title", label: "Title" },
+  { value: "tokens", label: "Tokens used" },
+];
+
+// Screenshot of the last build, else a live preview scaled to card size
+function Thumbnail({ project }) {
+  if (project.thumbnailUrl) {
+    return (
+      <div className="h-40 overflow-hidden bg-white">
+        <img
+          src={project.thumbnailUrl}
+          alt={`Screenshot of ${project.title}`}
+          loading="lazy"
+          className="w-full object-cover object-top"
+        />
+      </div>
+    );
+  }
+
+  if (!project.previewUrl) {
+    return (
+      <div className="h-40 flex items-center justify-center bg-gray-100 text-gray-400 text-sm">
+        No index.html
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-40 overflow-hidden bg-white relative">
+      <iframe
+        src={project.previewUrl}
+        title={project.title}
+        loading="lazy"
+        tabIndex={-1}
+        className="absolute top-0 left-0 w-[400%] h-[400%] origin-top-left scale-25 pointer-events-none border-0"
+      />
+    </div>
+  );
+}
+
+function ProjectCard({ project, showOwner, onOpen, onChanged, onError }) {
+  const [renaming, setRenaming] = useState(false);
+  const [title, setTitle] = useState(project.title);
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action) => {
+    try {
+      setBusy(true);
+      await action();
+      onChanged();
+    } catch (error) {
+      onError(error.response?.data?.error || error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await axios.put(`${API_URL}/api/projects/${project.projectId}`, {
+        title,
+      });
+      setRenaming(false);
+    });
+  };
+
+  const handleDuplicate = () =>
+    run(() =>
+      axios.post(`${API_URL}/api/projects/${project.projectId}/duplicate`)
+    );
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete "${project.title}"? This cannot be undone.`)) {
+      return;
+    }
+    run(() => axios.delete(`${API_URL}/api/projects/${project.projectId}`));
+  };
+
+  return (
+    <div className="border border-gray-200 rounded shadow-sm overflow-hidden flex flex-col">
+      <Thumbnail project={project} />
+      <div className="p-3 flex-1 flex flex-col gap-1 text-sm">
+        {renaming ? (
+          <form onSubmit={handleRename} className="flex gap-1">
+            <input
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              maxLength={80}
+              autoFocus
+              className="flex-1 p-1 border border-gray-300 rounded"
+            />
+            <button
+              type="submit"
+              disabled={busy}
+              className="px-2 bg-blue-600 text-white rounded"
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setTitle(project.title);
+                setRenaming(false);
+              }}
+              className="px-2 border border-gray-300 rounded"
+            >
+              ✕
+            </button>
+          </form>
+        ) : (
+          <h3 className="font-semibold text-gray-800 truncate">
+            {project.title}
+          </h3>
+        )}
+        {project.prompt && (
+          <p className="text-gray-600 line-clamp-2" title={project.prompt}>
+            “{project.prompt}”
+          </p>
+        )}
+        <p className="text-xs text-gray-500">
+          Created {new Date(project.createdAt).toLocaleString()}
+        </p>
+        <p className="text-xs text-gray-500">
+          Modified {new Date(project.updatedAt).toLocaleString()} ·{" "}
+          {project.status}
+        </p>
+        {showOwner && (
+          <p className="text-xs text-gray-500">
+            👤 {project.owner || "No owner"}
+          </p>
+        )}
+        <div className="mt-auto pt-2 flex flex-wrap gap-2">
+          <button
+            onClick={() => onOpen(project.projectId)}
+            className="px-2 py-0.5 bg-blue-600 text-white rounded hover:bg-blue-700"
+          >
+            Open
+          </button>
+          <button
+            onClick={() => setRenaming(true)}
+            disabled={busy}
+            className="px-2 py-0.5 border border-gray-300 rounded hover:bg-gray-100"
+          >
+            Rename
+          </button>
+          <button
+            onClick={handleDuplicate}
+            disabled={busy}
+            className="px-2 py-0.5 border border-gray-300 rounded hover:bg-gray-100"
+          >
+            Duplicate
+          </button>
+          <button
+            onClick={handleDelete}
+            disabled={busy}
+            className="px-2 py-0.5 border border-red-300 text-red-700 rounded hover:bg-red-50"
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Today's tokens against the daily limit, and this week's estimated cost
+function UsageSummary({ refreshKey }) {
+  const [usage, setUsage] = useState(null);
+
+  useEffect(() => {
+    axios
+      .get(`${API_URL}/api/usage`)
+      .then(({ data }) => setUsage(data))
+      .catch((err) => console.error("Usage error:", err.message));
+  }, [refreshKey]);
+
+  if (!usage) return null;
+
+  const { today, totals } = usage;
+  const percent = Math.min(100, (today.totalTokens / today.limit) * 100);
+
+  return (
+    <div className="mb-4 text-sm text-gray-600">
+      <p>
+        🪙 Today: {today.totalTokens.toLocaleString()} /{" "}
+        {today.limit.toLocaleString()} tokens · last 7 days:{" "}
+        {totals.totalTokens.toLocaleString()} tokens, about $
+        {totals.costUsd.toFixed(2)}
+        {totals.unpricedRuns > 0 && ` (${totals.unpricedRuns} runs unpriced)`}
+      </p>
+      <div className="mt-1 h-1.5 bg-gray-200 rounded">
+        <div
+          className={`h-full rounded ${
+            percent >= 90 ? "bg-red-500" : "bg-blue-600"
+          }`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default function ProjectsDashboard({ user, onOpen, refreshKey }) {
+  const [projects, setProjects] = useState([]);
+  const [search, setSearch] = useState("");
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState("updated");
+  const [page, setPage] = useState(1);
+  // Admins can list every user's projects
+  const [allUsers, setAllUsers] = useState(false);
+  const [totalPages, setTotalPages] = useState(1);
+  const [reload, setReload] = useState(0);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    axios
+      .get(`${API_URL}/api/websites`, {
+        params: {
+          q: query,
+          sort,
+          page,
+          limit: 12,
+          owner: allUsers ? "all" : undefined,
+        },
+      })
+      .then(({ data }) => {
+        setProjects(data.websites);
+        setTotalPages(data.totalPages);
+        setError("");
+      })
+      .catch((err) => setError(err.response?.data?.error || err.message));
+  }, [query, sort, page, allUsers, reload, refreshKey]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setQuery(search);
+  };
+
+  return (
+    <div className="p-6 max-w-6xl mx-auto">
+      <UsageSummary refreshKey={refreshKey} />
+      <form onSubmit={handleSearch} className="mb-4 flex gap-2 text-sm">
+        <input
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by title or prompt..."
+          className="flex-1 p-2 border border-gray-300 rounded"
+        />
+        <select
+          value={sort}
+          onChange={(e) => {
+            setPage(1);
+            setSort(e.target.value);
+          }}
+          className="p-2 border border-gray-300 rounded"
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        {user.role === "admin" && (
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={allUsers}
+              onChange={(e) => {
+                setPage(1);
+                setAllUsers(e.target.checked);
+              }}
+            />
+            All users
+          </label>
+        )}
+        <button
+          type="submit"
+          className="px-4 bg-blue-600 text-white rounded hover:bg-blue-700"
+        >
+          Search
+        </button>
+      </form>
+
+      {error && (
+        <p className="mb-4 p-2 bg-red-50 text-red-700 text-sm rounded">
+          {error}
+        </p>
+      )}
+
+      {projects.length === 0 ? (
+        <p className="text-gray-500 text-center py-12">
+          {query ? "No projects match your search." : "No projects yet."}
+        </p>
+      ) : (
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {projects.map((project) => (
+            <ProjectCard
+              key={`${project.projectId}-${project.updatedAt}`}
+              project={project}
+              showOwner={allUsers}
+              onOpen={onOpen}
+              onChanged={() => setReload((count) => count + 1)}
+              onError={setError}
+            />
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="mt-6 flex justify-center items-center gap-4 text-sm">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+          >
+            ← Previous
+          </button>
+          <span>
+            Page {page} of {totalPages}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+            className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+          >
+            Next →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,251 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { API_URL } from "../api";
+
+const ROW_STYLES = {
+  same: ["", ""],
+  added: ["bg-gray-50", "bg-green-100"],
+  removed: ["bg-red-100", "bg-gray-50"],
+  changed: ["bg-red-100", "bg-green-100"],
+};
+
+function SideBySideDiff({ file }) {
+  if (!file.rows) {
+    return (
+      <p className="text-sm text-gray-500 px-3 py-2">
+        Binary file {file.status}
+      </p>
+    );
+  }
+
+  return (
+    <table className="w-full text-xs font-mono table-fixed">
+      <tbody>
+        {file.rows.map((row, i) => {
+          const [leftStyle, rightStyle] = ROW_STYLES[row.type];
+          return (
+            <tr key={i}>
+              <td className="w-10 text-right pr-2 text-gray-400 select-none">
+                {row.leftLine}
+              </td>
+              <td
+                className={`w-1/2 whitespace-pre-wrap break-all ${leftStyle}`}
+              >
+                {row.left}
+              </td>
+              <td className="w-10 text-right pr-2 text-gray-400 select-none">
+                {row.rightLine}
+              </td>
+              <td
+                className={`w-1/2 whitespace-pre-wrap break-all ${rightStyle}`}
+              >
+                {row.right}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+// Before, after and pixel diff screenshots of one page at one viewport
+function VisualDiff({ result }) {
+  return (
+    <div className="border rounded overflow-hidden">
+      <h3 className="bg-gray-100 px-3 py-1 text-sm font-medium">
+        {result.page} · {result.viewport}{" "}
+        <span className="text-gray-500">
+          ({result.status}
+          {result.status === "changed" &&
+            `, ${(result.diffRatio * 100).toFixed(1)}% of pixels`}
+          )
+        </span>
+      </h3>
+      <div className="grid grid-cols-3 gap-2 p-2 text-xs text-gray-500">
+        {[
+          ["Before", result.beforeUrl],
+          ["After", result.afterUrl],
+          ["Diff", result.diffUrl],
+        ].map(([label, url]) => (
+          <figure key={label}>
+            <figcaption className="mb-1">{label}</figcaption>
+            {url ? (
+              <a href={url} target="_blank" rel="noreferrer">
+                <img
+                  src={url}
+                  alt={`${label} screenshot of ${result.page} (${result.viewport})`}
+                  className="w-full border"
+                  loading="lazy"
+                />
+              </a>
+            ) : (
+              <p>—</p>
+            )}
+          </figure>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function VersionHistory({ projectId, refreshKey, onRestored }) {
+  const [versions, setVersions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [visualDiff, setVisualDiff] = useState(null);
+  const [visualLoading, setVisualLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!projectId) return;
+
+    axios
+      .get(`${API_URL}/api/projects/${projectId}/versions`)
+      .then(({ data }) => setVersions(data.versions))
+      .catch((err) => setError(err.response?.data?.error || err.message));
+  }, [projectId, refreshKey]);
+
+  // Compare a version with the one right before it
+  const showVersion = async (version) => {
+    setSelected(version.id);
+    setDiff(null);
+    setVisualDiff(null);
+    setError("");
+
+    const previous = versions[versions.indexOf(version) - 1];
+    if (!previous) return;
+
+    try {
+      const { data } = await axios.get(
+        `${API_URL}/api/projects/${projectId}/versions/diff`,
+        { params: { from: previous.id, to: version.id } }
+      );
+      setDiff(data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  // Screenshot both versions (when not done yet) and compare them
+  const showVisualDiff = async () => {
+    const version = versions.find((v) => v.id === selected);
+    const previous = versions[versions.indexOf(version) - 1];
+    if (!previous) return;
+
+    try {
+      setVisualLoading(true);
+      setError("");
+      const { data } = await axios.get(
+        `${API_URL}/api/projects/${projectId}/screenshots/diff`,
+        { params: { from: previous.id, to: version.id } }
+      );
+      setVisualDiff(data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setVisualLoading(false);
+    }
+  };
+
+  const restore = async (version) => {
+    if (!window.confirm(`Restore the project to v${version.id}?`)) return;
+
+    try {
+      await axios.post(
+        `${API_URL}/api/projects/${projectId}/versions/${version.id}/restore`
+      );
+      onRestored?.();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  if (versions.length === 0) return null;
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-2xl font-semibold mb-4">🕘 Version History</h2>
+      {error && <p className="text-red-600 text-sm mb-2">{error}</p>}
+
+      <div className="flex gap-6">
+        <ol className="w-64 shrink-0 border-l-2 border-blue-300 space-y-3">
+          {versions
+            .slice()
+            .reverse()
+            .map((version) => (
+              <li key={version.id} className="pl-4 relative">
+                <span className="absolute -left-[7px] top-1.5 w-3 h-3 rounded-full bg-blue-500" />
+                <button
+                  onClick={() => showVersion(version)}
+                  className={`text-left text-sm ${
+                    selected === version.id ? "font-bold text-blue-700" : ""
+                  }`}
+                >
+                  v{version.id} · {version.label}
+                </button>
+                <p className="text-xs text-gray-500">
+                  {new Date(version.createdAt).toLocaleTimeString()} ·{" "}
+                  {version.fileCount} files
+                </p>
+                <button
+                  onClick={() => restore(version)}
+                  className="text-xs text-blue-600 underline"
+                >
+                  Restore
+                </button>
+              </li>
+            ))}
+        </ol>
+
+        <div className="flex-1 min-w-0 space-y-4">
+          {selected && !diff && (
+            <p className="text-sm text-gray-500">
+              {selected === versions[0]?.id
+                ? "First version, nothing to compare with."
+                : "Loading diff..."}
+            </p>
+          )}
+          {diff && (
+            <button
+              onClick={showVisualDiff}
+              disabled={visualLoading}
+              className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-100"
+            >
+              {visualLoading ? "Rendering screenshots..." : "📷 Visual diff"}
+            </button>
+          )}
+          {visualDiff && (
+            <div className="space-y-2">
+              <p className="text-sm text-gray-500">
+                {visualDiff.changedCount === 0
+                  ? "No visual changes."
+                  : `${visualDiff.changedCount} screenshots changed.`}
+              </p>
+              {visualDiff.results
+                .filter((result) => result.status !== "same")
+                .map((result) => (
+                  <VisualDiff
+                    key={`${result.page}-${result.viewport}`}
+                    result={result}
+                  />
+                ))}
+            </div>
+          )}
+          {diff?.files.length === 0 && (
+            <p className="text-sm text-gray-500">No file changes.</p>
+          )}
+          {diff?.files.map((file) => (
+            <div key={file.path} className="border rounded overflow-hidden">
+              <h3 className="bg-gray-100 px-3 py-1 text-sm font-medium">
+                {file.path}{" "}
+                <span className="text-gray-500">({file.status})</span>
+              </h3>
+              <SideBySideDiff file={file} />
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}